@@ -0,0 +1,109 @@
+require('dotenv').config();
+const { prisma } = require('../src/config/database');
+const clientService = require('../src/services/clientService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Most used spelling wins; ties go to the alphabetically first one
+function pickCanonicalName(spellings) {
+  return Object.entries(spellings)
+    .sort(([nameA, countA], [nameB, countB]) => countB - countA || nameA.localeCompare(nameB))[0][0];
+}
+
+async function linkProjectsToClients() {
+  const projects = await prisma.project.findMany({
+    where: { clientId: null },
+    select: { id: true, clientName: true }
+  });
+
+  console.log(`Found ${projects.length} projects without a client record`);
+
+  // Group free-text client names that only differ by case or punctuation
+  const groups = {};
+  projects.forEach(project => {
+    const key = clientService.normalizeClientName(project.clientName);
+    groups[key] = groups[key] || { spellings: {}, projectIds: [] };
+    groups[key].spellings[project.clientName] = (groups[key].spellings[project.clientName] || 0) + 1;
+    groups[key].projectIds.push(project.id);
+  });
+
+  for (const group of Object.values(groups)) {
+    const canonicalName = pickCanonicalName(group.spellings);
+    const spellings = Object.keys(group.spellings);
+
+    console.log(`• ${canonicalName} ← ${spellings.join(', ')} (${group.projectIds.length} projects)`);
+
+    if (dryRun) {
+      continue;
+    }
+
+    const client = await clientService.findOrCreateClient(canonicalName);
+    const aliases = Array.from(new Set([...client.aliases, ...spellings]))
+      .filter(alias => alias !== client.name);
+
+    await prisma.client.update({
+      where: { id: client.id },
+      data: { aliases }
+    });
+
+    await prisma.project.updateMany({
+      where: { id: { in: group.projectIds } },
+      data: { clientId: client.id, clientName: client.name }
+    });
+  }
+}
+
+async function mergeDuplicateClients() {
+  const clients = await prisma.client.findMany({
+    include: {
+      _count: { select: { projects: true } }
+    }
+  });
+
+  const groups = {};
+  clients.forEach(client => {
+    const key = clientService.normalizeClientName(client.name);
+    groups[key] = groups[key] || [];
+    groups[key].push(client);
+  });
+
+  for (const duplicates of Object.values(groups)) {
+    if (duplicates.length < 2) {
+      continue;
+    }
+
+    // Keep the client with the most projects
+    const [target, ...sources] = duplicates.sort((a, b) => b._count.projects - a._count.projects);
+
+    for (const source of sources) {
+      console.log(`• Merging "${source.name}" into "${target.name}"`);
+
+      if (!dryRun) {
+        await clientService.mergeClients(source.id, target.id);
+      }
+    }
+  }
+}
+
+async function migrateClients() {
+  try {
+    console.log(`🏢 Migrating free-text client names to client records${dryRun ? ' (dry run)' : ''}...`);
+
+    await linkProjectsToClients();
+    await mergeDuplicateClients();
+
+    console.log('🎉 Client migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Error during client migration:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateClients()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('💥 Client migration failed:', error);
+    process.exit(1);
+  });
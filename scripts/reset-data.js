@@ -10,16 +10,24 @@ async function resetProjectData() {
     const deletedUpdates = await prisma.projectUpdate.deleteMany({});
     console.log(`✅ Deleted ${deletedUpdates.count} project updates`);
     
+    console.log('Deleting project events...');
+    const deletedEvents = await prisma.projectEvent.deleteMany({});
+    console.log(`✅ Deleted ${deletedEvents.count} project events`);
+    
     console.log('Deleting projects...');
     const deletedProjects = await prisma.project.deleteMany({});
     console.log(`✅ Deleted ${deletedProjects.count} projects`);
     
+    console.log('Deleting clients...');
+    const deletedClients = await prisma.client.deleteMany({});
+    console.log(`✅ Deleted ${deletedClients.count} clients`);
+    
     console.log('Deleting users...');
     const deletedUsers = await prisma.user.deleteMany({});
     console.log(`✅ Deleted ${deletedUsers.count} users`);
     
     console.log('🎉 Data reset completed successfully!');
-    console.log('📊 All projects, updates, and users have been removed');
+    console.log('📊 All projects, updates, clients, and users have been removed');
     
   } catch (error) {
     console.error('❌ Error during data reset:', error);
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const { prisma } = require('../src/config/database');
+const searchService = require('../src/services/searchService');
+
+// The full-text search indexes live outside the Prisma schema, so this runs
+// after `prisma db push` (see `npm run db:push`)
+async function createSearchIndexes() {
+  try {
+    console.log('🔎 Creating full-text search indexes...');
+
+    await searchService.ensureSearchIndexes();
+
+    console.log('🎉 Search indexes ready!');
+  } catch (error) {
+    console.error('❌ Error creating search indexes:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+createSearchIndexes()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('💥 Creating search indexes failed:', error);
+    process.exit(1);
+  });
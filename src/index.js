@@ -78,7 +78,7 @@ class ProjectTrackerBot {
           }
         },
         features: {
-          slashCommands: ['/project-new', '/project-update', '/project-list'],
+          slashCommands: ['/project-new', '/project-update', '/project-list', '/project-tasks', '/project-client', '/project-archive', '/project-log-time', '/project-template', '/project-risks', '/project-digest', '/project-search', '/project-approvals'],
           weeklyDigest: true,
           aiAnalysis: !!process.env.OPENAI_API_KEY
         }
@@ -0,0 +1,353 @@
+const { prisma } = require('../config/database');
+const projectService = require('./projectService');
+const logger = require('../config/logger');
+
+// Closing or cancelling a project affects billing, so out of the box both need
+// sign-off from the project's account managers
+const DEFAULT_RULES = [
+  { fromStatus: null, toStatus: 'COMPLETED', approverRole: 'ACCOUNT_MANAGER', approverIds: [] },
+  { fromStatus: null, toStatus: 'CANCELLED', approverRole: 'ACCOUNT_MANAGER', approverIds: [] }
+];
+
+const REQUEST_INCLUDE = {
+  project: {
+    include: {
+      members: {
+        include: {
+          user: true
+        }
+      }
+    }
+  },
+  rule: true,
+  requester: true,
+  decider: true
+};
+
+class ApprovalService {
+  async getAllRules() {
+    try {
+      return await prisma.approvalRule.findMany({
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting approval rules:', error);
+      throw error;
+    }
+  }
+
+  async getRule(ruleId) {
+    try {
+      return await prisma.approvalRule.findUnique({
+        where: { id: ruleId }
+      });
+    } catch (error) {
+      logger.error('Error getting approval rule:', error);
+      throw error;
+    }
+  }
+
+  // Any rule (on or off) for exactly this transition, to keep one rule per transition
+  async findTransitionRule(fromStatus, toStatus, excludeRuleId = null) {
+    try {
+      return await prisma.approvalRule.findFirst({
+        where: {
+          fromStatus: fromStatus || null,
+          toStatus,
+          ...(excludeRuleId && { id: { not: excludeRuleId } })
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding approval rule for transition:', error);
+      throw error;
+    }
+  }
+
+  async createRule(ruleData, creatorId = null) {
+    try {
+      const rule = await prisma.approvalRule.create({
+        data: {
+          fromStatus: ruleData.fromStatus || null,
+          toStatus: ruleData.toStatus,
+          approverRole: ruleData.approverRole || null,
+          approverIds: ruleData.approverIds || [],
+          enabled: ruleData.enabled !== false,
+          createdBy: creatorId
+        }
+      });
+
+      logger.info('Approval rule created', { ruleId: rule.id, toStatus: rule.toStatus, createdBy: creatorId });
+      return rule;
+    } catch (error) {
+      logger.error('Error creating approval rule:', error);
+      throw error;
+    }
+  }
+
+  async updateRule(ruleId, ruleData) {
+    try {
+      const rule = await prisma.approvalRule.update({
+        where: { id: ruleId },
+        data: {
+          fromStatus: ruleData.fromStatus || null,
+          toStatus: ruleData.toStatus,
+          approverRole: ruleData.approverRole || null,
+          approverIds: ruleData.approverIds || [],
+          enabled: ruleData.enabled !== false
+        }
+      });
+
+      logger.info('Approval rule updated', { ruleId, updatedFields: Object.keys(ruleData) });
+      return rule;
+    } catch (error) {
+      logger.error('Error updating approval rule:', error);
+      throw error;
+    }
+  }
+
+  // Installs start with the default rules. Rules are turned off rather than
+  // deleted, so this only runs once.
+  async ensureDefaultRules() {
+    try {
+      if (await prisma.approvalRule.count() > 0) {
+        return [];
+      }
+
+      const rules = [];
+      for (const ruleData of DEFAULT_RULES) {
+        rules.push(await this.createRule(ruleData));
+      }
+      return rules;
+    } catch (error) {
+      logger.error('Error creating default approval rules:', error);
+      throw error;
+    }
+  }
+
+  // The rule a status change falls under, if any. A rule for the exact
+  // transition wins over one from any status.
+  async findRule(fromStatus, toStatus) {
+    try {
+      const rules = await prisma.approvalRule.findMany({
+        where: {
+          enabled: true,
+          toStatus,
+          OR: [{ fromStatus }, { fromStatus: null }]
+        }
+      });
+      return rules.find(rule => rule.fromStatus === fromStatus) || rules[0] || null;
+    } catch (error) {
+      logger.error('Error finding approval rule:', error);
+      throw error;
+    }
+  }
+
+  // The project's team members with the rule's role and the rule's named users;
+  // admins when that leaves no one, or when the rule has since been removed.
+  // project must include members with their users.
+  async getApprovers(rule, project) {
+    try {
+      const approvers = new Map();
+
+      if (rule && rule.approverRole) {
+        project.members
+          .filter(member => member.role === rule.approverRole)
+          .forEach(member => approvers.set(member.user.id, member.user));
+      }
+
+      if (rule && rule.approverIds.length > 0) {
+        const users = await prisma.user.findMany({ where: { id: { in: rule.approverIds } } });
+        users.forEach(user => approvers.set(user.id, user));
+      }
+
+      if (approvers.size === 0) {
+        const admins = await prisma.user.findMany({ where: { role: 'admin' } });
+        admins.forEach(user => approvers.set(user.id, user));
+      }
+
+      return [...approvers.values()];
+    } catch (error) {
+      logger.error('Error getting approvers:', error);
+      throw error;
+    }
+  }
+
+  // Returns { rule, approvers } when changing the project to toStatus needs
+  // sign-off, or null when the user can change it straight away: there is no
+  // rule or they are an approver (or an admin) themselves. approvers is empty
+  // when there is no one to ask, and the change must not be made.
+  async checkStatusChange(project, toStatus, user) {
+    try {
+      if (!toStatus || toStatus === project.status) {
+        return null;
+      }
+
+      const rule = await this.findRule(project.status, toStatus);
+      if (!rule || user.role === 'admin') {
+        return null;
+      }
+
+      const approvers = await this.getApprovers(rule, project);
+      if (approvers.some(approver => approver.id === user.id)) {
+        return null;
+      }
+      if (approvers.length === 0) {
+        logger.warn('No approvers for status change, refusing it', { projectId: project.id, ruleId: rule.id, toStatus });
+      }
+
+      return { rule, approvers };
+    } catch (error) {
+      logger.error('Error checking status change approval:', error);
+      throw error;
+    }
+  }
+
+  async getRequest(requestId) {
+    try {
+      return await prisma.approvalRequest.findUnique({
+        where: { id: requestId },
+        include: REQUEST_INCLUDE
+      });
+    } catch (error) {
+      logger.error('Error getting approval request:', error);
+      throw error;
+    }
+  }
+
+  async getPendingRequest(projectId) {
+    try {
+      return await prisma.approvalRequest.findFirst({
+        where: { projectId, status: 'PENDING' },
+        include: REQUEST_INCLUDE,
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error getting pending approval request:', error);
+      throw error;
+    }
+  }
+
+  // A project has at most one pending request. Returns { request, created },
+  // with the pending request and created false when there already is one.
+  // A pending request from a status the project has since left is expired.
+  async createRequest(project, rule, toStatus, requesterId) {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const pending = await tx.approvalRequest.findFirst({
+          where: { projectId: project.id, status: 'PENDING' },
+          include: REQUEST_INCLUDE
+        });
+        if (pending && pending.fromStatus === project.status) {
+          return { request: pending, created: false };
+        }
+        if (pending) {
+          await tx.approvalRequest.update({
+            where: { id: pending.id },
+            data: { status: 'EXPIRED', decidedAt: new Date() }
+          });
+        }
+
+        const request = await tx.approvalRequest.create({
+          data: {
+            projectId: project.id,
+            ruleId: rule.id,
+            fromStatus: project.status,
+            toStatus,
+            requestedBy: requesterId
+          },
+          include: REQUEST_INCLUDE
+        });
+
+        await tx.projectEvent.create({
+          data: {
+            projectId: project.id,
+            projectName: project.name,
+            userId: requesterId,
+            type: 'APPROVAL_REQUESTED',
+            field: 'status',
+            oldValue: project.status,
+            newValue: toStatus
+          }
+        });
+
+        return { request, created: true };
+      });
+
+      if (result.created) {
+        logger.info('Approval requested', { requestId: result.request.id, projectId: project.id, toStatus, requestedBy: requesterId });
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error creating approval request:', error);
+      throw error;
+    }
+  }
+
+  // Approve or reject a pending request. Approving makes the status change.
+  // Returns null when the request was already decided, and the request with
+  // status EXPIRED when the project is no longer at its fromStatus.
+  async decideRequest(requestId, deciderId, approved) {
+    try {
+      // Claim the request first so two approvers can't both decide it
+      const { count } = await prisma.approvalRequest.updateMany({
+        where: { id: requestId, status: 'PENDING' },
+        data: {
+          status: approved ? 'APPROVED' : 'REJECTED',
+          decidedBy: deciderId,
+          decidedAt: new Date()
+        }
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const request = await this.getRequest(requestId);
+
+      // Deciding it now would undo whatever changed the status in the meantime
+      if (request.project.status !== request.fromStatus) {
+        const expired = await prisma.approvalRequest.update({
+          where: { id: requestId },
+          data: { status: 'EXPIRED', decidedBy: null },
+          include: REQUEST_INCLUDE
+        });
+        logger.info('Approval request expired', { requestId, fromStatus: request.fromStatus, projectStatus: request.project.status });
+        return expired;
+      }
+
+      const event = await prisma.projectEvent.create({
+        data: {
+          projectId: request.projectId,
+          projectName: request.project.name,
+          userId: deciderId,
+          type: approved ? 'APPROVAL_APPROVED' : 'APPROVAL_REJECTED',
+          field: 'status',
+          oldValue: request.fromStatus,
+          newValue: request.toStatus
+        }
+      });
+
+      let project = request.project;
+      if (approved) {
+        try {
+          project = await projectService.updateProject(request.projectId, { status: request.toStatus }, deciderId);
+        } catch (error) {
+          // Leave it for the approvers to try again
+          await prisma.projectEvent.delete({ where: { id: event.id } });
+          await prisma.approvalRequest.update({
+            where: { id: requestId },
+            data: { status: 'PENDING', decidedBy: null, decidedAt: null }
+          });
+          throw error;
+        }
+      }
+
+      logger.info('Approval request decided', { requestId, approved, decidedBy: deciderId });
+      return { ...request, project };
+    } catch (error) {
+      logger.error('Error deciding approval request:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ApprovalService();
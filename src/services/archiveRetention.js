@@ -0,0 +1,78 @@
+const cron = require('node-cron');
+const projectService = require('./projectService');
+const logger = require('../config/logger');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+class ArchiveRetentionService {
+  constructor() {
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+
+    const configuredDays = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10);
+    this.retentionDays = Number.isNaN(configuredDays) ? DEFAULT_RETENTION_DAYS : configuredDays;
+  }
+
+  // Purge expired archived projects every night at 3 AM.
+  // ARCHIVE_RETENTION_DAYS=0 disables purging entirely.
+  scheduleRetentionJob() {
+    if (this.isScheduled) {
+      logger.warn('Archive retention job already scheduled');
+      return;
+    }
+
+    if (this.retentionDays <= 0) {
+      logger.info('Archive retention disabled, archived projects are kept forever');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 3 * * *', async () => {
+      await this.purgeExpiredProjects();
+    }, {
+      scheduled: true,
+      timezone: "America/New_York"
+    });
+
+    this.isScheduled = true;
+    logger.info(`Archive retention job scheduled daily at 3:00 AM (${this.retentionDays} day retention)`);
+  }
+
+  async purgeExpiredProjects() {
+    try {
+      const purged = await projectService.purgeArchivedProjects(this.retentionDays);
+      this.lastRun = { at: new Date().toISOString(), purged };
+      return purged;
+    } catch (error) {
+      logger.error('Error running archive retention job:', error);
+      return 0;
+    }
+  }
+
+  stopRetentionJob() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Archive retention cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping archive retention task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getRetentionStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      retentionDays: this.retentionDays,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = ArchiveRetentionService;
@@ -0,0 +1,323 @@
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+class ClientService {
+  // "Acme Corp", "acme-corp" and "ACME CORP" all normalize to "acmecorp"
+  normalizeClientName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/^client-/, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  matchesClient(client, name) {
+    const key = this.normalizeClientName(name);
+    if (!key) {
+      return false;
+    }
+
+    return this.normalizeClientName(client.name) === key ||
+      client.aliases.some(alias => this.normalizeClientName(alias) === key);
+  }
+
+  async getAllClients(filters = {}) {
+    try {
+      const where = {};
+
+      if (filters.status) {
+        where.status = filters.status;
+      }
+
+      return await prisma.client.findMany({
+        where,
+        include: {
+          contacts: true
+        },
+        orderBy: { name: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting clients:', error);
+      throw error;
+    }
+  }
+
+  async getClient(clientId) {
+    try {
+      return await prisma.client.findUnique({
+        where: { id: clientId },
+        include: {
+          contacts: true
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting client:', error);
+      throw error;
+    }
+  }
+
+  async getClientByChannelId(slackChannelId) {
+    try {
+      return await prisma.client.findUnique({
+        where: { slackChannelId }
+      });
+    } catch (error) {
+      logger.error('Error getting client by channel:', error);
+      throw error;
+    }
+  }
+
+  // Match on canonical name or any alias, ignoring case and punctuation
+  async findClientByName(name) {
+    try {
+      const clients = await prisma.client.findMany();
+      return clients.find(client => this.matchesClient(client, name)) || null;
+    } catch (error) {
+      logger.error('Error finding client by name:', error);
+      throw error;
+    }
+  }
+
+  async findOrCreateClient(name, clientData = {}) {
+    try {
+      const trimmedName = name.trim();
+      let client = await this.findClientByName(trimmedName);
+
+      if (!client) {
+        client = await prisma.client.create({
+          data: {
+            name: trimmedName,
+            aliases: [],
+            slackChannelId: clientData.slackChannelId || null
+          }
+        });
+
+        logger.info('New client created', { clientId: client.id, name: client.name });
+      } else if (clientData.slackChannelId && !client.slackChannelId) {
+        client = await this.bindChannel(client.id, clientData.slackChannelId);
+      }
+
+      return client;
+    } catch (error) {
+      logger.error('Error finding or creating client:', error);
+      throw error;
+    }
+  }
+
+  async bindChannel(clientId, slackChannelId) {
+    try {
+      const client = await prisma.client.update({
+        where: { id: clientId },
+        data: { slackChannelId }
+      });
+
+      logger.info('Client channel bound', { clientId, slackChannelId });
+      return client;
+    } catch (error) {
+      logger.error('Error binding client channel:', error);
+      throw error;
+    }
+  }
+
+  // Make sure every `client-*` channel (from SlackService.getClientChannels)
+  // is bound to a client record, creating clients for new channels. Clients
+  // are loaded in two queries rather than per channel.
+  async syncClientChannels(clientChannels) {
+    try {
+      const boundClients = await prisma.client.findMany({
+        where: { slackChannelId: { in: clientChannels.map(channel => channel.channelId) } }
+      });
+      const clientsByChannel = new Map(boundClients.map(client => [client.slackChannelId, client]));
+      const unboundChannels = clientChannels.filter(channel => !clientsByChannel.has(channel.channelId));
+      // Only needed to match unbound channels to clients by name
+      const allClients = unboundChannels.length > 0 ? await prisma.client.findMany() : [];
+
+      const clients = [];
+
+      for (const channel of clientChannels) {
+        const boundClient = clientsByChannel.get(channel.channelId);
+        if (boundClient) {
+          clients.push(boundClient);
+          continue;
+        }
+
+        const existingClient = allClients.find(client => this.matchesClient(client, channel.displayName));
+        if (existingClient && existingClient.slackChannelId) {
+          // Already bound to a different channel; leave the binding alone
+          logger.warn('Client channel not bound, client already has a channel', {
+            clientId: existingClient.id,
+            channelId: channel.channelId
+          });
+          clients.push(existingClient);
+          continue;
+        }
+
+        const client = existingClient
+          ? await this.bindChannel(existingClient.id, channel.channelId)
+          : await prisma.client.create({
+            data: {
+              name: channel.displayName.trim(),
+              aliases: [],
+              slackChannelId: channel.channelId
+            }
+          });
+
+        // Later channels see this binding
+        if (existingClient) {
+          allClients[allClients.indexOf(existingClient)] = client;
+        } else {
+          allClients.push(client);
+          logger.info('New client created', { clientId: client.id, name: client.name });
+        }
+        clients.push(client);
+      }
+
+      return clients;
+    } catch (error) {
+      logger.error('Error syncing client channels:', error);
+      throw error;
+    }
+  }
+
+  // Clients that have at least one project, for filter dropdowns
+  async getClientsWithProjects() {
+    try {
+      const clients = await prisma.client.findMany({
+        where: {
+          projects: { some: { archivedAt: null } }
+        },
+        orderBy: { name: 'asc' }
+      });
+
+      logger.info('Clients with projects fetched', { count: clients.length });
+      return clients;
+    } catch (error) {
+      logger.error('Error getting clients with projects:', error);
+      throw error;
+    }
+  }
+
+  async updateClient(clientId, clientData) {
+    try {
+      const client = await prisma.$transaction(async (tx) => {
+        const updated = await tx.client.update({
+          where: { id: clientId },
+          data: {
+            name: clientData.name,
+            aliases: clientData.aliases,
+            slackChannelId: clientData.slackChannelId,
+            status: clientData.status,
+            captureSignals: clientData.captureSignals
+          }
+        });
+
+        if (clientData.contacts) {
+          await tx.clientContact.deleteMany({ where: { clientId } });
+          if (clientData.contacts.length > 0) {
+            await tx.clientContact.createMany({
+              data: clientData.contacts.map(contact => ({ ...contact, clientId }))
+            });
+          }
+        }
+
+        // Keep the denormalized project client names in step with a rename
+        await tx.project.updateMany({
+          where: { clientId },
+          data: { clientName: updated.name }
+        });
+
+        return updated;
+      });
+
+      logger.info('Client updated', { clientId, updatedFields: Object.keys(clientData) });
+      return client;
+    } catch (error) {
+      logger.error('Error updating client:', error);
+      throw error;
+    }
+  }
+
+  async createClient(clientData) {
+    try {
+      const client = await prisma.client.create({
+        data: {
+          name: clientData.name,
+          aliases: clientData.aliases || [],
+          slackChannelId: clientData.slackChannelId || null,
+          status: clientData.status || 'ACTIVE',
+          captureSignals: clientData.captureSignals || false,
+          contacts: {
+            create: clientData.contacts || []
+          }
+        }
+      });
+
+      logger.info('Client created', { clientId: client.id, name: client.name });
+      return client;
+    } catch (error) {
+      logger.error('Error creating client:', error);
+      throw error;
+    }
+  }
+
+  // Fold a duplicate client into another one: projects, contacts and digest subscriptions move over,
+  // and the duplicate's name and aliases become aliases of the target
+  async mergeClients(sourceId, targetId) {
+    try {
+      if (sourceId === targetId) {
+        throw new Error('Cannot merge a client into itself');
+      }
+
+      const client = await prisma.$transaction(async (tx) => {
+        const source = await tx.client.findUnique({ where: { id: sourceId } });
+        const target = await tx.client.findUnique({ where: { id: targetId } });
+
+        if (!source || !target) {
+          throw new Error('Client not found');
+        }
+
+        const aliases = Array.from(new Set([...target.aliases, source.name, ...source.aliases]))
+          .filter(alias => alias !== target.name);
+
+        await tx.project.updateMany({
+          where: { clientId: sourceId },
+          data: { clientId: targetId, clientName: target.name }
+        });
+
+        await tx.clientContact.updateMany({
+          where: { clientId: sourceId },
+          data: { clientId: targetId }
+        });
+
+        await tx.digestSubscription.updateMany({
+          where: { clientId: sourceId },
+          data: { clientId: targetId }
+        });
+
+        await tx.statusSignal.updateMany({
+          where: { clientId: sourceId },
+          data: { clientId: targetId }
+        });
+
+        await tx.client.delete({ where: { id: sourceId } });
+
+        return tx.client.update({
+          where: { id: targetId },
+          data: {
+            aliases,
+            slackChannelId: target.slackChannelId || source.slackChannelId,
+            // Signal capture goes with the channel
+            captureSignals: target.slackChannelId ? target.captureSignals : source.captureSignals
+          }
+        });
+      });
+
+      logger.info('Clients merged', { sourceId, targetId });
+      return client;
+    } catch (error) {
+      logger.error('Error merging clients:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClientService();
@@ -0,0 +1,112 @@
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+class CommentService {
+  // An update with its project, author and comments (oldest first); null once deleted
+  async getUpdateWithComments(updateId) {
+    try {
+      return await prisma.projectUpdate.findFirst({
+        where: { id: updateId, deletedAt: null },
+        include: {
+          user: true,
+          project: true,
+          comments: {
+            orderBy: { createdAt: 'asc' },
+            include: {
+              user: true
+            }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting update comments:', error);
+      throw error;
+    }
+  }
+
+  // slackMessage ({ channelId, messageTs }) is set for Slack thread replies.
+  // Returns null if that reply was already stored, e.g. when Slack retries an event.
+  async addComment(updateId, userId, content, slackMessage = null) {
+    try {
+      const comment = await prisma.updateComment.create({
+        data: {
+          updateId,
+          userId,
+          content,
+          slackChannelId: slackMessage ? slackMessage.channelId : null,
+          slackMessageTs: slackMessage ? slackMessage.messageTs : null
+        },
+        include: {
+          user: true
+        }
+      });
+
+      logger.info('Update comment added', { commentId: comment.id, updateId, userId, fromThread: !!slackMessage });
+      return comment;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        logger.info('Thread reply already stored as a comment', { updateId, ...slackMessage });
+        return null;
+      }
+      logger.error('Error adding update comment:', error);
+      throw error;
+    }
+  }
+
+  // Remember a Slack message posted about an update so replies in its thread become comments.
+  // broadcast ({ statusChange }) marks a channel post of the update itself.
+  async recordUpdateMessage(updateId, channelId, messageTs, broadcast = null) {
+    try {
+      await prisma.projectUpdateMessage.createMany({
+        data: [{
+          updateId,
+          channelId,
+          messageTs,
+          broadcast: !!broadcast,
+          statusChange: broadcast ? broadcast.statusChange || null : null
+        }],
+        skipDuplicates: true
+      });
+    } catch (error) {
+      logger.error('Error recording update message:', error);
+      throw error;
+    }
+  }
+
+  // Channel posts of an update, to redraw after an edit or delete
+  async getBroadcastMessages(updateId) {
+    try {
+      return await prisma.projectUpdateMessage.findMany({
+        where: { updateId, broadcast: true }
+      });
+    } catch (error) {
+      logger.error('Error getting update broadcasts:', error);
+      throw error;
+    }
+  }
+
+  // The update a Slack message was posted about, or null for any other message
+  // or a deleted update
+  async findUpdateByMessage(channelId, messageTs) {
+    try {
+      const updateMessage = await prisma.projectUpdateMessage.findUnique({
+        where: { channelId_messageTs: { channelId, messageTs } },
+        include: {
+          update: {
+            include: {
+              user: true,
+              project: true
+            }
+          }
+        }
+      });
+
+      return updateMessage && !updateMessage.update.deletedAt ? updateMessage.update : null;
+    } catch (error) {
+      logger.error('Error finding update by message:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CommentService();
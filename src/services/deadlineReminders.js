@@ -0,0 +1,308 @@
+const cron = require('node-cron');
+const projectService = require('./projectService');
+const userService = require('./userService');
+const logger = require('../config/logger');
+
+const REMINDER_TIMEZONE = 'America/New_York';
+const DEFAULT_REMINDER_DAYS = [7, 2, 0];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// offsetDays used for the overdue alert the day after a missed deadline
+const OVERDUE_OFFSET = -1;
+// Overdue alerts still go out if the job was down the day after the deadline,
+// but not for deadlines missed long ago
+const OVERDUE_WINDOW_DAYS = 7;
+const SNOOZE_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 3, label: '3 days' },
+  { days: 7, label: '1 week' }
+];
+
+// "7,2,0" -> [7, 2, 0]; falls back to the defaults if nothing valid is configured
+const parseReminderDays = (value) => {
+  const days = (value || '')
+    .split(',')
+    .map(day => parseInt(day.trim(), 10))
+    .filter(day => !Number.isNaN(day) && day >= 0);
+
+  return days.length > 0
+    ? [...new Set(days)].sort((a, b) => b - a)
+    : DEFAULT_REMINDER_DAYS;
+};
+
+// Deadlines come from a date picker and are stored as midnight UTC
+const formatDeadline = (deadline) => new Date(deadline).toLocaleDateString('en-US', {
+  timeZone: 'UTC',
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+const pluralizeDays = (days) => `${days} day${days === 1 ? '' : 's'}`;
+
+class DeadlineReminderService {
+  constructor(slackClient) {
+    this.client = slackClient;
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+
+    this.reminderDays = parseReminderDays(process.env.DEADLINE_REMINDER_DAYS);
+    this.alertChannelId = process.env.DEADLINE_ALERT_CHANNEL_ID || null;
+  }
+
+  // Send deadline reminders every morning at 8 AM
+  scheduleReminderJob() {
+    if (this.isScheduled) {
+      logger.warn('Deadline reminder job already scheduled');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 8 * * *', async () => {
+      await this.sendDueReminders();
+    }, {
+      scheduled: true,
+      timezone: REMINDER_TIMEZONE
+    });
+
+    this.isScheduled = true;
+    logger.info(`Deadline reminder job scheduled daily at 8:00 AM (${this.reminderDays.join(', ')} days before)`);
+  }
+
+  // Whole days from today (in the reminder timezone) to the deadline; negative once it has passed
+  getDaysUntil(deadline, today) {
+    const deadlineDay = Date.parse(new Date(deadline).toISOString().slice(0, 10));
+    return Math.round((deadlineDay - Date.parse(today)) / DAY_MS);
+  }
+
+  // The reminder that applies today: the closest configured offset the
+  // deadline has reached, so a reminder missed while the bot was down (or
+  // snoozed) is replaced by the current one rather than sent late
+  getReminderOffset(daysUntil) {
+    if (daysUntil < 0) {
+      return daysUntil >= -OVERDUE_WINDOW_DAYS ? OVERDUE_OFFSET : null;
+    }
+
+    const reached = this.reminderDays.filter(offset => offset >= daysUntil);
+    return reached.length > 0 ? Math.min(...reached) : null;
+  }
+
+  // Every reminder is claimed in the database before it is sent, so restarts
+  // and overlapping runs never send the same one twice
+  async sendDueReminders() {
+    let sent = 0;
+
+    try {
+      const now = new Date();
+      const today = now.toLocaleDateString('en-CA', { timeZone: REMINDER_TIMEZONE });
+      const todayStart = new Date(today);
+
+      const projects = await projectService.getProjectsWithDeadlines(
+        new Date(todayStart.getTime() - OVERDUE_WINDOW_DAYS * DAY_MS),
+        new Date(todayStart.getTime() + (this.reminderDays[0] + 1) * DAY_MS - 1)
+      );
+
+      for (const project of projects) {
+        const daysUntil = this.getDaysUntil(project.deadline, today);
+        const offset = this.getReminderOffset(daysUntil);
+        if (offset === null) {
+          continue;
+        }
+
+        // One failing project shouldn't stop the others from being reminded
+        try {
+          const lead = project.assignee;
+          const snoozed = lead?.remindersSnoozedUntil && lead.remindersSnoozedUntil > now;
+
+          if (lead && !snoozed &&
+              await projectService.claimDeadlineReminder(project.id, project.deadline, offset, lead.slackUserId)) {
+            await this.remindLead(project, daysUntil);
+            sent++;
+          }
+
+          if (offset === OVERDUE_OFFSET && this.alertChannelId &&
+              await projectService.claimDeadlineReminder(project.id, project.deadline, offset, this.alertChannelId)) {
+            await this.postOverdueAlert(project, daysUntil);
+            sent++;
+          }
+        } catch (error) {
+          logger.error('Error sending deadline reminder:', {
+            projectId: project.id,
+            error: error.message
+          });
+        }
+      }
+
+      this.lastRun = { at: now.toISOString(), sent };
+      if (sent > 0) {
+        logger.info('Deadline reminders sent', { sent });
+      }
+    } catch (error) {
+      logger.error('Error running deadline reminder job:', error);
+    }
+
+    return sent;
+  }
+
+  getReminderText(project, daysUntil) {
+    const name = `*${project.name}* (${project.clientName})`;
+
+    if (daysUntil < 0) {
+      return `🚨 ${name} missed its deadline on ${formatDeadline(project.deadline)} (${pluralizeDays(-daysUntil)} ago)`;
+    }
+    if (daysUntil === 0) {
+      return `📅 ${name} is due today`;
+    }
+    return `📅 ${name} is due in ${pluralizeDays(daysUntil)}, on ${formatDeadline(project.deadline)}`;
+  }
+
+  async remindLead(project, daysUntil) {
+    const text = this.getReminderText(project, daysUntil);
+
+    await this.client.chat.postMessage({
+      channel: project.assignee.slackUserId,
+      text: text.replace(/\*/g, ''),
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "View Details"
+              },
+              action_id: "view_project_details",
+              value: project.id
+            },
+            {
+              type: "overflow",
+              action_id: "deadline_reminder_snooze",
+              options: SNOOZE_OPTIONS.map(option => ({
+                text: {
+                  type: "plain_text",
+                  text: `Snooze reminders ${option.label}`
+                },
+                value: String(option.days)
+              }))
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async postOverdueAlert(project, daysUntil) {
+    const leadText = project.assignee ? `Lead: <@${project.assignee.slackUserId}>` : 'No project lead';
+
+    await this.client.chat.postMessage({
+      channel: this.alertChannelId,
+      text: this.getReminderText(project, daysUntil).replace(/\*/g, ''),
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${this.getReminderText(project, daysUntil)}\n${leadText}`
+          },
+          accessory: {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "View Details"
+            },
+            action_id: "view_project_details",
+            value: project.id
+          }
+        }
+      ]
+    });
+  }
+
+  // Snooze all of the user's deadline reminders for the picked number of days
+  async handleSnooze({ ack, body, client }) {
+    await ack();
+
+    try {
+      const option = SNOOZE_OPTIONS.find(snooze => String(snooze.days) === body.actions[0].selected_option.value);
+      await userService.snoozeReminders(body.user.id, new Date(Date.now() + option.days * DAY_MS));
+      const text = `😴 Deadline reminders snoozed for ${option.label}.`;
+
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `${text} When the snooze ends you'll get the latest reminder for each project.`
+            },
+            accessory: {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "Turn back on"
+              },
+              action_id: "deadline_reminder_resume",
+              value: "resume"
+            }
+          }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error snoozing deadline reminders:', error);
+    }
+  }
+
+  async handleResume({ ack, body, client }) {
+    await ack();
+
+    try {
+      await userService.snoozeReminders(body.user.id, null);
+
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "🔔 Deadline reminders are back on."
+      });
+    } catch (error) {
+      logger.error('Error resuming deadline reminders:', error);
+    }
+  }
+
+  stopReminderJob() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Deadline reminder cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping deadline reminder task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getReminderStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      reminderDays: this.reminderDays,
+      alertChannel: Boolean(this.alertChannelId),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = DeadlineReminderService;
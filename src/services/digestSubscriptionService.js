@@ -0,0 +1,126 @@
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+const SUBSCRIPTION_INCLUDE = {
+  client: {
+    select: { id: true, name: true }
+  }
+};
+
+class DigestSubscriptionService {
+  async getAllSubscriptions() {
+    try {
+      return await prisma.digestSubscription.findMany({
+        include: SUBSCRIPTION_INCLUDE,
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting digest subscriptions:', error);
+      throw error;
+    }
+  }
+
+  async getSubscription(subscriptionId) {
+    try {
+      return await prisma.digestSubscription.findUnique({
+        where: { id: subscriptionId },
+        include: SUBSCRIPTION_INCLUDE
+      });
+    } catch (error) {
+      logger.error('Error getting digest subscription:', error);
+      throw error;
+    }
+  }
+
+  async createSubscription(subscriptionData, creatorId = null) {
+    try {
+      const subscription = await prisma.digestSubscription.create({
+        data: {
+          channelId: subscriptionData.channelId,
+          clientId: subscriptionData.clientId || null,
+          schedule: subscriptionData.schedule,
+          timezone: subscriptionData.timezone,
+          sections: subscriptionData.sections,
+          createdBy: creatorId
+        },
+        include: SUBSCRIPTION_INCLUDE
+      });
+
+      logger.info('Digest subscription created', {
+        subscriptionId: subscription.id,
+        channelId: subscription.channelId,
+        createdBy: creatorId
+      });
+      return subscription;
+    } catch (error) {
+      logger.error('Error creating digest subscription:', error);
+      throw error;
+    }
+  }
+
+  async updateSubscription(subscriptionId, subscriptionData) {
+    try {
+      const subscription = await prisma.digestSubscription.update({
+        where: { id: subscriptionId },
+        data: {
+          channelId: subscriptionData.channelId,
+          clientId: subscriptionData.clientId || null,
+          schedule: subscriptionData.schedule,
+          timezone: subscriptionData.timezone,
+          sections: subscriptionData.sections
+        },
+        include: SUBSCRIPTION_INCLUDE
+      });
+
+      logger.info('Digest subscription updated', { subscriptionId, updatedFields: Object.keys(subscriptionData) });
+      return subscription;
+    } catch (error) {
+      logger.error('Error updating digest subscription:', error);
+      throw error;
+    }
+  }
+
+  async deleteSubscription(subscriptionId) {
+    try {
+      const subscription = await prisma.digestSubscription.delete({
+        where: { id: subscriptionId },
+        include: SUBSCRIPTION_INCLUDE
+      });
+
+      logger.info('Digest subscription deleted', { subscriptionId });
+      return subscription;
+    } catch (error) {
+      logger.error('Error deleting digest subscription:', error);
+      throw error;
+    }
+  }
+
+  async markSent(subscriptionId) {
+    try {
+      return await prisma.digestSubscription.update({
+        where: { id: subscriptionId },
+        data: { lastSentAt: new Date() }
+      });
+    } catch (error) {
+      logger.error('Error marking digest subscription sent:', error);
+      throw error;
+    }
+  }
+
+  // Installs that predate subscriptions posted one digest to GENERAL_CHANNEL_ID;
+  // keep it by creating that subscription when none exist yet
+  async ensureDefaultSubscription(channelId, defaults) {
+    try {
+      if (!channelId || await prisma.digestSubscription.count() > 0) {
+        return null;
+      }
+
+      return await this.createSubscription({ channelId, ...defaults });
+    } catch (error) {
+      logger.error('Error creating default digest subscription:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DigestSubscriptionService();
@@ -0,0 +1,70 @@
+const cron = require('node-cron');
+const projectService = require('./projectService');
+const logger = require('../config/logger');
+
+const SNAPSHOT_TIMEZONE = 'America/New_York';
+
+class HealthSnapshotService {
+  constructor() {
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+  }
+
+  // Record every project's health score once a day at 6 AM
+  scheduleSnapshotJob() {
+    if (this.isScheduled) {
+      logger.warn('Health snapshot job already scheduled');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 6 * * *', async () => {
+      await this.recordSnapshots();
+    }, {
+      scheduled: true,
+      timezone: SNAPSHOT_TIMEZONE
+    });
+
+    this.isScheduled = true;
+    logger.info('Health snapshot job scheduled daily at 6:00 AM');
+  }
+
+  async recordSnapshots() {
+    try {
+      // Snapshots are dated in the job's timezone, not UTC
+      const snapshotDate = new Date().toLocaleDateString('en-CA', { timeZone: SNAPSHOT_TIMEZONE });
+      const recorded = await projectService.recordHealthSnapshots(snapshotDate);
+      this.lastRun = { at: new Date().toISOString(), recorded };
+      return recorded;
+    } catch (error) {
+      logger.error('Error running health snapshot job:', error);
+      return 0;
+    }
+  }
+
+  stopSnapshotJob() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Health snapshot cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping health snapshot task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getSnapshotStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = HealthSnapshotService;
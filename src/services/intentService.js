@@ -0,0 +1,333 @@
+const { prisma } = require('../config/database');
+const projectService = require('./projectService');
+const userService = require('./userService');
+const openaiService = require('./openai');
+const logger = require('../config/logger');
+
+const STATUS_LABELS = {
+  PLANNING: 'Planning',
+  IN_PROGRESS: 'In Progress',
+  ON_HOLD: 'On Hold',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+// What people type for each status
+const STATUS_WORDS = {
+  planning: 'PLANNING',
+  'in progress': 'IN_PROGRESS',
+  active: 'IN_PROGRESS',
+  started: 'IN_PROGRESS',
+  'on hold': 'ON_HOLD',
+  paused: 'ON_HOLD',
+  completed: 'COMPLETED',
+  complete: 'COMPLETED',
+  done: 'COMPLETED',
+  finished: 'COMPLETED',
+  cancelled: 'CANCELLED',
+  canceled: 'CANCELLED'
+};
+
+// "can you …?" around a request, dropped before the rules are tried
+const REQUEST_PREFIX = /^(?:can|could|will|would)\s+you\s+/i;
+
+const STATUS_PATTERN = Object.keys(STATUS_WORDS).map(word => word.replace(' ', '[ _-]')).join('|');
+
+// Rule-based fallback for when the AI is unavailable. Each rule returns an
+// intent for the message or null.
+const RULES = [
+  // "mark Acme website as on hold", "set Beta app to done", "move Neb SEO to in progress"
+  (text) => {
+    const match = text.match(new RegExp(`^(?:please\\s+)?(?:mark|set|move|change|switch|put)\\s+(.+?)\\s+(?:as|to|status to|into|on|in)\\s+(${STATUS_PATTERN})[.!]?$`, 'i'));
+    return match && {
+      action: 'SET_STATUS',
+      project: match[1],
+      status: STATUS_WORDS[match[2].toLowerCase().replace(/[_-]/, ' ')]
+    };
+  },
+  // "pause Acme website", "complete Beta app", "cancel Neb SEO"
+  (text) => {
+    const match = text.match(/^(?:please\s+)?(pause|complete|finish|cancel)\s+(.+?)[.!]?$/i);
+    const statuses = { pause: 'ON_HOLD', complete: 'COMPLETED', finish: 'COMPLETED', cancel: 'CANCELLED' };
+    return match && { action: 'SET_STATUS', project: match[2], status: statuses[match[1].toLowerCase()] };
+  },
+  // "add update to Neb SEO: launched landing page"
+  (text) => {
+    const match = text.match(/^(?:please\s+)?(?:add|post|log)\s+(?:an?\s+)?update\s+(?:to|for|on)\s+(.+?)\s*:\s*([\s\S]+)$/i);
+    return match && { action: 'ADD_UPDATE', project: match[1], content: match[2].trim() };
+  },
+  // "assign Beta app to @jane"
+  (text) => {
+    const match = text.match(/^(?:please\s+)?(?:assign|hand)\s+(.+?)\s+(?:over\s+)?to\s+(<@\w+(?:\|[^>]*)?>|@?[\w.' -]+?)[.!]?$/i);
+    return match && { action: 'ASSIGN', project: match[1], assignee: match[2] };
+  },
+  // "make @jane the lead on Beta app"
+  (text) => {
+    const match = text.match(/^(?:please\s+)?make\s+(<@\w+(?:\|[^>]*)?>|@?[\w.' -]+?)\s+(?:the\s+)?(?:project\s+)?lead\s+(?:of|on|for)\s+(.+?)[.!]?$/i);
+    return match && { action: 'ASSIGN', project: match[2], assignee: match[1] };
+  }
+];
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// How well a reference like "Acme website" fits a project: every word must
+// start a word of the client or project name; more name words covered wins
+const scoreProject = (reference, project) => {
+  const referenceWords = tokenize(reference).filter(word => word !== 'project' && word !== 'the');
+  const projectWords = tokenize(`${project.clientName} ${project.name}`);
+
+  if (referenceWords.length === 0 || !referenceWords.every(word => projectWords.some(candidate => candidate.startsWith(word)))) {
+    return 0;
+  }
+
+  const nameWords = tokenize(project.name);
+  const covered = nameWords.filter(word => referenceWords.some(referenceWord => word.startsWith(referenceWord))).length;
+  return referenceWords.length + covered / nameWords.length;
+};
+
+class IntentService {
+  // An action requested in a DM, from the AI or else the rules, or null when
+  // the message isn't one
+  async parseIntent(text) {
+    try {
+      const trimmed = (text || '').trim();
+      const aiIntent = await openaiService.parseProjectCommand(trimmed);
+      if (aiIntent && aiIntent.action) {
+        return { ...aiIntent, source: 'ai' };
+      }
+
+      const request = REQUEST_PREFIX.test(trimmed)
+        ? trimmed.replace(REQUEST_PREFIX, '').replace(/\?$/, '')
+        : trimmed;
+      for (const rule of RULES) {
+        const intent = rule(request);
+        if (intent) {
+          return { ...intent, source: 'rules' };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error parsing intent:', error);
+      throw error;
+    }
+  }
+
+  // The project a reference points to among active (non-archived) projects.
+  // Returns { project } or { error } when nothing or more than one project fits.
+  async findProject(reference) {
+    try {
+      const projects = await projectService.getAllProjects();
+      const scored = projects
+        .map(project => ({ project, score: scoreProject(reference, project) }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+      if (scored.length === 0) {
+        return { error: `I couldn't find a project matching "${reference}".` };
+      }
+
+      const best = scored.filter(candidate => candidate.score === scored[0].score);
+      if (best.length > 1) {
+        const names = best.slice(0, 5).map(({ project }) => `*${project.name}* (${project.clientName})`).join(', ');
+        return { error: `"${reference}" could be ${names}. Which one? Add the client or more of the name.` };
+      }
+
+      return { project: best[0].project };
+    } catch (error) {
+      logger.error('Error finding project for intent:', error);
+      throw error;
+    }
+  }
+
+  // Check the intent against the data. Returns the action ready to confirm
+  // ({ action, projectId, summary, ... }) or { error }.
+  async resolveIntent(intent, slackService) {
+    try {
+      const { project, error } = await this.findProject(intent.project);
+      if (error) {
+        return { error };
+      }
+
+      const projectText = `*${project.name}* (${project.clientName})`;
+
+      if (intent.action === 'SET_STATUS') {
+        if (!STATUS_LABELS[intent.status]) {
+          return { error: `I don't know the status "${intent.status}".` };
+        }
+        if (project.status === intent.status) {
+          return { error: `${projectText} is already ${STATUS_LABELS[intent.status]}.` };
+        }
+        return {
+          action: intent.action,
+          projectId: project.id,
+          fromStatus: project.status,
+          status: intent.status,
+          summary: `Change ${projectText} from ${STATUS_LABELS[project.status]} to *${STATUS_LABELS[intent.status]}*?`
+        };
+      }
+
+      if (intent.action === 'ADD_UPDATE') {
+        const content = (intent.content || '').trim();
+        if (!content) {
+          return { error: `What should the update on ${projectText} say? Try "add update to ${project.name}: <your update>".` };
+        }
+        if (content.length > 1000) {
+          return { error: 'Updates can be at most 1000 characters. Use `/project-update` for longer ones.' };
+        }
+        return {
+          action: intent.action,
+          projectId: project.id,
+          content,
+          summary: `Add this update to ${projectText}?\n>${content.replace(/\n/g, '\n>')}`
+        };
+      }
+
+      if (intent.action === 'ASSIGN') {
+        const assignee = await this.findAssignee(intent.assignee, slackService);
+        if (!assignee) {
+          return { error: `I couldn't find "${intent.assignee}". Mention them with @ to be sure.` };
+        }
+        if (project.assignedTo === assignee.id) {
+          return { error: `${assignee.name} already leads ${projectText}.` };
+        }
+        return {
+          action: intent.action,
+          projectId: project.id,
+          fromAssigneeId: project.assignedTo,
+          assigneeId: assignee.id,
+          summary: `Make *${assignee.name}* the project lead of ${projectText}${project.assignee ? ` instead of ${project.assignee.name}` : ''}?`
+        };
+      }
+
+      return { error: "I can change a project's status, add an update or assign a project lead." };
+    } catch (error) {
+      logger.error('Error resolving intent:', error);
+      throw error;
+    }
+  }
+
+  // A Slack mention (<@U123>) or a name of someone already known to the bot
+  async findAssignee(reference, slackService) {
+    try {
+      const mention = (reference || '').match(/<@(\w+)(?:\|[^>]*)?>/);
+      if (mention) {
+        const userInfo = await slackService.getUserInfo(mention[1]);
+        return userInfo
+          ? await userService.findOrCreateUser(mention[1], { name: userInfo.name, email: userInfo.email })
+          : null;
+      }
+
+      const name = (reference || '').replace(/^@/, '').trim();
+      return name ? await userService.findUserByName(name) : null;
+    } catch (error) {
+      logger.error('Error finding assignee for intent:', error);
+      throw error;
+    }
+  }
+
+  // Keep a resolved action until it is confirmed or cancelled. The Confirm
+  // button carries only the returned action's id.
+  async saveAction(resolved, slackUserId) {
+    try {
+      return await prisma.dmAction.create({
+        data: {
+          slackUserId,
+          action: resolved.action,
+          projectId: resolved.projectId,
+          fromStatus: resolved.fromStatus || null,
+          toStatus: resolved.status || null,
+          content: resolved.content || null,
+          fromAssigneeId: resolved.fromAssigneeId || null,
+          assigneeId: resolved.assigneeId || null
+        }
+      });
+    } catch (error) {
+      logger.error('Error saving DM action:', error);
+      throw error;
+    }
+  }
+
+  // Claim a pending action for the user who asked for it, so a double click or
+  // an old Confirm button can't run it twice. Returns the intent to run, or
+  // null when it was already confirmed or cancelled.
+  async claimAction(actionId, slackUserId) {
+    try {
+      const { count } = await prisma.dmAction.updateMany({
+        where: { id: actionId, slackUserId, status: 'PENDING' },
+        data: { status: 'DONE' }
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const dmAction = await prisma.dmAction.findUnique({ where: { id: actionId } });
+      return {
+        action: dmAction.action,
+        projectId: dmAction.projectId,
+        fromStatus: dmAction.fromStatus,
+        status: dmAction.toStatus,
+        content: dmAction.content,
+        fromAssigneeId: dmAction.fromAssigneeId,
+        assigneeId: dmAction.assigneeId
+      };
+    } catch (error) {
+      logger.error('Error claiming DM action:', error);
+      throw error;
+    }
+  }
+
+  // Put a claimed action back when running it failed, so it can be tried again
+  async releaseAction(actionId) {
+    try {
+      await prisma.dmAction.update({
+        where: { id: actionId },
+        data: { status: 'PENDING' }
+      });
+    } catch (error) {
+      logger.error('Error releasing DM action:', error);
+      throw error;
+    }
+  }
+
+  // Returns false if the action was already confirmed or cancelled
+  async cancelAction(actionId, slackUserId) {
+    try {
+      const { count } = await prisma.dmAction.updateMany({
+        where: { id: actionId, slackUserId, status: 'PENDING' },
+        data: { status: 'CANCELLED' }
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error cancelling DM action:', error);
+      throw error;
+    }
+  }
+
+  // Run a confirmed action for the acting user. Returns the result for the reply.
+  async executeIntent(intent, actorId) {
+    try {
+      if (intent.action === 'SET_STATUS') {
+        const project = await projectService.updateProject(intent.projectId, { status: intent.status }, actorId);
+        return { project, text: `✅ *${project.name}* (${project.clientName}) is now *${STATUS_LABELS[project.status]}*.` };
+      }
+
+      if (intent.action === 'ADD_UPDATE') {
+        const update = await projectService.addProjectUpdate(intent.projectId, actorId, intent.content);
+        return { update, text: `✅ Update added to *${update.project.name}* (${update.project.clientName}).` };
+      }
+
+      if (intent.action === 'ASSIGN') {
+        const project = await projectService.updateProject(intent.projectId, { assignedTo: intent.assigneeId }, actorId);
+        return { project, text: `✅ *${project.assignee.name}* now leads *${project.name}* (${project.clientName}).` };
+      }
+
+      throw new Error(`Unknown action ${intent.action}`);
+    } catch (error) {
+      logger.error('Error executing intent:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new IntentService();
@@ -0,0 +1,238 @@
+const projectService = require('./projectService');
+const clientService = require('./clientService');
+const userService = require('./userService');
+const logger = require('../config/logger');
+
+// Project changes people can be notified about, by the ProjectEvent type they come from
+const NOTIFICATION_TYPES = {
+  STATUS_CHANGED: 'STATUS',
+  LEAD_CHANGED: 'LEAD',
+  DEADLINE_CHANGED: 'DEADLINE'
+};
+
+const NOTIFICATION_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Status changes"
+    },
+    value: "STATUS"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "Project lead changes"
+    },
+    value: "LEAD"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "Deadline changes"
+    },
+    value: "DEADLINE"
+  }
+];
+
+const REASON_TEXT = {
+  lead: "You lead this project",
+  formerLead: "You were the project lead",
+  follower: "You follow this project"
+};
+
+const formatValue = (value) => value ? value.replace('_', ' ') : 'none';
+
+const describeChange = (event) => {
+  switch (event.type) {
+    case 'STATUS_CHANGED':
+      return `Status: ${formatValue(event.oldValue)} → *${formatValue(event.newValue)}*`;
+    case 'LEAD_CHANGED':
+      return `Project lead: ${event.oldValue || 'No Project Lead'} → *${event.newValue || 'No Project Lead'}*`;
+    case 'DEADLINE_CHANGED':
+      return `Deadline: ${event.oldValue || 'none'} → *${event.newValue || 'none'}*`;
+    default:
+      return null;
+  }
+};
+
+class NotificationDispatcher {
+  constructor(slackClient) {
+    this.client = slackClient;
+    this.listener = null;
+    this.lastDispatch = null;
+  }
+
+  // Listen for status, lead and deadline changes made through ProjectService.updateProject
+  start() {
+    if (this.listener) {
+      logger.warn('Notification dispatcher already started');
+      return;
+    }
+
+    this.listener = (change) => this.dispatch(change);
+    projectService.on('projectChanged', this.listener);
+    logger.info('Notification dispatcher started');
+  }
+
+  // Tell the old and new lead and the followers (each as their settings allow),
+  // and the client's channel when the project posts changes there. The person
+  // who made the change isn't told.
+  async dispatch({ before, project, events, actorId }) {
+    let notified = 0;
+
+    try {
+      const changes = events.filter(event => NOTIFICATION_TYPES[event.type]);
+      if (changes.length === 0) {
+        return 0;
+      }
+
+      const [followers, actor] = await Promise.all([
+        projectService.getProjectFollowers(project.id),
+        actorId ? userService.getUser(actorId) : null
+      ]);
+
+      // Leads come first so they are told as leads, not followers
+      const recipients = new Map();
+      const addRecipient = (user, reason) => {
+        if (user && user.id !== actorId && !recipients.has(user.id)) {
+          recipients.set(user.id, { user, reason });
+        }
+      };
+      addRecipient(project.assignee, 'lead');
+      addRecipient(before.assignee, 'formerLead');
+      followers.forEach(follower => addRecipient(follower, 'follower'));
+
+      for (const { user, reason } of recipients.values()) {
+        const wanted = changes.filter(event => user.changeNotifications.includes(NOTIFICATION_TYPES[event.type]));
+        if (wanted.length === 0) {
+          continue;
+        }
+
+        // One failing recipient shouldn't stop the others from being told
+        try {
+          await this.client.chat.postMessage({
+            channel: user.slackUserId,
+            text: `🔔 ${project.name} was changed`,
+            blocks: this.buildChangeBlocks(project, wanted, actor, REASON_TEXT[reason])
+          });
+          notified++;
+        } catch (error) {
+          logger.error('Error sending change notification:', {
+            userId: user.id,
+            projectId: project.id,
+            error: error.message
+          });
+        }
+      }
+
+      if (project.notifyClientChannel && project.clientId) {
+        const clientRecord = await clientService.getClient(project.clientId);
+        if (clientRecord && clientRecord.slackChannelId) {
+          await this.client.chat.postMessage({
+            channel: clientRecord.slackChannelId,
+            text: `🔔 ${project.name} was changed`,
+            blocks: this.buildChangeBlocks(project, changes, actor)
+          });
+          notified++;
+        }
+      }
+
+      this.lastDispatch = { at: new Date().toISOString(), projectId: project.id, notified };
+      logger.info('Project change notifications sent', { projectId: project.id, changes: changes.length, notified });
+    } catch (error) {
+      // The change itself already went through
+      logger.error('Error dispatching project change notifications:', error);
+    }
+
+    return notified;
+  }
+
+  // reasonText says why a person is told; channel posts have none
+  buildChangeBlocks(project, changes, actor, reasonText = null) {
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🔔 *${project.name}* (${project.clientName}) was changed${actor ? ` by ${actor.name}` : ''}\n${changes.map(event => `• ${describeChange(event)}`).join('\n')}`
+        },
+        accessory: {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "View Details"
+          },
+          action_id: "view_project_details",
+          value: project.id
+        }
+      }
+    ];
+
+    if (reasonText) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `${reasonText} · Choose what you're told about under *Notifications* in my Home tab`
+          }
+        ]
+      });
+    }
+
+    return blocks;
+  }
+
+  buildHomeTabBlock(user) {
+    const selected = user ? user.changeNotifications : NOTIFICATION_OPTIONS.map(option => option.value);
+    const initialOptions = NOTIFICATION_OPTIONS.filter(option => selected.includes(option.value));
+
+    return {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🔔 *Notifications*\nWhat to DM you about on projects you lead or follow (use *Follow* in a project's details).`
+      },
+      accessory: {
+        type: "checkboxes",
+        action_id: "home_change_notifications",
+        options: NOTIFICATION_OPTIONS,
+        ...(initialOptions.length > 0 && { initial_options: initialOptions })
+      }
+    };
+  }
+
+  async handleNotificationSettings({ ack, body }) {
+    await ack();
+
+    try {
+      const types = body.actions[0].selected_options.map(option => option.value);
+
+      await userService.findOrCreateUser(body.user.id, {
+        name: body.user.name || body.user.username
+      });
+      await userService.setChangeNotifications(body.user.id, types);
+
+      logger.info('Change notifications updated', { userId: body.user.id, types });
+    } catch (error) {
+      logger.error('Error updating change notifications:', error);
+    }
+  }
+
+  stop() {
+    if (this.listener) {
+      projectService.off('projectChanged', this.listener);
+      this.listener = null;
+      logger.info('✅ Notification dispatcher stopped');
+    }
+  }
+
+  getDispatcherStatus() {
+    return {
+      isListening: !!this.listener,
+      lastDispatch: this.lastDispatch
+    };
+  }
+}
+
+module.exports = NotificationDispatcher;
@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const logger = require('../config/logger');
+const openaiMock = require('./openaiMock');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -24,12 +25,14 @@ Please provide:
 1. A brief analysis of the update (2-3 sentences)
 2. Potential risks identified (if any)
 3. Opportunities noted (if any)
+4. The overall sentiment of the update: "positive", "neutral" or "negative"
 
 Format your response as JSON with the following structure:
 {
   "analysis": "Brief analysis here",
   "risks": ["risk1", "risk2"],
-  "opportunities": ["opportunity1", "opportunity2"]
+  "opportunities": ["opportunity1", "opportunity2"],
+  "sentiment": "neutral"
 }
 `;
 
@@ -55,7 +58,8 @@ Format your response as JSON with the following structure:
         projectId: projectContext.id,
         analysisLength: result.analysis.length,
         risksCount: result.risks.length,
-        opportunitiesCount: result.opportunities.length
+        opportunitiesCount: result.opportunities.length,
+        sentiment: result.sentiment
       });
 
       return result;
@@ -66,7 +70,8 @@ Format your response as JSON with the following structure:
       return {
         analysis: "Unable to generate AI analysis at this time.",
         risks: [],
-        opportunities: []
+        opportunities: [],
+        sentiment: null
       };
     }
   }
@@ -127,6 +132,309 @@ Keep it professional and actionable, suitable for a team channel.
     }
   }
 
+  // Summary for one lead's personal digest, about their projects only
+  async generatePersonalDigest(userName, projects, risks) {
+    try {
+      const prompt = `
+Write a short "my week" briefing for ${userName}, who leads these projects:
+
+Projects (${projects.length}):
+${projects.map(p => `- ${p.name} (${p.clientName}) - Status: ${p.status}${p.deadline ? ` - Deadline: ${new Date(p.deadline).toLocaleDateString()}` : ''}${p.updates && p.updates[0] ? ` - Latest update: ${p.updates[0].content.substring(0, 150)}` : ' - No updates yet'}`).join('\n')}
+
+Open Risks (${risks.length}):
+${risks.map(r => `- ${r.project.name}: ${r.title} (${r.severity})`).join('\n')}
+
+In 3-4 sentences, tell them:
+1. Where their portfolio stands overall
+2. What needs their attention first this week and why
+3. Anything they can safely leave alone
+
+Speak to them directly ("you", "your projects"). Be concise and actionable.
+`;
+
+      const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+          {
+            role: "system",
+            content: "You are a project management assistant writing a personal weekly briefing for a project lead. Be concise, direct and focus on what they should do next."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        max_tokens: 300,
+        temperature: 0.3,
+      });
+
+      const summary = response.choices[0].message.content;
+
+      logger.info('Personal digest generated', {
+        projectsCount: projects.length,
+        risksCount: risks.length,
+        summaryLength: summary.length
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Personal digest generation failed:', error);
+
+      // Return a fallback summary
+      return `You lead ${projects.length} active project${projects.length === 1 ? '' : 's'} with ${risks.length} open risk${risks.length === 1 ? '' : 's'}. ` +
+             `AI summary temporarily unavailable; see the sections below for what needs attention.`;
+    }
+  }
+
+  // Answer a question about the portfolio from numbered sources (projects and
+  // updates). Returns the answer and the numbers of the sources it relies on.
+  async answerPortfolioQuestion(question, sources) {
+    if (process.env.OPENAI_MOCK === 'true') {
+      return openaiMock.answerPortfolioQuestion(question, sources);
+    }
+
+    try {
+      const sourcesText = sources.map((source, index) => source.type === 'update'
+        ? `[${index + 1}] Update on ${source.projectName} (${source.clientName}) by ${source.authorName} on ${new Date(source.createdAt).toLocaleDateString()}:\n${source.content}${source.aiAnalysis ? `\nAI analysis: ${source.aiAnalysis}` : ''}`
+        : `[${index + 1}] Project ${source.name} (${source.clientName}) - Status: ${source.status} - Project Lead: ${source.leadName || 'none'}${source.deadline ? ` - Deadline: ${new Date(source.deadline).toLocaleDateString()}` : ''}` +
+          `${source.blockers.length > 0 ? ` - Blocked by: ${source.blockers.join(', ')}` : ''}${source.risks.length > 0 ? ` - Open risks: ${source.risks.join('; ')}` : ''}` +
+          `\nDescription: ${source.description || 'none'}${source.latestUpdate ? `\nLatest update: ${source.latestUpdate}` : ''}`
+      ).join('\n\n');
+
+      const prompt = `
+Answer this question about our project portfolio using only the sources below.
+
+Question: ${question}
+
+Sources:
+${sourcesText}
+
+Rules:
+1. Answer in 2-4 sentences, directly and specifically
+2. Cite the sources you use inline by number, e.g. [2]
+3. If the sources don't answer the question, say so instead of guessing
+
+Format your response as JSON with the following structure:
+{
+  "answer": "Answer with citations like [1]",
+  "citations": [1]
+}
+`;
+
+      const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+          {
+            role: "system",
+            content: "You are a project management assistant answering questions about a portfolio of client projects. Only use the sources you are given and always cite them. Always respond with valid JSON."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        response_format: { type: "json_object" },
+        max_tokens: 400,
+        temperature: 0.2,
+      });
+
+      const result = JSON.parse(response.choices[0].message.content);
+      const citations = (Array.isArray(result.citations) ? result.citations : [])
+        .map(Number)
+        .filter(number => Number.isInteger(number) && number >= 1 && number <= sources.length);
+
+      logger.info('Portfolio question answered', {
+        sourcesCount: sources.length,
+        citationsCount: citations.length,
+        answerLength: result.answer.length
+      });
+
+      return {
+        answer: result.answer,
+        citations: [...new Set(citations)]
+      };
+    } catch (error) {
+      logger.error('Portfolio question answering failed:', error);
+
+      // Return a fallback pointing at the best matching sources
+      return {
+        answer: "AI answers are temporarily unavailable. These projects and updates look most relevant to your question:",
+        citations: sources.slice(0, 3).map((source, index) => index + 1)
+      };
+    }
+  }
+
+  // Read a DM as a project action through function calling. Returns
+  // { action, project, status, content, assignee } or null when the message
+  // isn't an action (or the AI is unavailable).
+  async parseProjectCommand(text) {
+    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_MOCK === 'true') {
+      return null;
+    }
+
+    try {
+      const projectParameter = {
+        type: "string",
+        description: "The project as the user referred to it, e.g. \"Acme website\" (may include the client name)"
+      };
+
+      const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+          {
+            role: "system",
+            content: "You turn messages to a project management bot into actions. If the message asks to change a project's status, add an update to a project or assign a project to someone, call the matching function with the user's own wording for the project. Otherwise, reply without calling a function."
+          },
+          {
+            role: "user",
+            content: text
+          }
+        ],
+        tools: [
+          {
+            type: "function",
+            function: {
+              name: "set_project_status",
+              description: "Change a project's status",
+              parameters: {
+                type: "object",
+                properties: {
+                  project: projectParameter,
+                  status: {
+                    type: "string",
+                    enum: ["PLANNING", "IN_PROGRESS", "ON_HOLD", "COMPLETED", "CANCELLED"]
+                  }
+                },
+                required: ["project", "status"]
+              }
+            }
+          },
+          {
+            type: "function",
+            function: {
+              name: "add_project_update",
+              description: "Post a progress update on a project",
+              parameters: {
+                type: "object",
+                properties: {
+                  project: projectParameter,
+                  content: {
+                    type: "string",
+                    description: "The update text, exactly as the user wrote it"
+                  }
+                },
+                required: ["project", "content"]
+              }
+            }
+          },
+          {
+            type: "function",
+            function: {
+              name: "assign_project",
+              description: "Make someone the project lead",
+              parameters: {
+                type: "object",
+                properties: {
+                  project: projectParameter,
+                  assignee: {
+                    type: "string",
+                    description: "The new lead: a Slack mention like <@U123> kept as is, or their name"
+                  }
+                },
+                required: ["project", "assignee"]
+              }
+            }
+          }
+        ],
+        tool_choice: "auto",
+        max_tokens: 300,
+        temperature: 0,
+      });
+
+      const toolCall = response.choices[0].message.tool_calls?.[0];
+      if (!toolCall) {
+        return null;
+      }
+
+      const args = JSON.parse(toolCall.function.arguments);
+      const actions = {
+        set_project_status: 'SET_STATUS',
+        add_project_update: 'ADD_UPDATE',
+        assign_project: 'ASSIGN'
+      };
+
+      logger.info('Project command parsed', { action: toolCall.function.name });
+
+      return {
+        action: actions[toolCall.function.name],
+        project: args.project,
+        status: args.status,
+        content: args.content,
+        assignee: args.assignee
+      };
+    } catch (error) {
+      logger.error('Project command parsing failed:', error);
+      return null;
+    }
+  }
+
+  // Second opinion on a client channel message the signal rules picked up.
+  // Returns { relevant, projectNumber, reason } (projectNumber counts from 1
+  // in `projects`), or null when the AI is unavailable.
+  async classifyStatusSignal(message, projects) {
+    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_MOCK === 'true') {
+      return null;
+    }
+
+    try {
+      const prompt = `
+A message was posted in a client's Slack channel. Decide whether it reports news about one of the client's projects that belongs in a project status update (progress, launches, deliveries, approvals, blockers, delays, scope or deadline changes), rather than chatter, questions or scheduling.
+
+Message: ${message}
+
+Projects:
+${projects.map((project, index) => `${index + 1}. ${project.name} - ${project.status}${project.description ? ` - ${project.description.substring(0, 150)}` : ''}`).join('\n')}
+
+Format your response as JSON with the following structure:
+{
+  "relevant": true,
+  "projectNumber": 1,
+  "reason": "A few words on what the news is, e.g. homepage launched"
+}
+`;
+
+      const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+          {
+            role: "system",
+            content: "You are a project management assistant that spots project status news in client conversations. Always respond with valid JSON."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        response_format: { type: "json_object" },
+        max_tokens: 100,
+        temperature: 0,
+      });
+
+      const result = JSON.parse(response.choices[0].message.content);
+
+      logger.info('Status signal classified', { relevant: !!result.relevant });
+
+      return {
+        relevant: !!result.relevant,
+        projectNumber: Number(result.projectNumber) || null,
+        reason: typeof result.reason === 'string' ? result.reason.substring(0, 100) : null
+      };
+    } catch (error) {
+      logger.error('Status signal classification failed:', error);
+      return null;
+    }
+  }
+
   async generateProjectListSummary(projects, recentUpdates) {
     try {
       const prompt = `
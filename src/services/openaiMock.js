@@ -0,0 +1,34 @@
+// Offline stand-in for the OpenAI answer layer, used when OPENAI_MOCK=true so
+// portfolio questions can be tried locally and in tests without network access.
+// Answers are built from the sources that share the most words with the question.
+
+const MAX_CITATIONS = 3;
+
+const words = (text) => new Set((text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+
+const describeSource = (source) => source.type === 'update'
+  ? `${source.authorName} updated ${source.projectName} on ${new Date(source.createdAt).toLocaleDateString()}: "${source.content.substring(0, 120)}"`
+  : `${source.name} (${source.clientName}) is ${source.status.replace('_', ' ').toLowerCase()}` +
+    (source.blockers.length > 0 ? `, blocked by ${source.blockers.join(', ')}` : '') +
+    (source.risks.length > 0 ? `, with open risks: ${source.risks.join('; ')}` : '');
+
+const answerPortfolioQuestion = (question, sources) => {
+  const questionWords = words(question);
+  const scored = sources
+    .map((source, index) => {
+      const sourceWords = words(JSON.stringify(source));
+      const score = [...questionWords].filter(word => sourceWords.has(word)).length;
+      return { source, number: index + 1, score };
+    })
+    .sort((a, b) => b.score - a.score || a.number - b.number)
+    .slice(0, MAX_CITATIONS);
+
+  return {
+    answer: `[Mock answer] ${scored.map(({ source, number }) => `${describeSource(source)} [${number}]`).join(' ')}`,
+    citations: scored.map(({ number }) => number)
+  };
+};
+
+module.exports = {
+  answerPortfolioQuestion
+};
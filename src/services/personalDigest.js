@@ -0,0 +1,301 @@
+const cron = require('node-cron');
+const projectService = require('./projectService');
+const riskService = require('./riskService');
+const userService = require('./userService');
+const openaiService = require('./openai');
+const logger = require('../config/logger');
+const { formatHealthBadge } = require('../slack/blocks/healthBadge');
+const { formatRisk } = require('../slack/blocks/riskInputs');
+
+const DIGEST_TIMEZONE = 'America/New_York';
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Deadlines this many days out (or already missed) are listed
+const DEADLINE_WINDOW_DAYS = 7;
+// Stale projects get a button each, so keep the list short
+const MAX_STALE_PROJECTS = 5;
+const MAX_RISKS = 10;
+
+const DAY_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Off"
+    },
+    value: "off"
+  },
+  ...[1, 2, 3, 4, 5, 6, 0].map(day => ({
+    text: {
+      type: "plain_text",
+      text: WEEKDAYS[day]
+    },
+    value: String(day)
+  }))
+];
+
+class PersonalDigestService {
+  // Stale projects are the ones the stale project job would nudge about
+  constructor(slackClient, staleProjects) {
+    this.client = slackClient;
+    this.staleProjects = staleProjects;
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+  }
+
+  // Send personal digests every morning at 8 AM to the users who picked today
+  schedulePersonalDigest() {
+    if (this.isScheduled) {
+      logger.warn('Personal digest already scheduled');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 8 * * *', async () => {
+      await this.sendPersonalDigests();
+    }, {
+      scheduled: true,
+      timezone: DIGEST_TIMEZONE
+    });
+
+    this.isScheduled = true;
+    logger.info('Personal digest scheduled daily at 8:00 AM');
+  }
+
+  async sendPersonalDigests() {
+    let sent = 0;
+
+    try {
+      const weekday = new Date().toLocaleDateString('en-US', { timeZone: DIGEST_TIMEZONE, weekday: 'long' });
+      const users = await userService.getPersonalDigestRecipients(WEEKDAYS.indexOf(weekday));
+
+      for (const user of users) {
+        // One failing user shouldn't stop the others from getting theirs
+        try {
+          if (await this.sendPersonalDigest(user)) {
+            sent++;
+          }
+        } catch (error) {
+          logger.error('Error sending personal digest:', {
+            userId: user.id,
+            error: error.message
+          });
+        }
+      }
+
+      this.lastRun = { at: new Date().toISOString(), recipients: users.length, sent };
+      logger.info('Personal digests sent', { recipients: users.length, sent });
+    } catch (error) {
+      logger.error('Error running personal digest job:', error);
+    }
+
+    return sent;
+  }
+
+  // Returns false when the user leads no active projects, so there is nothing to send
+  async sendPersonalDigest(user) {
+    const projects = await projectService.getActiveProjects({ assignedTo: user.id });
+    if (projects.length === 0) {
+      return false;
+    }
+
+    const risks = await riskService.getOpenRisks({ assignedTo: user.id });
+    const aiSummary = await openaiService.generatePersonalDigest(user.name, projects, risks);
+
+    await this.client.chat.postMessage({
+      channel: user.slackUserId,
+      text: `📬 Your week: ${projects.length} project${projects.length === 1 ? '' : 's'}`,
+      blocks: this.createDigestBlocks(user, projects, risks, aiSummary)
+    });
+
+    return true;
+  }
+
+  createDigestBlocks(user, projects, risks, aiSummary, now = new Date()) {
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `📬 *Your week, ${user.name}*`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*🤖 AI Summary:*\n${aiSummary}`
+        }
+      },
+      {
+        type: "divider"
+      }
+    ];
+
+    const projectText = projectService.sortByHealth(projects, now).map(project => {
+      const badge = formatHealthBadge(projectService.calculateHealth(project, now));
+      const progress = projectService.calculateCompletion(project.tasks);
+      const progressText = progress.total > 0 ? ` - ${progress.percentage}% complete` : '';
+      return `• ${badge ? `${badge} ` : ''}${project.name} (${project.clientName}) - ${project.status.replace('_', ' ')}${progressText}`;
+    }).join('\n');
+
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*🚀 Your Projects (${projects.length}):*\n${projectText}`
+      }
+    });
+
+    const deadlines = projects
+      .filter(project => project.deadline && new Date(project.deadline) - now <= DEADLINE_WINDOW_DAYS * DAY_MS)
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+
+    if (deadlines.length > 0) {
+      const deadlineText = deadlines.map(project => {
+        const daysUntil = Math.ceil((new Date(project.deadline) - now) / DAY_MS);
+        const whenText = daysUntil < 0
+          ? `🚨 overdue by ${-daysUntil} day${daysUntil === -1 ? '' : 's'}`
+          : daysUntil === 0 ? 'today' : `in ${daysUntil} day${daysUntil === 1 ? '' : 's'}`;
+        return `• ${project.name} - ${new Date(project.deadline).toLocaleDateString()} (${whenText})`;
+      }).join('\n');
+
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*⏰ Deadlines This Week:*\n${deadlineText}`
+        }
+      });
+    }
+
+    const staleProjects = this.staleProjects.staleDays > 0
+      ? projects.filter(project => this.staleProjects.getDaysSinceUpdate(project, now) >= this.staleProjects.staleDays)
+      : [];
+
+    if (staleProjects.length > 0) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*📭 Needs an Update (${staleProjects.length}):*`
+        }
+      });
+
+      staleProjects.slice(0, MAX_STALE_PROJECTS).forEach(project => {
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${project.name} - no update in ${this.staleProjects.getDaysSinceUpdate(project, now)} days`
+          },
+          accessory: {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "Add update"
+            },
+            action_id: "stale_add_update",
+            value: project.id
+          }
+        });
+      });
+    }
+
+    if (risks.length > 0) {
+      const riskText = risks.slice(0, MAX_RISKS)
+        .map(risk => `• ${formatRisk(risk)} - ${risk.project.name}`)
+        .join('\n');
+      const moreText = risks.length > MAX_RISKS ? `\n_... and ${risks.length - MAX_RISKS} more_` : '';
+
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*🛡️ Open Risks (${risks.length}):*\n${riskText}${moreText}`
+        }
+      });
+    }
+
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Sent every ${WEEKDAYS[user.personalDigestDay]}. Change the day or turn it off in my Home tab.`
+        }
+      ]
+    });
+
+    return blocks;
+  }
+
+  // Opt-in control for the Home tab
+  buildHomeTabBlock(user) {
+    const currentValue = user && user.personalDigestDay !== null ? String(user.personalDigestDay) : 'off';
+
+    return {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `📬 *My Week*\nA personal digest of the projects you lead, sent by DM at 8 AM Eastern.`
+      },
+      accessory: {
+        type: "static_select",
+        action_id: "home_personal_digest_day",
+        options: DAY_OPTIONS,
+        initial_option: DAY_OPTIONS.find(option => option.value === currentValue)
+      }
+    };
+  }
+
+  async handleDaySelection({ ack, body, client }) {
+    await ack();
+
+    try {
+      const value = body.actions[0].selected_option.value;
+      const day = value === 'off' ? null : parseInt(value, 10);
+
+      await userService.findOrCreateUser(body.user.id, {
+        name: body.user.name || body.user.username
+      });
+      await userService.setPersonalDigestDay(body.user.id, day);
+
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: day === null
+          ? "📬 Your personal digest is turned off."
+          : `📬 You'll get your personal digest every ${WEEKDAYS[day]} at 8 AM Eastern.`
+      });
+
+      logger.info('Personal digest day updated', { userId: body.user.id, day });
+    } catch (error) {
+      logger.error('Error updating personal digest day:', error);
+    }
+  }
+
+  stopPersonalDigest() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Personal digest cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping personal digest task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getPersonalDigestStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = PersonalDigestService;
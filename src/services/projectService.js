@@ -1,28 +1,88 @@
+const EventEmitter = require('events');
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const openaiService = require('./openai');
+const { RECURRENCE_TIMEZONE, getNextOccurrence } = require('../utils/recurrence');
 
-class ProjectService {
-  async createProject(projectData, creatorSlackId) {
+// Budget burn percentages at which the project lead is warned
+const BUDGET_ALERT_THRESHOLDS = [80, 100];
+const BUDGET_FIELDS = ['budgetHours', 'budgetAmount', 'hourlyRate'];
+// Statuses a recurring project's next instance can inherit; anything else restarts at PLANNING
+const CARRY_OVER_STATUSES = ['PLANNING', 'IN_PROGRESS', 'ON_HOLD'];
+const UPDATE_SENTIMENTS = ['POSITIVE', 'NEUTRAL', 'NEGATIVE'];
+// Health scores start at 100 and lose points for each warning sign; below
+// these scores a project turns amber or red
+const HEALTH_THRESHOLDS = { AMBER: 90, RED: 60 };
+const HEALTH_RATING_ORDER = { RED: 0, AMBER: 1, GREEN: 2 };
+// Completed and cancelled projects aren't scored
+const SCORED_STATUSES = ['PLANNING', 'IN_PROGRESS', 'ON_HOLD'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Relations calculateHealth needs besides updates and tasks
+const HEALTH_INCLUDE = {
+  risks: {
+    where: { status: 'OPEN' },
+    select: { severity: true }
+  },
+  // Latest status change, for how long the project has been in its status
+  events: {
+    where: { type: { in: ['CREATED', 'STATUS_CHANGED'] } },
+    orderBy: { createdAt: 'desc' },
+    take: 1,
+    select: { createdAt: true }
+  }
+};
+// Period suffixes added to recurring instance names, e.g. " — Nov 2026" or " — Q1 2027"
+const INSTANCE_SUFFIX_PATTERN = / — (?:[A-Z][a-z]{2} \d{1,2}, \d{4}|[A-Z][a-z]{2} \d{4}|Q[1-4] \d{4})$/;
+
+// The AI's sentiment as an UpdateSentiment, or null if it gave none we know
+const toUpdateSentiment = (sentiment) => UPDATE_SENTIMENTS.includes((sentiment || '').toUpperCase())
+  ? sentiment.toUpperCase()
+  : null;
+
+// Emits 'projectChanged' ({ before, project, events, actorId }) after
+// updateProject changes a project, for notifications
+class ProjectService extends EventEmitter {
+  async createProject(projectData, creatorId = null) {
     try {
-      const project = await prisma.project.create({
-        data: {
-          name: projectData.name,
-          clientName: projectData.clientName,
-          status: projectData.status || 'PLANNING',
-          assignedTo: projectData.assignedTo || null,
-          description: projectData.description || null,
-          deadline: projectData.deadline ? new Date(projectData.deadline) : null
-        },
-        include: {
-          assignee: true
-        }
+      const project = await prisma.$transaction(async (tx) => {
+        const created = await tx.project.create({
+          data: {
+            name: projectData.name,
+            clientName: projectData.clientName,
+            clientId: projectData.clientId || null,
+            status: projectData.status || 'PLANNING',
+            assignedTo: projectData.assignedTo || null,
+            description: projectData.description || null,
+            deadline: projectData.deadline ? new Date(projectData.deadline) : null,
+            budgetHours: projectData.budgetHours ?? null,
+            budgetAmount: projectData.budgetAmount ?? null,
+            hourlyRate: projectData.hourlyRate ?? null,
+            recurrence: projectData.recurrence || null,
+            recurrenceCron: projectData.recurrence === 'CUSTOM' ? projectData.recurrenceCron : null,
+            nextOccurrenceAt: getNextOccurrence(projectData.recurrence, projectData.recurrenceCron)
+          },
+          include: {
+            assignee: true
+          }
+        });
+
+        await tx.projectEvent.create({
+          data: {
+            projectId: created.id,
+            projectName: created.name,
+            userId: creatorId,
+            type: 'CREATED',
+            newValue: created.status
+          }
+        });
+
+        return created;
       });
 
       logger.info('Project created', { 
         projectId: project.id, 
         name: project.name,
-        createdBy: creatorSlackId 
+        createdBy: creatorId 
       });
 
       return project;
@@ -32,35 +92,137 @@ class ProjectService {
     }
   }
 
-  async updateProject(projectId, updateData) {
+  async updateProject(projectId, updateData, actorId = null) {
     try {
-      const project = await prisma.project.update({
-        where: { id: projectId },
-        data: {
-          ...updateData,
-          deadline: updateData.deadline ? new Date(updateData.deadline) : undefined,
-          updatedAt: new Date()
-        },
-        include: {
-          assignee: true,
-          updates: {
-            orderBy: { createdAt: 'desc' },
-            take: 5,
-            include: {
-              user: true
+      const result = await prisma.$transaction(async (tx) => {
+        const before = await tx.project.findUnique({
+          where: { id: projectId },
+          include: { assignee: true }
+        });
+
+        if (!before) {
+          throw new Error('Project not found');
+        }
+
+        const after = await tx.project.update({
+          where: { id: projectId },
+          data: {
+            ...updateData,
+            deadline: updateData.deadline ? new Date(updateData.deadline) : undefined,
+            // A new budget gets fresh 80%/100% warnings
+            ...(BUDGET_FIELDS.some(field => field in updateData) && { budgetAlertLevel: 0 }),
+            // A new recurrence rule restarts the schedule from now
+            ...('recurrence' in updateData && {
+              recurrenceCron: updateData.recurrence === 'CUSTOM' ? updateData.recurrenceCron : null,
+              nextOccurrenceAt: getNextOccurrence(updateData.recurrence, updateData.recurrenceCron)
+            }),
+            updatedAt: new Date()
+          },
+          include: {
+            assignee: true,
+            updates: {
+              where: { deletedAt: null },
+              orderBy: { createdAt: 'desc' },
+              take: 5,
+              include: {
+                user: true
+              }
             }
           }
+        });
+
+        const events = this.buildChangeEvents(before, after, actorId);
+        if (events.length > 0) {
+          await tx.projectEvent.createMany({ data: events });
         }
+
+        return { before, after, events };
       });
 
-      logger.info('Project updated', { projectId, updatedFields: Object.keys(updateData) });
-      return project;
+      logger.info('Project updated', { projectId, updatedFields: Object.keys(updateData), updatedBy: actorId });
+
+      // Only once the change is committed
+      if (result.events.length > 0) {
+        this.emit('projectChanged', { before: result.before, project: result.after, events: result.events, actorId });
+      }
+
+      return result.after;
     } catch (error) {
       logger.error('Error updating project:', error);
       throw error;
     }
   }
 
+  // Compare a project before and after an update and describe every changed
+  // field as a ProjectEvent row
+  buildChangeEvents(before, after, actorId) {
+    const events = [];
+    const base = {
+      projectId: after.id,
+      projectName: after.name,
+      userId: actorId
+    };
+    const formatDate = (date) => date ? new Date(date).toISOString().split('T')[0] : null;
+
+    if (before.status !== after.status) {
+      events.push({ ...base, type: 'STATUS_CHANGED', field: 'status', oldValue: before.status, newValue: after.status });
+    }
+
+    if (before.assignedTo !== after.assignedTo) {
+      events.push({
+        ...base,
+        type: 'LEAD_CHANGED',
+        field: 'assignedTo',
+        oldValue: before.assignee ? before.assignee.name : null,
+        newValue: after.assignee ? after.assignee.name : null
+      });
+    }
+
+    if (formatDate(before.deadline) !== formatDate(after.deadline)) {
+      events.push({
+        ...base,
+        type: 'DEADLINE_CHANGED',
+        field: 'deadline',
+        oldValue: formatDate(before.deadline),
+        newValue: formatDate(after.deadline)
+      });
+    }
+
+    ['name', 'clientName', 'description'].forEach(field => {
+      if ((before[field] || null) !== (after[field] || null)) {
+        events.push({ ...base, type: 'FIELD_CHANGED', field, oldValue: before[field], newValue: after[field] });
+      }
+    });
+
+    BUDGET_FIELDS.forEach(field => {
+      if ((before[field] ?? null) !== (after[field] ?? null)) {
+        events.push({
+          ...base,
+          type: 'FIELD_CHANGED',
+          field,
+          oldValue: before[field] !== null ? String(before[field]) : null,
+          newValue: after[field] !== null ? String(after[field]) : null
+        });
+      }
+    });
+
+    const formatRecurrence = (project) => project.recurrence === 'CUSTOM'
+      ? `CUSTOM (${project.recurrenceCron})`
+      : project.recurrence || null;
+
+    if (formatRecurrence(before) !== formatRecurrence(after)) {
+      events.push({
+        ...base,
+        type: 'FIELD_CHANGED',
+        field: 'recurrence',
+        oldValue: formatRecurrence(before),
+        newValue: formatRecurrence(after)
+      });
+    }
+
+    return events;
+  }
+
   async getProject(projectId) {
     try {
       return await prisma.project.findUnique({
@@ -68,10 +230,58 @@ class ProjectService {
         include: {
           assignee: true,
           updates: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
+            include: {
+              user: true,
+              _count: {
+                select: { comments: true }
+              }
+            }
+          },
+          members: {
             include: {
               user: true
             }
+          },
+          milestones: {
+            orderBy: { position: 'asc' }
+          },
+          tasks: {
+            orderBy: { position: 'asc' },
+            include: {
+              assignee: true
+            }
+          },
+          blockedBy: {
+            include: {
+              blocker: {
+                select: { id: true, name: true, status: true }
+              }
+            }
+          },
+          timeEntries: {
+            select: { hours: true }
+          },
+          risks: {
+            where: { status: 'OPEN' },
+            include: {
+              owner: true
+            }
+          },
+          events: HEALTH_INCLUDE.events,
+          previousInstance: {
+            select: { id: true, name: true }
+          },
+          nextInstance: {
+            select: { id: true, name: true }
+          },
+          blocks: {
+            include: {
+              blocked: {
+                select: { id: true, name: true, status: true }
+              }
+            }
           }
         }
       });
@@ -84,6 +294,13 @@ class ProjectService {
   async getAllProjects(filters = {}) {
     try {
       const where = {};
+
+      // Archived projects are hidden unless explicitly asked for
+      if (filters.archivedOnly) {
+        where.archivedAt = { not: null };
+      } else if (!filters.includeArchived) {
+        where.archivedAt = null;
+      }
       
       if (filters.status) {
         where.status = filters.status;
@@ -93,13 +310,20 @@ class ProjectService {
         where.assignedTo = filters.assignedTo;
       }
 
-      if (filters.clientName) {
-        // Use exact match for client name filtering (for dropdown selections)
-        // Use case-insensitive comparison to handle any case differences
-        where.clientName = {
-          equals: filters.clientName,
-          mode: 'insensitive'
-        };
+      if (filters.memberId) {
+        // A project is "mine" when I lead it or am on its team
+        where.OR = [
+          { assignedTo: filters.memberId },
+          { members: { some: { userId: filters.memberId } } }
+        ];
+      }
+
+      if (filters.clientId) {
+        where.clientId = filters.clientId;
+      }
+
+      if (filters.ids) {
+        where.id = { in: filters.ids };
       }
 
       return await prisma.project.findMany({
@@ -107,12 +331,32 @@ class ProjectService {
         include: {
           assignee: true,
           updates: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
             take: 3,
             include: {
               user: true
             }
-          }
+          },
+          tasks: {
+            select: { id: true, completedAt: true }
+          },
+          members: {
+            include: {
+              user: true
+            }
+          },
+          blockedBy: {
+            include: {
+              blocker: {
+                select: { id: true, name: true, status: true }
+              }
+            }
+          },
+          timeEntries: {
+            select: { hours: true }
+          },
+          ...HEALTH_INCLUDE
         },
         orderBy: { updatedAt: 'desc' }
       });
@@ -122,23 +366,48 @@ class ProjectService {
     }
   }
 
-  async getActiveProjects() {
+  // filters.clientId limits the results to one client's projects,
+  // filters.assignedTo to one lead's
+  async getActiveProjects(filters = {}) {
     try {
       return await prisma.project.findMany({
         where: {
           status: {
             in: ['PLANNING', 'IN_PROGRESS']
-          }
+          },
+          archivedAt: null,
+          ...(filters.clientId && { clientId: filters.clientId }),
+          ...(filters.assignedTo && { assignedTo: filters.assignedTo })
         },
         include: {
           assignee: true,
           updates: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
             take: 3,
             include: {
               user: true
             }
-          }
+          },
+          tasks: {
+            select: { id: true, completedAt: true }
+          },
+          members: {
+            include: {
+              user: true
+            }
+          },
+          blockedBy: {
+            include: {
+              blocker: {
+                select: { id: true, name: true, status: true }
+              }
+            }
+          },
+          timeEntries: {
+            select: { hours: true }
+          },
+          ...HEALTH_INCLUDE
         },
         orderBy: { updatedAt: 'desc' }
       });
@@ -148,7 +417,9 @@ class ProjectService {
     }
   }
 
-  async addProjectUpdate(projectId, userId, content) {
+  // source is the Slack message the update was logged from, if any:
+  // { channelId, messageTs, permalink }
+  async addProjectUpdate(projectId, userId, content, source = null) {
     try {
       // Get project context for AI analysis
       const project = await this.getProject(projectId);
@@ -167,7 +438,13 @@ class ProjectService {
           content,
           aiAnalysis: aiAnalysis.analysis,
           risksIdentified: aiAnalysis.risks,
-          opportunitiesNoted: aiAnalysis.opportunities
+          opportunitiesNoted: aiAnalysis.opportunities,
+          sentiment: toUpdateSentiment(aiAnalysis.sentiment),
+          ...(source && {
+            sourceChannelId: source.channelId,
+            sourceMessageTs: source.messageTs,
+            sourcePermalink: source.permalink
+          })
         },
         include: {
           user: true,
@@ -175,17 +452,22 @@ class ProjectService {
         }
       });
 
-      // Update project's updatedAt timestamp
+      // Update project's updatedAt timestamp; a fresh update also ends any stale nudging
       await prisma.project.update({
         where: { id: projectId },
-        data: { updatedAt: new Date() }
+        data: {
+          updatedAt: new Date(),
+          staleNudgedAt: null,
+          staleEscalatedAt: null
+        }
       });
 
       logger.info('Project update added', { 
         updateId: update.id, 
         projectId, 
         userId,
-        hasAiAnalysis: !!aiAnalysis.analysis 
+        hasAiAnalysis: !!aiAnalysis.analysis,
+        fromMessage: !!source
       });
 
       return update;
@@ -198,7 +480,7 @@ class ProjectService {
   async getProjectUpdates(projectId, limit = 10) {
     try {
       return await prisma.projectUpdate.findMany({
-        where: { projectId },
+        where: { projectId, deletedAt: null },
         include: {
           user: true
         },
@@ -211,7 +493,118 @@ class ProjectService {
     }
   }
 
-  async getRecentUpdates(days = 7, limit = 20) {
+  async getProjectUpdate(updateId) {
+    try {
+      return await prisma.projectUpdate.findUnique({
+        where: { id: updateId },
+        include: {
+          user: true,
+          project: {
+            include: {
+              assignee: true
+            }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting project update:', error);
+      throw error;
+    }
+  }
+
+  // Replace an update's content and re-run the AI analysis. The previous
+  // version is kept as a revision.
+  async editProjectUpdate(updateId, content, editorId) {
+    try {
+      const existing = await prisma.projectUpdate.findUnique({ where: { id: updateId } });
+      if (!existing || existing.deletedAt) {
+        throw new Error('Update not found');
+      }
+
+      const project = await this.getProject(existing.projectId);
+      const aiAnalysis = await openaiService.analyzeProjectUpdate(content, project);
+
+      const update = await prisma.$transaction(async (tx) => {
+        await tx.projectUpdateRevision.create({
+          data: {
+            updateId,
+            content: existing.content,
+            aiAnalysis: existing.aiAnalysis,
+            risksIdentified: existing.risksIdentified,
+            opportunitiesNoted: existing.opportunitiesNoted,
+            sentiment: existing.sentiment,
+            editedBy: editorId
+          }
+        });
+
+        return tx.projectUpdate.update({
+          where: { id: updateId },
+          data: {
+            content,
+            aiAnalysis: aiAnalysis.analysis,
+            risksIdentified: aiAnalysis.risks,
+            opportunitiesNoted: aiAnalysis.opportunities,
+            sentiment: toUpdateSentiment(aiAnalysis.sentiment),
+            editedAt: new Date()
+          },
+          include: {
+            user: true,
+            project: true
+          }
+        });
+      });
+
+      logger.info('Project update edited', { updateId, projectId: update.projectId, editorId });
+      return update;
+    } catch (error) {
+      logger.error('Error editing project update:', error);
+      throw error;
+    }
+  }
+
+  // Soft delete: the update disappears from the app but stays in the database
+  async deleteProjectUpdate(updateId, userId) {
+    try {
+      const update = await prisma.projectUpdate.update({
+        where: { id: updateId },
+        data: {
+          deletedAt: new Date(),
+          deletedBy: userId
+        },
+        include: {
+          project: true
+        }
+      });
+
+      logger.info('Project update deleted', { updateId, projectId: update.projectId, userId });
+      return update;
+    } catch (error) {
+      logger.error('Error deleting project update:', error);
+      throw error;
+    }
+  }
+
+  async getUpdatesByIds(updateIds) {
+    try {
+      return await prisma.projectUpdate.findMany({
+        where: {
+          id: { in: updateIds },
+          deletedAt: null
+        },
+        include: {
+          user: true,
+          project: true
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting updates by ID:', error);
+      throw error;
+    }
+  }
+
+  // filters.userId limits the results to one author's updates, and
+  // filters.before to updates posted before that date
+  async getRecentUpdates(days = 7, limit = 20, filters = {}) {
     try {
       const since = new Date();
       since.setDate(since.getDate() - days);
@@ -219,7 +612,14 @@ class ProjectService {
       return await prisma.projectUpdate.findMany({
         where: {
           createdAt: {
-            gte: since
+            gte: since,
+            ...(filters.before && { lt: filters.before })
+          },
+          deletedAt: null,
+          ...(filters.userId && { userId: filters.userId }),
+          project: {
+            archivedAt: null,
+            ...(filters.clientId && { clientId: filters.clientId })
           }
         },
         include: {
@@ -235,28 +635,215 @@ class ProjectService {
     }
   }
 
-  async deleteProject(projectId) {
+  // Archiving hides a project everywhere but keeps its updates and history;
+  // it can be restored until the retention job purges it
+  async archiveProject(projectId, actorId = null) {
+    try {
+      const project = await prisma.$transaction(async (tx) => {
+        const existing = await tx.project.findUnique({ where: { id: projectId } });
+        if (!existing) {
+          throw new Error('Project not found');
+        }
+        if (existing.archivedAt) {
+          throw new Error('Project is already archived');
+        }
+
+        const archived = await tx.project.update({
+          where: { id: projectId },
+          data: { archivedAt: new Date() }
+        });
+
+        await tx.projectEvent.create({
+          data: {
+            projectId,
+            projectName: archived.name,
+            userId: actorId,
+            type: 'ARCHIVED',
+            oldValue: archived.status
+          }
+        });
+
+        return archived;
+      });
+
+      logger.info('Project archived', { projectId, archivedBy: actorId });
+      return project;
+    } catch (error) {
+      logger.error('Error archiving project:', error);
+      throw error;
+    }
+  }
+
+  async restoreProject(projectId, actorId = null) {
+    try {
+      const project = await prisma.$transaction(async (tx) => {
+        const existing = await tx.project.findUnique({ where: { id: projectId } });
+        if (!existing) {
+          throw new Error('Project not found');
+        }
+        if (!existing.archivedAt) {
+          throw new Error('Project is not archived');
+        }
+
+        const restored = await tx.project.update({
+          where: { id: projectId },
+          data: { archivedAt: null }
+        });
+
+        await tx.projectEvent.create({
+          data: {
+            projectId,
+            projectName: restored.name,
+            userId: actorId,
+            type: 'RESTORED',
+            newValue: restored.status
+          }
+        });
+
+        return restored;
+      });
+
+      logger.info('Project restored', { projectId, restoredBy: actorId });
+      return project;
+    } catch (error) {
+      logger.error('Error restoring project:', error);
+      throw error;
+    }
+  }
+
+  // Hard-delete projects that have been archived for longer than retentionDays.
+  // Only archived projects are ever purged.
+  async purgeArchivedProjects(retentionDays) {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - retentionDays);
+
+      const expired = await prisma.project.findMany({
+        where: {
+          archivedAt: {
+            not: null,
+            lt: cutoff
+          }
+        },
+        select: { id: true }
+      });
+
+      for (const project of expired) {
+        await this.deleteProject(project.id);
+      }
+
+      logger.info('Archived projects purged', { count: expired.length, retentionDays });
+      return expired.length;
+    } catch (error) {
+      logger.error('Error purging archived projects:', error);
+      throw error;
+    }
+  }
+
+  async deleteProject(projectId, actorId = null) {
     try {
-      await prisma.project.delete({
-        where: { id: projectId }
+      await prisma.$transaction(async (tx) => {
+        const project = await tx.project.findUnique({ where: { id: projectId } });
+        if (!project) {
+          throw new Error('Project not found');
+        }
+
+        // The event outlives the project: its projectId is nulled by the delete
+        await tx.projectEvent.create({
+          data: {
+            projectId,
+            projectName: project.name,
+            userId: actorId,
+            type: 'DELETED',
+            oldValue: project.status
+          }
+        });
+
+        await tx.project.delete({
+          where: { id: projectId }
+        });
       });
 
-      logger.info('Project deleted', { projectId });
+      logger.info('Project deleted', { projectId, deletedBy: actorId });
     } catch (error) {
       logger.error('Error deleting project:', error);
       throw error;
     }
   }
 
-  async getProjectStats() {
+  async getProjectHistory(projectId, limit = 50) {
+    try {
+      return await prisma.projectEvent.findMany({
+        where: { projectId },
+        include: {
+          user: true
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      logger.error('Error getting project history:', error);
+      throw error;
+    }
+  }
+
+  // Total time (in ms) the project has spent in each status, replayed from its
+  // status events. Projects created before the history existed start from
+  // createdAt with the oldest known status.
+  async getStatusDurations(projectId) {
+    try {
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) {
+        throw new Error('Project not found');
+      }
+
+      const transitions = await prisma.projectEvent.findMany({
+        where: {
+          projectId,
+          type: { in: ['CREATED', 'STATUS_CHANGED'] }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const firstChange = transitions.find(event => event.type === 'STATUS_CHANGED');
+      let currentStatus = transitions[0]?.type === 'CREATED'
+        ? transitions[0].newValue
+        : (firstChange ? firstChange.oldValue : project.status);
+      let since = new Date(project.createdAt);
+      const durations = {};
+
+      transitions
+        .filter(event => event.type === 'STATUS_CHANGED')
+        .forEach(event => {
+          const changedAt = new Date(event.createdAt);
+          durations[currentStatus] = (durations[currentStatus] || 0) + (changedAt - since);
+          currentStatus = event.newValue;
+          since = changedAt;
+        });
+
+      durations[currentStatus] = (durations[currentStatus] || 0) + (new Date() - since);
+
+      return durations;
+    } catch (error) {
+      logger.error('Error getting status durations:', error);
+      throw error;
+    }
+  }
+
+  async getProjectStats(filters = {}) {
     try {
+      const where = {
+        archivedAt: null,
+        ...(filters.clientId && { clientId: filters.clientId })
+      };
+
       const [total, planning, inProgress, onHold, completed, cancelled] = await Promise.all([
-        prisma.project.count(),
-        prisma.project.count({ where: { status: 'PLANNING' } }),
-        prisma.project.count({ where: { status: 'IN_PROGRESS' } }),
-        prisma.project.count({ where: { status: 'ON_HOLD' } }),
-        prisma.project.count({ where: { status: 'COMPLETED' } }),
-        prisma.project.count({ where: { status: 'CANCELLED' } })
+        prisma.project.count({ where }),
+        prisma.project.count({ where: { ...where, status: 'PLANNING' } }),
+        prisma.project.count({ where: { ...where, status: 'IN_PROGRESS' } }),
+        prisma.project.count({ where: { ...where, status: 'ON_HOLD' } }),
+        prisma.project.count({ where: { ...where, status: 'COMPLETED' } }),
+        prisma.project.count({ where: { ...where, status: 'CANCELLED' } })
       ]);
 
       return {
@@ -276,39 +863,1037 @@ class ProjectService {
     }
   }
 
-  async getUniqueClients() {
+  // Replace the members of each given role. Roles missing from membersByRole
+  // are left untouched unless replaceAll is set, in which case they are cleared.
+  async setProjectMembers(projectId, membersByRole, actorId = null, { replaceAll = false } = {}) {
     try {
-      const result = await prisma.project.findMany({
-        select: {
-          clientName: true
-        },
-        distinct: ['clientName'],
-        orderBy: {
-          clientName: 'asc'
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        include: {
+          members: {
+            include: {
+              user: true
+            }
+          }
         }
       });
 
-      const clients = result.map(project => project.clientName);
-      
-      logger.info('Unique clients fetched from database', { 
-        count: clients.length,
-        clients: clients
-      });
-      
-      return clients;
-    } catch (error) {
-      logger.error('Error getting unique clients:', error);
-      throw error;
-    }
-  }
+      if (!project) {
+        throw new Error('Project not found');
+      }
 
-  async getActiveProjectsByClient() {
-    try {
+      const roles = replaceAll
+        ? ['DESIGNER', 'DEVELOPER', 'ACCOUNT_MANAGER', 'MEMBER']
+        : Object.keys(membersByRole).filter(role => membersByRole[role] && membersByRole[role].length > 0);
+
+      if (roles.length === 0) {
+        return project.members;
+      }
+
+      const formatMembers = (members) => members
+        .map(member => `${member.user.name} (${member.role})`)
+        .sort()
+        .join(', ');
+
+      const members = await prisma.$transaction(async (tx) => {
+        const keepUserIds = roles.flatMap(role => membersByRole[role] || []);
+
+        // Drop anyone in the affected roles who was not selected again
+        await tx.projectMember.deleteMany({
+          where: {
+            projectId,
+            role: { in: roles },
+            userId: { notIn: keepUserIds }
+          }
+        });
+
+        for (const role of roles) {
+          for (const userId of membersByRole[role] || []) {
+            await tx.projectMember.upsert({
+              where: { projectId_userId: { projectId, userId } },
+              create: { projectId, userId, role },
+              update: { role }
+            });
+          }
+        }
+
+        const updatedMembers = await tx.projectMember.findMany({
+          where: { projectId },
+          include: { user: true }
+        });
+
+        const before = formatMembers(project.members);
+        const after = formatMembers(updatedMembers);
+
+        if (before !== after) {
+          await tx.projectEvent.create({
+            data: {
+              projectId,
+              projectName: project.name,
+              userId: actorId,
+              type: 'FIELD_CHANGED',
+              field: 'members',
+              oldValue: before || null,
+              newValue: after || null
+            }
+          });
+        }
+
+        return updatedMembers;
+      });
+
+      logger.info('Project members updated', { projectId, roles, memberCount: members.length });
+      return members;
+    } catch (error) {
+      logger.error('Error setting project members:', error);
+      throw error;
+    }
+  }
+
+  // Everyone who should hear about a project: its lead plus all team members
+  async getProjectStakeholders(projectId) {
+    try {
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        include: {
+          assignee: true,
+          members: {
+            include: {
+              user: true
+            }
+          }
+        }
+      });
+
+      if (!project) {
+        return [];
+      }
+
+      const stakeholders = new Map();
+      if (project.assignee) {
+        stakeholders.set(project.assignee.id, project.assignee);
+      }
+      project.members.forEach(member => stakeholders.set(member.user.id, member.user));
+
+      return Array.from(stakeholders.values());
+    } catch (error) {
+      logger.error('Error getting project stakeholders:', error);
+      throw error;
+    }
+  }
+
+  async followProject(projectId, userId) {
+    try {
+      await prisma.projectFollower.createMany({
+        data: [{ projectId, userId }],
+        skipDuplicates: true
+      });
+
+      logger.info('Project followed', { projectId, userId });
+    } catch (error) {
+      logger.error('Error following project:', error);
+      throw error;
+    }
+  }
+
+  async unfollowProject(projectId, userId) {
+    try {
+      await prisma.projectFollower.deleteMany({
+        where: { projectId, userId }
+      });
+
+      logger.info('Project unfollowed', { projectId, userId });
+    } catch (error) {
+      logger.error('Error unfollowing project:', error);
+      throw error;
+    }
+  }
+
+  async isFollowing(projectId, userId) {
+    try {
+      const follower = await prisma.projectFollower.findUnique({
+        where: { projectId_userId: { projectId, userId } }
+      });
+      return !!follower;
+    } catch (error) {
+      logger.error('Error checking project follower:', error);
+      throw error;
+    }
+  }
+
+  async getProjectFollowers(projectId) {
+    try {
+      const followers = await prisma.projectFollower.findMany({
+        where: { projectId },
+        include: {
+          user: true
+        }
+      });
+      return followers.map(follower => follower.user);
+    } catch (error) {
+      logger.error('Error getting project followers:', error);
+      throw error;
+    }
+  }
+
+  // Upstream projects that still hold this one up. Needs `blockedBy` with
+  // `blocker` included, as returned by getProject and getAllProjects.
+  getOpenBlockers(project) {
+    return (project.blockedBy || [])
+      .map(dependency => dependency.blocker)
+      .filter(blocker => blocker.status !== 'COMPLETED');
+  }
+
+  isBlocked(project) {
+    return this.getOpenBlockers(project).length > 0;
+  }
+
+  // Adding "blocker blocks project" creates a cycle when the project is
+  // already (directly or transitively) upstream of the blocker
+  async wouldCreateCycle(projectId, blockerIds) {
+    try {
+      if (blockerIds.includes(projectId)) {
+        return true;
+      }
+
+      const dependencies = await prisma.projectDependency.findMany({
+        where: { blockedId: { not: projectId } },
+        select: { blockerId: true, blockedId: true }
+      });
+
+      const upstream = {};
+      dependencies.forEach(dependency => {
+        upstream[dependency.blockedId] = upstream[dependency.blockedId] || [];
+        upstream[dependency.blockedId].push(dependency.blockerId);
+      });
+
+      const visited = new Set();
+      const queue = [...blockerIds];
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === projectId) {
+          return true;
+        }
+        if (visited.has(current)) {
+          continue;
+        }
+        visited.add(current);
+        queue.push(...(upstream[current] || []));
+      }
+
+      return false;
+    } catch (error) {
+      logger.error('Error checking dependency cycle:', error);
+      throw error;
+    }
+  }
+
+  // Replace the set of projects blocking projectId
+  async setProjectDependencies(projectId, blockerIds, actorId = null) {
+    try {
+      const uniqueBlockerIds = Array.from(new Set(blockerIds));
+
+      if (await this.wouldCreateCycle(projectId, uniqueBlockerIds)) {
+        throw new Error('These dependencies would create a cycle');
+      }
+
+      const formatBlockers = (dependencies) => dependencies
+        .map(dependency => dependency.blocker.name)
+        .sort()
+        .join(', ');
+
+      const dependencies = await prisma.$transaction(async (tx) => {
+        const project = await tx.project.findUnique({
+          where: { id: projectId },
+          include: {
+            blockedBy: {
+              include: { blocker: true }
+            }
+          }
+        });
+
+        if (!project) {
+          throw new Error('Project not found');
+        }
+
+        await tx.projectDependency.deleteMany({
+          where: {
+            blockedId: projectId,
+            blockerId: { notIn: uniqueBlockerIds }
+          }
+        });
+
+        await tx.projectDependency.createMany({
+          data: uniqueBlockerIds.map(blockerId => ({ blockerId, blockedId: projectId })),
+          skipDuplicates: true
+        });
+
+        const updatedDependencies = await tx.projectDependency.findMany({
+          where: { blockedId: projectId },
+          include: { blocker: true }
+        });
+
+        const before = formatBlockers(project.blockedBy);
+        const after = formatBlockers(updatedDependencies);
+
+        if (before !== after) {
+          await tx.projectEvent.create({
+            data: {
+              projectId,
+              projectName: project.name,
+              userId: actorId,
+              type: 'FIELD_CHANGED',
+              field: 'blockedBy',
+              oldValue: before || null,
+              newValue: after || null
+            }
+          });
+        }
+
+        return updatedDependencies;
+      });
+
+      logger.info('Project dependencies updated', { projectId, blockerCount: dependencies.length });
+      return dependencies;
+    } catch (error) {
+      logger.error('Error setting project dependencies:', error);
+      throw error;
+    }
+  }
+
+  // Projects waiting on projectId, with their leads and remaining blockers
+  async getDownstreamProjects(projectId) {
+    try {
+      const dependencies = await prisma.projectDependency.findMany({
+        where: {
+          blockerId: projectId,
+          blocked: { archivedAt: null }
+        },
+        include: {
+          blocked: {
+            include: {
+              assignee: true,
+              blockedBy: {
+                include: {
+                  blocker: {
+                    select: { id: true, name: true, status: true }
+                  }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      return dependencies.map(dependency => dependency.blocked);
+    } catch (error) {
+      logger.error('Error getting downstream projects:', error);
+      throw error;
+    }
+  }
+
+  // Completion is derived from tasks rather than the status enum, so a project
+  // without tasks reports null instead of 0%.
+  calculateCompletion(tasks = []) {
+    const total = tasks.length;
+    const completed = tasks.filter(task => task.completedAt).length;
+
+    return {
+      total,
+      completed,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : null
+    };
+  }
+
+  // Budget burn from logged time. Needs `timeEntries` (hours) on the project, as
+  // returned by getProject and getAllProjects. Percentages are null without a budget;
+  // `percentage` is the higher of the hours and amount burn.
+  calculateBurn(project) {
+    const hoursLogged = (project.timeEntries || []).reduce((sum, entry) => sum + entry.hours, 0);
+    const amountSpent = project.hourlyRate !== null && project.hourlyRate !== undefined
+      ? hoursLogged * project.hourlyRate
+      : null;
+
+    const hoursPercentage = project.budgetHours > 0
+      ? Math.round((hoursLogged / project.budgetHours) * 100)
+      : null;
+    const amountPercentage = project.budgetAmount > 0 && amountSpent !== null
+      ? Math.round((amountSpent / project.budgetAmount) * 100)
+      : null;
+
+    const percentages = [hoursPercentage, amountPercentage].filter(value => value !== null);
+
+    return {
+      hoursLogged,
+      budgetHours: project.budgetHours ?? null,
+      hoursPercentage,
+      amountSpent,
+      budgetAmount: project.budgetAmount ?? null,
+      amountPercentage,
+      percentage: percentages.length > 0 ? Math.max(...percentages) : null
+    };
+  }
+
+  // Highest alert threshold the burn has reached, or 0
+  getBudgetAlertLevel(burn) {
+    if (burn.percentage === null) {
+      return 0;
+    }
+
+    return BUDGET_ALERT_THRESHOLDS.filter(threshold => burn.percentage >= threshold).pop() || 0;
+  }
+
+  // Log hours against a project. Returns the entry, the project's new burn and
+  // the alert threshold crossed by this entry (null when no warning is due).
+  async logTime(projectId, userId, timeData) {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const entry = await tx.timeEntry.create({
+          data: {
+            projectId,
+            userId,
+            hours: timeData.hours,
+            date: timeData.date ? new Date(timeData.date) : new Date(),
+            description: timeData.description || null
+          }
+        });
+
+        const project = await tx.project.findUnique({
+          where: { id: projectId },
+          include: {
+            assignee: true,
+            timeEntries: {
+              select: { hours: true }
+            }
+          }
+        });
+
+        if (!project) {
+          throw new Error('Project not found');
+        }
+
+        const burn = this.calculateBurn(project);
+        const alertLevel = this.getBudgetAlertLevel(burn);
+        const crossedThreshold = alertLevel > project.budgetAlertLevel ? alertLevel : null;
+
+        // Also lowers the level when the burn dropped, e.g. after a budget increase
+        if (alertLevel !== project.budgetAlertLevel) {
+          await tx.project.update({
+            where: { id: projectId },
+            data: { budgetAlertLevel: alertLevel }
+          });
+        }
+
+        return { entry, project, burn, crossedThreshold };
+      });
+
+      logger.info('Time logged', {
+        projectId,
+        userId,
+        hours: timeData.hours,
+        burnPercentage: result.burn.percentage,
+        crossedThreshold: result.crossedThreshold
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Error logging time:', error);
+      throw error;
+    }
+  }
+
+  // Score a project's health from update recency, deadline proximity, open
+  // risks, time in its current status and the tone of the latest update.
+  // Expects updates (newest first), tasks and HEALTH_INCLUDE; returns
+  // { score, rating, reason } or null for projects that aren't scored.
+  calculateHealth(project, now = new Date()) {
+    if (!SCORED_STATUSES.includes(project.status) || project.archivedAt) {
+      return null;
+    }
+
+    const daysSince = (date) => Math.floor((now - new Date(date)) / DAY_MS);
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const penalties = [];
+
+    const latestUpdate = project.updates && project.updates.length > 0 ? project.updates[0] : null;
+    const quietDays = daysSince(latestUpdate ? latestUpdate.createdAt : project.createdAt);
+    if (quietDays > 7) {
+      penalties.push({
+        points: quietDays > 14 ? 30 : 15,
+        reason: latestUpdate ? `No update in ${plural(quietDays, 'day')}` : `No updates since it was created ${plural(quietDays, 'day')} ago`
+      });
+    }
+
+    if (project.deadline) {
+      const daysLeft = Math.ceil((new Date(project.deadline) - now) / DAY_MS);
+      const progress = this.calculateCompletion(project.tasks);
+
+      if (daysLeft < 0) {
+        penalties.push({ points: 45, reason: `Deadline passed ${plural(-daysLeft, 'day')} ago` });
+      } else if (daysLeft <= 7 && (progress.total === 0 || progress.percentage < 80)) {
+        const progressText = progress.total > 0 ? ` at ${progress.percentage}% complete` : '';
+        penalties.push({ points: 20, reason: `Deadline in ${plural(daysLeft, 'day')}${progressText}` });
+      }
+    }
+
+    const openRisks = project.risks || [];
+    const highRisks = openRisks.filter(risk => risk.severity === 'HIGH').length;
+    const mediumRisks = openRisks.filter(risk => risk.severity === 'MEDIUM').length;
+    if (highRisks > 0) {
+      penalties.push({ points: Math.min(30, highRisks * 15), reason: `${plural(highRisks, 'open high risk')}` });
+    }
+    if (mediumRisks > 0) {
+      penalties.push({ points: Math.min(15, mediumRisks * 5), reason: `${plural(mediumRisks, 'open medium risk')}` });
+    }
+
+    const statusSince = project.events && project.events.length > 0 ? project.events[0].createdAt : project.createdAt;
+    const statusDays = daysSince(statusSince);
+    if (project.status === 'ON_HOLD' && statusDays > 14) {
+      penalties.push({ points: 15, reason: `On hold for ${plural(statusDays, 'day')}` });
+    } else if (project.status === 'PLANNING' && statusDays > 30) {
+      penalties.push({ points: 10, reason: `In planning for ${plural(statusDays, 'day')}` });
+    }
+
+    if (latestUpdate && latestUpdate.sentiment === 'NEGATIVE') {
+      penalties.push({ points: 15, reason: 'Latest update reads negative' });
+    }
+
+    const score = Math.max(0, 100 - penalties.reduce((sum, penalty) => sum + penalty.points, 0));
+    const rating = score < HEALTH_THRESHOLDS.RED ? 'RED' : score < HEALTH_THRESHOLDS.AMBER ? 'AMBER' : 'GREEN';
+
+    // The two biggest penalties explain the score
+    const reason = penalties
+      .sort((a, b) => b.points - a.points)
+      .slice(0, 2)
+      .map(penalty => penalty.reason)
+      .join('; ') || 'On track';
+
+    return { score, rating, reason };
+  }
+
+  // Worst health first; unscored (completed, cancelled, archived) projects last
+  sortByHealth(projects, now = new Date()) {
+    return projects
+      .map(project => ({ project, health: this.calculateHealth(project, now) }))
+      .sort((a, b) => {
+        if (!a.health || !b.health) {
+          return (a.health ? 0 : 1) - (b.health ? 0 : 1);
+        }
+        return HEALTH_RATING_ORDER[a.health.rating] - HEALTH_RATING_ORDER[b.health.rating] || a.health.score - b.health.score;
+      })
+      .map(({ project }) => project);
+  }
+
+  // Store today's health score for every scored project; re-running on the
+  // same day overwrites that day's snapshot. snapshotDate is YYYY-MM-DD.
+  async recordHealthSnapshots(snapshotDate) {
+    try {
+      const projects = await prisma.project.findMany({
+        where: {
+          status: { in: SCORED_STATUSES },
+          archivedAt: null
+        },
+        include: {
+          updates: {
+            where: { deletedAt: null },
+            orderBy: { createdAt: 'desc' },
+            take: 1
+          },
+          tasks: {
+            select: { id: true, completedAt: true }
+          },
+          ...HEALTH_INCLUDE
+        }
+      });
+
+      const date = new Date(snapshotDate);
+      for (const project of projects) {
+        const health = this.calculateHealth(project);
+        await prisma.projectHealthSnapshot.upsert({
+          where: { projectId_date: { projectId: project.id, date } },
+          create: { projectId: project.id, date, ...health },
+          update: health
+        });
+      }
+
+      logger.info('Project health snapshots recorded', { date: snapshotDate, count: projects.length });
+      return projects.length;
+    } catch (error) {
+      logger.error('Error recording project health snapshots:', error);
+      throw error;
+    }
+  }
+
+  async getHealthTrend(projectId, days = 14) {
+    try {
+      return await prisma.projectHealthSnapshot.findMany({
+        where: {
+          projectId,
+          date: { gte: new Date(Date.now() - days * DAY_MS) }
+        },
+        orderBy: { date: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting project health trend:', error);
+      throw error;
+    }
+  }
+
+  // Active projects with a deadline in [from, to], for deadline reminders
+  async getProjectsWithDeadlines(from, to) {
+    try {
+      return await prisma.project.findMany({
+        where: {
+          status: { in: ['PLANNING', 'IN_PROGRESS'] },
+          archivedAt: null,
+          deadline: { gte: from, lte: to }
+        },
+        include: {
+          assignee: true
+        },
+        orderBy: { deadline: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting projects with deadlines:', error);
+      throw error;
+    }
+  }
+
+  // Claim a deadline reminder before sending it. Returns false when it was
+  // already sent (or claimed by another run) to this recipient.
+  async claimDeadlineReminder(projectId, deadline, offsetDays, recipient) {
+    try {
+      const { count } = await prisma.deadlineReminder.createMany({
+        data: [{ projectId, deadline, offsetDays, recipient }],
+        skipDuplicates: true
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error claiming deadline reminder:', error);
+      throw error;
+    }
+  }
+
+  // Record that the stale project job has nudged the lead ('nudged') or
+  // escalated to a manager ('escalated'). updatedAt is left alone so listings
+  // sorted by recent activity aren't affected.
+  async markStaleNotified(projectId, stage) {
+    try {
+      const field = stage === 'escalated' ? 'staleEscalatedAt' : 'staleNudgedAt';
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        select: { updatedAt: true }
+      });
+
+      return await prisma.project.update({
+        where: { id: projectId },
+        data: {
+          [field]: new Date(),
+          updatedAt: project.updatedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error marking stale project notice:', error);
+      throw error;
+    }
+  }
+
+  // Recurring projects whose next occurrence has passed and still need a new instance
+  async getDueRecurringProjects(now = new Date()) {
+    try {
+      return await prisma.project.findMany({
+        where: {
+          archivedAt: null,
+          recurrence: { not: null },
+          nextOccurrenceAt: { lte: now }
+        },
+        include: {
+          assignee: true
+        },
+        orderBy: { nextOccurrenceAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting due recurring projects:', error);
+      throw error;
+    }
+  }
+
+  // "Acme Retainer — Nov 2026" for a monthly instance created in November 2026
+  buildInstanceName(project, occurrence) {
+    const baseName = project.name.replace(INSTANCE_SUFFIX_PATTERN, '');
+    const dateOptions = { timeZone: RECURRENCE_TIMEZONE };
+    let periodLabel;
+
+    if (project.recurrence === 'MONTHLY') {
+      periodLabel = occurrence.toLocaleDateString('en-US', { ...dateOptions, month: 'short', year: 'numeric' });
+    } else if (project.recurrence === 'QUARTERLY') {
+      const month = Number(occurrence.toLocaleDateString('en-US', { ...dateOptions, month: 'numeric' }));
+      const year = occurrence.toLocaleDateString('en-US', { ...dateOptions, year: 'numeric' });
+      periodLabel = `Q${Math.ceil(month / 3)} ${year}`;
+    } else {
+      periodLabel = occurrence.toLocaleDateString('en-US', { ...dateOptions, month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    return `${baseName} — ${periodLabel}`;
+  }
+
+  // Create the next instance of a recurring project. The recurrence rule, lead,
+  // client, team, budget and open milestones/tasks move to the new instance.
+  // Returns null when another run already created it.
+  async createNextInstance(projectId) {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const previous = await tx.project.findUnique({
+          where: { id: projectId },
+          include: { members: true }
+        });
+
+        if (!previous || !previous.recurrence || !previous.nextOccurrenceAt) {
+          return null;
+        }
+
+        // Claim the occurrence so overlapping runs can't create it twice
+        const claimed = await tx.project.updateMany({
+          where: { id: projectId, nextOccurrenceAt: previous.nextOccurrenceAt },
+          data: { recurrence: null, recurrenceCron: null, nextOccurrenceAt: null }
+        });
+
+        if (claimed.count === 0) {
+          return null;
+        }
+
+        const occurrence = previous.nextOccurrenceAt;
+        const instance = await tx.project.create({
+          data: {
+            name: this.buildInstanceName(previous, occurrence),
+            clientName: previous.clientName,
+            clientId: previous.clientId,
+            status: CARRY_OVER_STATUSES.includes(previous.status) ? previous.status : 'PLANNING',
+            assignedTo: previous.assignedTo,
+            description: previous.description,
+            budgetHours: previous.budgetHours,
+            budgetAmount: previous.budgetAmount,
+            hourlyRate: previous.hourlyRate,
+            recurrence: previous.recurrence,
+            recurrenceCron: previous.recurrenceCron,
+            // Schedule from the occurrence, or from now when the run is late, so
+            // downtime doesn't leave a backlog of instances to create
+            nextOccurrenceAt: getNextOccurrence(
+              previous.recurrence,
+              previous.recurrenceCron,
+              new Date(Math.max(occurrence.getTime(), Date.now()))
+            ),
+            previousInstanceId: previous.id
+          },
+          include: {
+            assignee: true
+          }
+        });
+
+        if (previous.members.length > 0) {
+          await tx.projectMember.createMany({
+            data: previous.members.map(member => ({
+              projectId: instance.id,
+              userId: member.userId,
+              role: member.role
+            }))
+          });
+        }
+
+        // Move open milestones with their tasks, then any remaining open tasks
+        const openMilestones = await tx.milestone.updateMany({
+          where: { projectId: previous.id, completedAt: null },
+          data: { projectId: instance.id }
+        });
+
+        const openTasks = await tx.task.findMany({
+          where: { projectId: previous.id, completedAt: null },
+          include: { milestone: true }
+        });
+
+        for (const task of openTasks) {
+          await tx.task.update({
+            where: { id: task.id },
+            data: {
+              projectId: instance.id,
+              // Tasks under a completed milestone stay open but lose the milestone
+              milestoneId: task.milestone && task.milestone.projectId === instance.id ? task.milestoneId : null
+            }
+          });
+        }
+
+        await tx.projectEvent.createMany({
+          data: [
+            {
+              projectId: instance.id,
+              projectName: instance.name,
+              userId: null,
+              type: 'CREATED',
+              newValue: instance.status
+            },
+            {
+              projectId: previous.id,
+              projectName: previous.name,
+              userId: null,
+              type: 'RECURRED',
+              field: 'nextInstance',
+              newValue: instance.name
+            }
+          ]
+        });
+
+        return {
+          previous,
+          project: instance,
+          movedMilestoneCount: openMilestones.count,
+          movedTaskCount: openTasks.length
+        };
+      });
+
+      if (result) {
+        logger.info('Recurring project instance created', {
+          previousProjectId: projectId,
+          projectId: result.project.id,
+          movedTaskCount: result.movedTaskCount
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error creating recurring project instance:', error);
+      throw error;
+    }
+  }
+
+  async getProjectPlan(projectId) {
+    try {
+      const [milestones, tasks] = await Promise.all([
+        prisma.milestone.findMany({
+          where: { projectId },
+          orderBy: { position: 'asc' }
+        }),
+        prisma.task.findMany({
+          where: { projectId },
+          orderBy: { position: 'asc' },
+          include: {
+            assignee: true
+          }
+        })
+      ]);
+
+      return {
+        milestones: milestones.map(milestone => ({
+          ...milestone,
+          tasks: tasks.filter(task => task.milestoneId === milestone.id)
+        })),
+        unscheduledTasks: tasks.filter(task => !task.milestoneId),
+        progress: this.calculateCompletion(tasks)
+      };
+    } catch (error) {
+      logger.error('Error getting project plan:', error);
+      throw error;
+    }
+  }
+
+  async createMilestone(projectId, milestoneData) {
+    try {
+      const position = await prisma.milestone.count({ where: { projectId } });
+
+      const milestone = await prisma.milestone.create({
+        data: {
+          projectId,
+          name: milestoneData.name,
+          dueDate: milestoneData.dueDate ? new Date(milestoneData.dueDate) : null,
+          position
+        }
+      });
+
+      logger.info('Milestone created', { milestoneId: milestone.id, projectId });
+      return milestone;
+    } catch (error) {
+      logger.error('Error creating milestone:', error);
+      throw error;
+    }
+  }
+
+  async createTask(projectId, taskData) {
+    try {
+      const position = await prisma.task.count({
+        where: { projectId, milestoneId: taskData.milestoneId || null }
+      });
+
+      const task = await prisma.task.create({
+        data: {
+          projectId,
+          milestoneId: taskData.milestoneId || null,
+          title: taskData.title,
+          assignedTo: taskData.assignedTo || null,
+          dueDate: taskData.dueDate ? new Date(taskData.dueDate) : null,
+          position
+        },
+        include: {
+          assignee: true
+        }
+      });
+
+      logger.info('Task created', { taskId: task.id, projectId, milestoneId: task.milestoneId });
+      return task;
+    } catch (error) {
+      logger.error('Error creating task:', error);
+      throw error;
+    }
+  }
+
+  async setTaskCompleted(taskId, completed = true) {
+    try {
+      const task = await prisma.task.update({
+        where: { id: taskId },
+        data: { completedAt: completed ? new Date() : null }
+      });
+
+      await prisma.project.update({
+        where: { id: task.projectId },
+        data: { updatedAt: new Date() }
+      });
+
+      logger.info('Task completion changed', { taskId, projectId: task.projectId, completed });
+      return task;
+    } catch (error) {
+      logger.error('Error changing task completion:', error);
+      throw error;
+    }
+  }
+
+  async setMilestoneCompleted(milestoneId, completed = true) {
+    try {
+      const milestone = await prisma.milestone.update({
+        where: { id: milestoneId },
+        data: { completedAt: completed ? new Date() : null }
+      });
+
+      logger.info('Milestone completion changed', { milestoneId, projectId: milestone.projectId, completed });
+      return milestone;
+    } catch (error) {
+      logger.error('Error changing milestone completion:', error);
+      throw error;
+    }
+  }
+
+  async deleteTask(taskId) {
+    try {
+      const task = await prisma.task.delete({
+        where: { id: taskId }
+      });
+
+      logger.info('Task deleted', { taskId, projectId: task.projectId });
+      return task;
+    } catch (error) {
+      logger.error('Error deleting task:', error);
+      throw error;
+    }
+  }
+
+  // Persist the given order; ids not passed in keep their current position
+  async reorderTasks(taskIds) {
+    try {
+      await prisma.$transaction(
+        taskIds.map((id, position) => prisma.task.update({
+          where: { id },
+          data: { position }
+        }))
+      );
+
+      logger.info('Tasks reordered', { count: taskIds.length });
+    } catch (error) {
+      logger.error('Error reordering tasks:', error);
+      throw error;
+    }
+  }
+
+  async reorderMilestones(milestoneIds) {
+    try {
+      await prisma.$transaction(
+        milestoneIds.map((id, position) => prisma.milestone.update({
+          where: { id },
+          data: { position }
+        }))
+      );
+
+      logger.info('Milestones reordered', { count: milestoneIds.length });
+    } catch (error) {
+      logger.error('Error reordering milestones:', error);
+      throw error;
+    }
+  }
+
+  // Swap a task with its neighbour inside the same milestone (or the unscheduled list)
+  async moveTask(taskId, direction) {
+    try {
+      const task = await prisma.task.findUnique({ where: { id: taskId } });
+      if (!task) {
+        throw new Error('Task not found');
+      }
+
+      const siblings = await prisma.task.findMany({
+        where: { projectId: task.projectId, milestoneId: task.milestoneId },
+        orderBy: { position: 'asc' },
+        select: { id: true }
+      });
+
+      const ids = siblings.map(sibling => sibling.id);
+      const index = ids.indexOf(taskId);
+      const target = direction === 'up' ? index - 1 : index + 1;
+
+      if (target < 0 || target >= ids.length) {
+        return;
+      }
+
+      [ids[index], ids[target]] = [ids[target], ids[index]];
+      await this.reorderTasks(ids);
+    } catch (error) {
+      logger.error('Error moving task:', error);
+      throw error;
+    }
+  }
+
+  async moveMilestone(milestoneId, direction) {
+    try {
+      const milestone = await prisma.milestone.findUnique({ where: { id: milestoneId } });
+      if (!milestone) {
+        throw new Error('Milestone not found');
+      }
+
+      const siblings = await prisma.milestone.findMany({
+        where: { projectId: milestone.projectId },
+        orderBy: { position: 'asc' },
+        select: { id: true }
+      });
+
+      const ids = siblings.map(sibling => sibling.id);
+      const index = ids.indexOf(milestoneId);
+      const target = direction === 'up' ? index - 1 : index + 1;
+
+      if (target < 0 || target >= ids.length) {
+        return;
+      }
+
+      [ids[index], ids[target]] = [ids[target], ids[index]];
+      await this.reorderMilestones(ids);
+    } catch (error) {
+      logger.error('Error moving milestone:', error);
+      throw error;
+    }
+  }
+
+  async getActiveProjectsByClient() {
+    try {
       const activeProjects = await prisma.project.findMany({
         where: {
           status: {
             in: ['PLANNING', 'IN_PROGRESS']
-          }
+          },
+          archivedAt: null
         },
         select: {
           clientName: true
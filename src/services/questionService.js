@@ -0,0 +1,267 @@
+const projectService = require('./projectService');
+const riskService = require('./riskService');
+const searchService = require('./searchService');
+const userService = require('./userService');
+const clientService = require('./clientService');
+const openaiService = require('./openai');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Caps on what is handed to the AI, to keep the prompt small
+const MAX_PROJECT_SOURCES = 10;
+const MAX_UPDATE_SOURCES = 15;
+const MAX_CONTENT_LENGTH = 600;
+// Updates this recent are used when a question names a person but no time
+const DEFAULT_UPDATE_DAYS = 30;
+// At most this many clients named in a question have their projects looked up
+const MAX_MENTIONED_CLIENTS = 3;
+
+// "can you mark Acme website as done" and "add update to Neb SEO: ship it?"
+// ask for an action, not an answer
+const REQUEST_START = /^((can|could|will|would)\s+you\s+)?(please\s+)?(mark|set|move|change|switch|put|pause|complete|finish|cancel|add|post|log|assign|hand|make|create|update|close)\b/i;
+
+const QUESTION_START = /^(what|what's|whats|which|who|who's|whose|when|where|why|how|is|are|was|were|did|does|do|has|have|had|can|could|should|will|any)\b/i;
+
+// Words that say nothing about what to search for
+const STOP_WORDS = new Set([
+  'what', 'whats', 'which', 'who', 'whos', 'whose', 'when', 'where', 'why', 'how', 'is', 'are', 'was', 'were',
+  'did', 'does', 'do', 'has', 'have', 'had', 'can', 'could', 'should', 'will', 'any', 'the', 'a', 'an', 'of',
+  'on', 'in', 'for', 'to', 'at', 'by', 'with', 'about', 'and', 'or', 'we', 'our', 'us', 'i', 'me', 'my',
+  'you', 'your', 'it', 'its', 'there', 'that', 'this', 'these', 'those', 'be', 'been', 'being', 'last',
+  'past', 'week', 'weeks', 'month', 'months', 'today', 'yesterday', 'days', 'day', 'project', 'projects',
+  'update', 'updates', 'updated', 'client', 'clients', 'tell', 'know', 'currently', 'now', 'still', 'so', 'far',
+  'anything', 'something', 'new', 'latest', 'recent', 'recently', 'happening', 'happened', 'going'
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match on the full name, or on a capitalized first name ("Sarah")
+const mentionsName = (question, name) => {
+  if (!name) {
+    return false;
+  }
+  if (new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(question)) {
+    return true;
+  }
+  const firstName = name.split(/\s+/)[0];
+  return firstName.length >= 3 && firstName !== name && new RegExp(`\\b${escapeRegExp(firstName)}\\b`).test(question);
+};
+
+// Client names are matched without regard to case, on the full name, an
+// alias or a distinctive first word ("acme" for Acme Corp)
+const mentionsClient = (question, clientRecord) => {
+  const firstWord = clientRecord.name.split(/\s+/)[0];
+  return [clientRecord.name, ...clientRecord.aliases, ...(firstWord.length >= 4 ? [firstWord] : [])]
+    .some(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(question));
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Date range for "today", "yesterday", "this/last week", "this/last month" and
+// "last/past N days", or null when the question doesn't mention a time
+const parseTimeRange = (question, now) => {
+  const text = question.toLowerCase();
+  const today = startOfDay(now);
+  // Weeks start on Monday
+  const thisWeek = new Date(today.getTime() - ((today.getDay() + 6) % 7) * DAY_MS);
+  const thisMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+
+  const days = text.match(/\b(?:last|past)\s+(\d+)\s+days?\b/);
+  if (days) {
+    return { from: new Date(now.getTime() - parseInt(days[1], 10) * DAY_MS), to: now };
+  }
+  if (/\btoday\b/.test(text)) {
+    return { from: today, to: now };
+  }
+  if (/\byesterday\b/.test(text)) {
+    return { from: new Date(today.getTime() - DAY_MS), to: today };
+  }
+  if (/\bthis week\b/.test(text)) {
+    return { from: thisWeek, to: now };
+  }
+  if (/\blast week\b/.test(text)) {
+    return { from: new Date(thisWeek.getTime() - 7 * DAY_MS), to: thisWeek };
+  }
+  if (/\bthis month\b/.test(text)) {
+    return { from: thisMonth, to: now };
+  }
+  if (/\blast month\b/.test(text)) {
+    return { from: new Date(today.getFullYear(), today.getMonth() - 1, 1), to: thisMonth };
+  }
+  return null;
+};
+
+const truncate = (text, length) => text && text.length > length ? text.substring(0, length) + '...' : text;
+
+const toUpdateSource = (update) => ({
+  type: 'update',
+  id: update.id,
+  projectId: update.projectId,
+  projectName: update.project.name,
+  clientName: update.project.clientName,
+  authorName: update.user.name,
+  createdAt: update.createdAt,
+  content: truncate(update.content, MAX_CONTENT_LENGTH),
+  aiAnalysis: update.aiAnalysis
+});
+
+const toProjectSource = (project, risks) => ({
+  type: 'project',
+  id: project.id,
+  projectId: project.id,
+  name: project.name,
+  clientName: project.clientName,
+  status: project.status,
+  leadName: project.assignee ? project.assignee.name : null,
+  deadline: project.deadline,
+  description: truncate(project.description, MAX_CONTENT_LENGTH),
+  blockers: projectService.getOpenBlockers(project).map(blocker => blocker.name),
+  risks: risks.filter(risk => risk.project.id === project.id).map(risk => `${risk.title} (${risk.severity.toLowerCase()})`),
+  latestUpdate: project.updates && project.updates[0] ? truncate(project.updates[0].content, 300) : null
+});
+
+class QuestionService {
+  // DMs that read like a question go to the Q&A instead of the keyword menu
+  isQuestion(text) {
+    const trimmed = (text || '').trim();
+    if (REQUEST_START.test(trimmed)) {
+      return false;
+    }
+    return trimmed.endsWith('?') || QUESTION_START.test(trimmed);
+  }
+
+  // Answer a question about the portfolio. Returns the answer text and the
+  // projects and updates it cites.
+  async answerQuestion(question, now = new Date()) {
+    try {
+      const sources = await this.findSources(question, now);
+
+      if (sources.length === 0) {
+        return {
+          answer: "I couldn't find any projects or updates about that. Try naming the project, client or person.",
+          sources: []
+        };
+      }
+
+      const { answer, citations } = await openaiService.answerPortfolioQuestion(question, sources);
+
+      logger.info('Portfolio question handled', {
+        sourcesCount: sources.length,
+        citationsCount: citations.length
+      });
+
+      return {
+        answer,
+        // Keep the numbers the answer uses alongside each cited source
+        sources: citations.map(number => ({ number, ...sources[number - 1] }))
+      };
+    } catch (error) {
+      logger.error('Error answering portfolio question:', error);
+      throw error;
+    }
+  }
+
+  // Projects and updates relevant to the question, from the people, clients and
+  // time it mentions plus a full-text search on its remaining words
+  async findSources(question, now = new Date()) {
+    const [users, clients] = await Promise.all([
+      userService.getAllUsers(),
+      clientService.getAllClients()
+    ]);
+
+    const people = users.filter(user => mentionsName(question, user.name));
+    const mentionedClients = clients
+      .filter(clientRecord => mentionsClient(question, clientRecord))
+      .slice(0, MAX_MENTIONED_CLIENTS);
+    const timeRange = parseTimeRange(question, now);
+
+    // Names are matched above, so only search on the other words
+    const nameWords = new Set([...people, ...mentionedClients]
+      .flatMap(record => record.name.toLowerCase().split(/\s+/)));
+    const keywords = [...new Set((question.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+      .map(word => word.replace(/'s$/, '').replace(/'/g, ''))
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !nameWords.has(word)))];
+
+    const filters = {
+      ...(mentionedClients.length === 1 && { clientId: mentionedClients[0].id }),
+      ...(people.length === 1 && { authorId: people[0].id }),
+      ...(timeRange && { from: timeRange.from, to: timeRange.to })
+    };
+
+    const updates = new Map();
+    const projectIds = new Set();
+
+    if (keywords.length > 0) {
+      // Any of the words may match; the best matches rank first
+      const results = await searchService.search(keywords.join(' or '), filters, MAX_PROJECT_SOURCES + MAX_UPDATE_SOURCES);
+      results.filter(result => result.type === 'project').forEach(result => projectIds.add(result.projectId));
+      const updateIds = results.filter(result => result.type === 'update').map(result => result.updateId);
+      if (updateIds.length > 0) {
+        const matched = await projectService.getUpdatesByIds(updateIds);
+        updateIds.forEach(id => {
+          const update = matched.find(candidate => candidate.id === id);
+          if (update) {
+            updates.set(id, update);
+          }
+        });
+      }
+    }
+
+    // "Which projects did Sarah update last week?" is about the updates themselves
+    if (people.length > 0 || timeRange) {
+      const days = timeRange ? Math.ceil((now - timeRange.from) / DAY_MS) : DEFAULT_UPDATE_DAYS;
+      const authors = people.length > 0 ? people : [null];
+
+      for (const author of authors) {
+        const recent = await projectService.getRecentUpdates(days, MAX_UPDATE_SOURCES, {
+          ...(filters.clientId && { clientId: filters.clientId }),
+          ...(author && { userId: author.id }),
+          ...(timeRange && { before: timeRange.to })
+        });
+        recent.forEach(update => updates.set(update.id, update));
+      }
+    }
+
+    for (const clientRecord of mentionedClients) {
+      const clientProjects = await projectService.getActiveProjects({ clientId: clientRecord.id });
+      clientProjects.forEach(project => projectIds.add(project.id));
+    }
+
+    // Nothing specific to go on: use what's going on right now
+    if (updates.size === 0 && projectIds.size === 0) {
+      const [activeProjects, recentUpdates] = await Promise.all([
+        projectService.getActiveProjects(),
+        projectService.getRecentUpdates(14, MAX_UPDATE_SOURCES)
+      ]);
+      activeProjects.forEach(project => projectIds.add(project.id));
+      recentUpdates.forEach(update => updates.set(update.id, update));
+    }
+
+    const [projects, risks] = projectIds.size > 0
+      ? await Promise.all([
+        projectService.getAllProjects({ ids: [...projectIds].slice(0, MAX_PROJECT_SOURCES), includeArchived: true }),
+        riskService.getOpenRisks()
+      ])
+      : [[], []];
+
+    logger.info('Question sources found', {
+      people: people.length,
+      clients: mentionedClients.length,
+      hasTimeRange: !!timeRange,
+      keywords: keywords.length,
+      projects: projects.length,
+      updates: updates.size
+    });
+
+    return [
+      ...projects.map(project => toProjectSource(project, risks)),
+      ...[...updates.values()].slice(0, MAX_UPDATE_SOURCES).map(toUpdateSource)
+    ];
+  }
+}
+
+module.exports = new QuestionService();
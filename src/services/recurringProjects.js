@@ -0,0 +1,144 @@
+const cron = require('node-cron');
+const projectService = require('./projectService');
+const logger = require('../config/logger');
+const { RECURRENCE_TIMEZONE, describeRecurrence } = require('../utils/recurrence');
+
+class RecurringProjectService {
+  constructor(slackClient) {
+    this.client = slackClient;
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+  }
+
+  // Check for due recurring projects every hour, on the hour
+  scheduleRecurrenceJob() {
+    if (this.isScheduled) {
+      logger.warn('Recurring project job already scheduled');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 * * * *', async () => {
+      await this.createDueInstances();
+    }, {
+      scheduled: true,
+      timezone: RECURRENCE_TIMEZONE
+    });
+
+    this.isScheduled = true;
+    logger.info('Recurring project job scheduled hourly');
+  }
+
+  async createDueInstances() {
+    let created = 0;
+
+    try {
+      const dueProjects = await projectService.getDueRecurringProjects();
+
+      for (const project of dueProjects) {
+        // One failing project shouldn't stop the others from recurring
+        try {
+          const result = await projectService.createNextInstance(project.id);
+          if (result) {
+            created++;
+            await this.announceInstance(result);
+          }
+        } catch (error) {
+          logger.error('Error creating next instance of recurring project:', {
+            projectId: project.id,
+            error: error.message
+          });
+        }
+      }
+
+      this.lastRun = { at: new Date().toISOString(), created };
+      if (created > 0) {
+        logger.info('Recurring project instances created', { created });
+      }
+    } catch (error) {
+      logger.error('Error running recurring project job:', error);
+    }
+
+    return created;
+  }
+
+  // DM the lead about the new instance and what was carried over
+  async announceInstance({ previous, project, movedMilestoneCount, movedTaskCount }) {
+    try {
+      if (!project.assignee) {
+        return;
+      }
+
+      const carriedOver = [
+        movedTaskCount > 0 ? `${movedTaskCount} open task${movedTaskCount > 1 ? 's' : ''}` : null,
+        movedMilestoneCount > 0 ? `${movedMilestoneCount} open milestone${movedMilestoneCount > 1 ? 's' : ''}` : null
+      ].filter(Boolean);
+
+      const nextText = project.nextOccurrenceAt
+        ? `Next instance: ${project.nextOccurrenceAt.toLocaleDateString('en-US', { timeZone: RECURRENCE_TIMEZONE })}`
+        : 'No further instances scheduled';
+
+      await this.client.chat.postMessage({
+        channel: project.assignee.slackUserId,
+        text: `🔁 New instance of "${previous.name}": ${project.name}`,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `🔁 *${project.name}* has been created for ${project.clientName}\n` +
+                    `Continues *${previous.name}* • ${carriedOver.length > 0 ? `Carried over ${carriedOver.join(' and ')}` : 'No open items to carry over'}`
+            },
+            accessory: {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "View Details"
+              },
+              action_id: "view_project_details",
+              value: project.id
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `Repeats: ${describeRecurrence(project)} • ${nextText}`
+              }
+            ]
+          }
+        ]
+      });
+    } catch (error) {
+      // The instance exists either way; a failed DM is only logged
+      logger.error('Error announcing recurring project instance:', error);
+    }
+  }
+
+  stopRecurrenceJob() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Recurring project cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping recurring project task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getRecurrenceStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = RecurringProjectService;
@@ -0,0 +1,236 @@
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+// Proposed risks at least this similar (Jaccard over normalized words) to an
+// open or mitigated risk are treated as the same risk
+const DUPLICATE_SIMILARITY = 0.5;
+
+const SEVERITY_ORDER = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'could', 'due', 'for', 'from', 'has', 'have',
+  'in', 'into', 'is', 'it', 'its', 'may', 'might', 'of', 'on', 'or', 'the', 'their', 'there',
+  'this', 'to', 'was', 'will', 'with', 'would'
+]);
+
+const RISK_INCLUDE = {
+  owner: true,
+  project: {
+    select: { id: true, name: true, clientName: true }
+  }
+};
+
+class RiskService {
+  // Lowercased content words with a naive plural strip, e.g. "Delays in the API" -> {delay, api}
+  tokenize(text) {
+    return new Set(
+      text
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)
+    );
+  }
+
+  similarity(a, b) {
+    const wordsA = this.tokenize(a);
+    const wordsB = this.tokenize(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  findSimilarRisk(title, risks) {
+    let match = null;
+    let bestScore = 0;
+
+    risks.forEach(risk => {
+      const score = this.similarity(title, risk.title);
+      if (score >= DUPLICATE_SIMILARITY && score > bestScore) {
+        match = risk;
+        bestScore = score;
+      }
+    });
+
+    return match;
+  }
+
+  // Split AI-identified risk texts into ones worth proposing and ones the
+  // register already tracks. Returns { proposals: [{ index, title }], duplicates: [{ title, risk }] }.
+  async proposeRisks(projectId, riskTexts = []) {
+    try {
+      const trackedRisks = await prisma.risk.findMany({
+        where: { projectId, status: { in: ['OPEN', 'MITIGATED'] } }
+      });
+
+      const proposals = [];
+      const duplicates = [];
+
+      riskTexts.forEach((title, index) => {
+        const existing = this.findSimilarRisk(title, trackedRisks);
+        if (existing) {
+          duplicates.push({ title, risk: existing });
+          return;
+        }
+
+        // The AI sometimes repeats itself within one analysis too
+        if (this.findSimilarRisk(title, proposals)) {
+          return;
+        }
+
+        proposals.push({ index, title });
+      });
+
+      return { proposals, duplicates };
+    } catch (error) {
+      logger.error('Error proposing risks:', error);
+      throw error;
+    }
+  }
+
+  async findDuplicateRisk(projectId, title) {
+    try {
+      const trackedRisks = await prisma.risk.findMany({
+        where: { projectId, status: { in: ['OPEN', 'MITIGATED'] } }
+      });
+
+      return this.findSimilarRisk(title, trackedRisks);
+    } catch (error) {
+      logger.error('Error checking for duplicate risk:', error);
+      throw error;
+    }
+  }
+
+  async getRisk(riskId) {
+    try {
+      return await prisma.risk.findUnique({
+        where: { id: riskId },
+        include: RISK_INCLUDE
+      });
+    } catch (error) {
+      logger.error('Error getting risk:', error);
+      throw error;
+    }
+  }
+
+  // Open risks first, then mitigated, then closed; most severe first within each
+  async getProjectRisks(projectId) {
+    try {
+      const risks = await prisma.risk.findMany({
+        where: { projectId },
+        include: RISK_INCLUDE,
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const statusOrder = { OPEN: 0, MITIGATED: 1, CLOSED: 2 };
+      return risks.sort((a, b) =>
+        statusOrder[a.status] - statusOrder[b.status] || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+      );
+    } catch (error) {
+      logger.error('Error getting project risks:', error);
+      throw error;
+    }
+  }
+
+  // Open risks across active, unarchived projects, most severe first
+  async getOpenRisks(filters = {}) {
+    try {
+      const risks = await prisma.risk.findMany({
+        where: {
+          status: 'OPEN',
+          project: {
+            archivedAt: null,
+            status: { in: ['PLANNING', 'IN_PROGRESS', 'ON_HOLD'] },
+            ...(filters.clientId && { clientId: filters.clientId }),
+            ...(filters.assignedTo && { assignedTo: filters.assignedTo })
+          }
+        },
+        include: RISK_INCLUDE,
+        orderBy: { createdAt: 'asc' }
+      });
+
+      return risks.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    } catch (error) {
+      logger.error('Error getting open risks:', error);
+      throw error;
+    }
+  }
+
+  async createRisk(projectId, riskData, creatorId = null) {
+    try {
+      const risk = await prisma.risk.create({
+        data: {
+          projectId,
+          title: riskData.title,
+          severity: riskData.severity || 'MEDIUM',
+          ownerId: riskData.ownerId || null,
+          sourceUpdateId: riskData.sourceUpdateId || null,
+          createdBy: creatorId
+        },
+        include: RISK_INCLUDE
+      });
+
+      logger.info('Risk created', { riskId: risk.id, projectId, severity: risk.severity, fromUpdate: !!risk.sourceUpdateId });
+      return risk;
+    } catch (error) {
+      logger.error('Error creating risk:', error);
+      throw error;
+    }
+  }
+
+  async setRiskStatus(riskId, status) {
+    try {
+      const risk = await prisma.risk.update({
+        where: { id: riskId },
+        data: {
+          status,
+          resolvedAt: status === 'OPEN' ? null : new Date()
+        },
+        include: RISK_INCLUDE
+      });
+
+      logger.info('Risk status changed', { riskId, status });
+      return risk;
+    } catch (error) {
+      logger.error('Error changing risk status:', error);
+      throw error;
+    }
+  }
+
+  async setRiskSeverity(riskId, severity) {
+    try {
+      const risk = await prisma.risk.update({
+        where: { id: riskId },
+        data: { severity },
+        include: RISK_INCLUDE
+      });
+
+      logger.info('Risk severity changed', { riskId, severity });
+      return risk;
+    } catch (error) {
+      logger.error('Error changing risk severity:', error);
+      throw error;
+    }
+  }
+
+  async deleteRisk(riskId) {
+    try {
+      const risk = await prisma.risk.delete({
+        where: { id: riskId }
+      });
+
+      logger.info('Risk deleted', { riskId });
+      return risk;
+    } catch (error) {
+      logger.error('Error deleting risk:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,136 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+// Matched words are wrapped in Slack bold markers
+const HEADLINE_OPTIONS = 'StartSel=*, StopSel=*, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+// The searched documents. Queries and the GIN indexes behind them are built
+// from the same expressions, as Postgres only uses an expression index when
+// the query's expression matches it exactly. prefix is the table alias.
+const projectDocument = (prefix = '') =>
+  `(setweight(to_tsvector('english', ${prefix}name), 'A') || setweight(to_tsvector('english', coalesce(${prefix}description, '')), 'B'))`;
+const updateDocument = (prefix = '') =>
+  `(setweight(to_tsvector('english', ${prefix}content), 'A') || setweight(to_tsvector('english', coalesce(${prefix}ai_analysis, '')), 'B'))`;
+
+// Prisma can't describe expression indexes in the schema, so
+// scripts/search-indexes.js creates them after every `npm run db:push`.
+// CONCURRENTLY keeps writes going on large tables.
+const SEARCH_INDEXES = [
+  { name: 'projects_search_idx', table: 'projects', document: projectDocument() },
+  { name: 'project_updates_search_idx', table: 'project_updates', document: updateDocument() }
+];
+
+class SearchService {
+  // Full-text search over project names and descriptions and over update
+  // content and AI analysis, best matches first. Archived projects are
+  // included; deleted updates are not.
+  //
+  // filters: clientId, status, authorId (only updates by that user), and
+  // from/to dates on when the project or update was created
+  async search(query, filters = {}, limit = 10) {
+    try {
+      // The tsquery is written out in each condition, rather than joined in,
+      // so the planner can use the search indexes
+      const tsQuery = Prisma.sql`websearch_to_tsquery('english', ${query})`;
+      const projectDocumentSql = Prisma.raw(projectDocument('p.'));
+      const updateDocumentSql = Prisma.raw(updateDocument('u.'));
+
+      const projectConditions = [Prisma.sql`${projectDocumentSql} @@ ${tsQuery}`];
+      const updateConditions = [Prisma.sql`${updateDocumentSql} @@ ${tsQuery}`, Prisma.sql`u.deleted_at IS NULL`];
+
+      if (filters.clientId) {
+        projectConditions.push(Prisma.sql`p.client_id = ${filters.clientId}`);
+        updateConditions.push(Prisma.sql`p.client_id = ${filters.clientId}`);
+      }
+      if (filters.status) {
+        projectConditions.push(Prisma.sql`p.status::text = ${filters.status}`);
+        updateConditions.push(Prisma.sql`p.status::text = ${filters.status}`);
+      }
+      if (filters.authorId) {
+        updateConditions.push(Prisma.sql`u.user_id = ${filters.authorId}`);
+      }
+      if (filters.from) {
+        projectConditions.push(Prisma.sql`p.created_at >= ${filters.from}`);
+        updateConditions.push(Prisma.sql`u.created_at >= ${filters.from}`);
+      }
+      if (filters.to) {
+        projectConditions.push(Prisma.sql`p.created_at <= ${filters.to}`);
+        updateConditions.push(Prisma.sql`u.created_at <= ${filters.to}`);
+      }
+
+      // Projects have no author, so an author filter leaves only updates
+      const projectSearch = filters.authorId ? Prisma.empty : Prisma.sql`
+        SELECT 'project' AS type, p.id AS project_id, NULL AS update_id, p.name AS project_name,
+          p.client_name, p.status::text AS status, p.archived_at, NULL AS author_name, p.created_at,
+          ts_rank(${projectDocumentSql}, ${tsQuery}) AS rank,
+          ts_headline('english', coalesce(p.description, ''), ${tsQuery}, ${HEADLINE_OPTIONS}) AS snippet
+        FROM projects p
+        WHERE ${Prisma.join(projectConditions, ' AND ')}
+        UNION ALL`;
+
+      const results = await prisma.$queryRaw`
+        SELECT * FROM (
+          ${projectSearch}
+          SELECT 'update' AS type, p.id AS project_id, u.id AS update_id, p.name AS project_name,
+            p.client_name, p.status::text AS status, p.archived_at, usr.name AS author_name, u.created_at,
+            ts_rank(${updateDocumentSql}, ${tsQuery}) AS rank,
+            ts_headline('english', u.content || coalesce(' — ' || u.ai_analysis, ''), ${tsQuery}, ${HEADLINE_OPTIONS}) AS snippet
+          FROM project_updates u
+          JOIN projects p ON p.id = u.project_id
+          JOIN users usr ON usr.id = u.user_id
+          WHERE ${Prisma.join(updateConditions, ' AND ')}
+        ) results
+        ORDER BY rank DESC, created_at DESC
+        LIMIT ${limit}`;
+
+      logger.info('Search run', { query, filters, resultCount: results.length });
+
+      return results.map(result => ({
+        type: result.type,
+        projectId: result.project_id,
+        updateId: result.update_id,
+        projectName: result.project_name,
+        clientName: result.client_name,
+        status: result.status,
+        archived: !!result.archived_at,
+        authorName: result.author_name,
+        createdAt: result.created_at,
+        rank: result.rank,
+        snippet: result.snippet
+      }));
+    } catch (error) {
+      logger.error('Error searching projects and updates:', error);
+      throw error;
+    }
+  }
+
+  // Create the GIN indexes search relies on, if they don't exist yet. A
+  // concurrent build that failed leaves an invalid index behind, which
+  // IF NOT EXISTS would skip, so those are dropped and built again.
+  async ensureSearchIndexes() {
+    try {
+      const invalid = await prisma.$queryRaw`
+        SELECT c.relname AS name
+        FROM pg_index i
+        JOIN pg_class c ON c.oid = i.indexrelid
+        WHERE c.relname IN (${Prisma.join(SEARCH_INDEXES.map(index => index.name))}) AND NOT i.indisvalid
+      `;
+
+      for (const { name } of invalid) {
+        logger.warn('Rebuilding invalid search index', { index: name });
+        await prisma.$executeRawUnsafe(`DROP INDEX CONCURRENTLY IF EXISTS ${name}`);
+      }
+
+      for (const index of SEARCH_INDEXES) {
+        await prisma.$executeRawUnsafe(`CREATE INDEX CONCURRENTLY IF NOT EXISTS ${index.name} ON ${index.table} USING GIN (${index.document})`);
+      }
+      logger.info('Search indexes ready', { rebuilt: invalid.length });
+    } catch (error) {
+      logger.error('Error creating search indexes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SearchService();
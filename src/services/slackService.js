@@ -124,6 +124,19 @@ class SlackService {
       .join(' ');
   }
 
+  /**
+   * Turn Slack message markup into plain text: links (<url|label>) become
+   * "label (url)" and channels (<#C123|name>) become "#name"
+   * @param {string} text - Message text as Slack sends it
+   * @returns {string} Plain text
+   */
+  toPlainText(text) {
+    return (text || '')
+      .replace(/<#\w+\|([^>]+)>/g, '#$1')
+      .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+      .replace(/<(https?:[^>]+)>/g, '$1');
+  }
+
   /**
    * Search for channels by name pattern
    * @param {string} pattern - Search pattern
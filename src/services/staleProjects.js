@@ -0,0 +1,222 @@
+const cron = require('node-cron');
+const projectService = require('./projectService');
+const logger = require('../config/logger');
+
+const DEFAULT_STALE_DAYS = 14;
+const DEFAULT_ESCALATION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? fallback : days;
+};
+
+class StaleProjectService {
+  constructor(slackClient) {
+    this.client = slackClient;
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+
+    this.staleDays = readDays(process.env.STALE_PROJECT_DAYS, DEFAULT_STALE_DAYS);
+    this.escalationDays = readDays(process.env.STALE_ESCALATION_DAYS, DEFAULT_ESCALATION_DAYS);
+    this.escalationUserId = process.env.STALE_ESCALATION_USER_ID || null;
+    this.escalationChannelId = process.env.STALE_ESCALATION_CHANNEL_ID || null;
+  }
+
+  // Check for stale projects on weekday mornings at 10 AM.
+  // STALE_PROJECT_DAYS=0 disables the check entirely.
+  scheduleStaleProjectJob() {
+    if (this.isScheduled) {
+      logger.warn('Stale project job already scheduled');
+      return;
+    }
+
+    if (this.staleDays <= 0) {
+      logger.info('Stale project detection disabled');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 10 * * 1-5', async () => {
+      await this.checkStaleProjects();
+    }, {
+      scheduled: true,
+      timezone: "America/New_York"
+    });
+
+    this.isScheduled = true;
+    logger.info(`Stale project job scheduled weekdays at 10:00 AM (${this.staleDays} days without an update)`);
+  }
+
+  // Days since the latest update, or since creation for projects without one
+  getDaysSinceUpdate(project, now = new Date()) {
+    const lastActivity = project.updates[0]?.createdAt || project.createdAt;
+    return Math.floor((now - new Date(lastActivity)) / DAY_MS);
+  }
+
+  hasEscalationTarget() {
+    return Boolean(this.escalationUserId || this.escalationChannelId);
+  }
+
+  // Nudge the lead once a project goes quiet. If it is still quiet
+  // STALE_ESCALATION_DAYS after the nudge, or has no lead to nudge, tell the
+  // configured manager and/or channel. Both notices are sent once and reset by
+  // the next update.
+  async checkStaleProjects() {
+    let nudged = 0;
+    let escalated = 0;
+
+    try {
+      const now = new Date();
+      const projects = await projectService.getActiveProjects();
+
+      for (const project of projects) {
+        const daysSinceUpdate = this.getDaysSinceUpdate(project, now);
+        if (daysSinceUpdate < this.staleDays) {
+          continue;
+        }
+
+        // One failing project shouldn't stop the others from being checked
+        try {
+          if (project.assignee && !project.staleNudgedAt) {
+            await this.nudgeLead(project, daysSinceUpdate);
+            await projectService.markStaleNotified(project.id, 'nudged');
+            nudged++;
+            continue;
+          }
+
+          if (project.staleEscalatedAt || !this.hasEscalationTarget()) {
+            continue;
+          }
+
+          const daysSinceNudge = project.staleNudgedAt
+            ? Math.floor((now - project.staleNudgedAt) / DAY_MS)
+            : null;
+
+          if (!project.assignee || daysSinceNudge >= this.escalationDays) {
+            await this.escalate(project, daysSinceUpdate);
+            await projectService.markStaleNotified(project.id, 'escalated');
+            escalated++;
+          }
+        } catch (error) {
+          logger.error('Error notifying about stale project:', {
+            projectId: project.id,
+            error: error.message
+          });
+        }
+      }
+
+      this.lastRun = { at: now.toISOString(), nudged, escalated };
+      if (nudged > 0 || escalated > 0) {
+        logger.info('Stale project notices sent', { nudged, escalated });
+      }
+    } catch (error) {
+      logger.error('Error running stale project job:', error);
+    }
+
+    return { nudged, escalated };
+  }
+
+  async nudgeLead(project, daysSinceUpdate) {
+    await this.client.chat.postMessage({
+      channel: project.assignee.slackUserId,
+      text: `📭 ${project.name} hasn't had an update in ${daysSinceUpdate} days`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `📭 *${project.name}* (${project.clientName}) hasn't had an update in ${daysSinceUpdate} days.\n` +
+                  `A quick note on progress keeps the team and the weekly digest current.`
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "Add update"
+              },
+              style: "primary",
+              action_id: "stale_add_update",
+              value: project.id
+            },
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "View Details"
+              },
+              action_id: "view_project_details",
+              value: project.id
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async escalate(project, daysSinceUpdate) {
+    const leadText = project.assignee
+      ? `<@${project.assignee.slackUserId}> was reminded ${Math.floor((Date.now() - project.staleNudgedAt) / DAY_MS)} days ago`
+      : 'It has no project lead to remind';
+
+    const message = {
+      text: `⏰ ${project.name} still has no update after ${daysSinceUpdate} days`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `⏰ *${project.name}* (${project.clientName}) still has no update after ${daysSinceUpdate} days.\n${leadText}.`
+          },
+          accessory: {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "View Details"
+            },
+            action_id: "view_project_details",
+            value: project.id
+          }
+        }
+      ]
+    };
+
+    const channels = [this.escalationUserId, this.escalationChannelId].filter(Boolean);
+    for (const channel of channels) {
+      await this.client.chat.postMessage({ channel, ...message });
+    }
+  }
+
+  stopStaleProjectJob() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Stale project cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping stale project task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getStaleProjectStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      staleDays: this.staleDays,
+      escalationDays: this.escalationDays,
+      escalates: this.hasEscalationTarget(),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = StaleProjectService;
@@ -0,0 +1,231 @@
+const { prisma } = require('../config/database');
+const projectService = require('./projectService');
+const questionService = require('./questionService');
+const openaiService = require('./openai');
+const logger = require('../config/logger');
+
+// Shorter messages are chatter ("done!", "thanks") rather than status news
+const MIN_SIGNAL_LENGTH = 30;
+
+// What makes a client channel message status news, by the reason shown to the lead
+const SIGNAL_RULES = [
+  { reason: 'launch', pattern: /\b(launched|went live|is live|now live|shipped|released|deployed|published)\b/i },
+  { reason: 'delivery', pattern: /\b(delivered|handed over|sent over|submitted)\b/i },
+  { reason: 'approval', pattern: /\b(approved|signed off|sign-off|signed the|green ?lit|green ?light)\b/i },
+  { reason: 'completion', pattern: /\b(completed|finished|wrapped up|done with)\b/i },
+  { reason: 'kickoff', pattern: /\b(kicked off|kick-off|kickoff|started on|starting on)\b/i },
+  { reason: 'blocker', pattern: /\b(blocked|blocker|stuck|waiting on|waiting for)\b/i },
+  { reason: 'delay', pattern: /\b(delayed|delay|slipped|slipping|pushed back|push back|postponed?|behind schedule|rescheduled?)\b/i },
+  { reason: 'deadline', pattern: /\b(deadline|due date|go-live date|launch date)\b/i },
+  { reason: 'scope', pattern: /\b(out of scope|change request|scope change|extra hours|over budget)\b/i },
+  { reason: 'issue', pattern: /\b(bug|outage|broken|crashed|crashing)\b/i }
+];
+
+// Words too common in project names to tell projects apart
+const GENERIC_NAME_WORDS = new Set(['the', 'and', 'for', 'project', 'website', 'site', 'new', 'phase']);
+
+const nameWords = (name) => (name.toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length >= 3 && !GENERIC_NAME_WORDS.has(word));
+
+// The project a message is most likely about: the one whose name it mentions
+// most, otherwise the most recently active one (projects come in that order)
+const pickProject = (text, projects) => {
+  const words = new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+  const scored = projects.map(project => ({
+    project,
+    score: nameWords(project.name).filter(word => words.has(word)).length
+  }));
+  const best = scored.reduce((top, candidate) => candidate.score > top.score ? candidate : top, scored[0]);
+  return best.project;
+};
+
+class StatusSignalService {
+  // Reasons a message looks like status news, empty when it doesn't
+  matchRules(text) {
+    const trimmed = (text || '').trim();
+    // Questions ask for status rather than give it
+    if (trimmed.length < MIN_SIGNAL_LENGTH || questionService.isQuestion(trimmed)) {
+      return [];
+    }
+    return SIGNAL_RULES.filter(rule => rule.pattern.test(trimmed)).map(rule => rule.reason);
+  }
+
+  // Decide whether a client channel message is status news and which of the
+  // client's active projects it is about. Returns { project, reason } or null.
+  // With STATUS_SIGNAL_AI=true, the AI double-checks the rule matches.
+  async classifyMessage(text, clientId) {
+    try {
+      const reasons = this.matchRules(text);
+      if (reasons.length === 0) {
+        return null;
+      }
+
+      const projects = await projectService.getActiveProjects({ clientId });
+      if (projects.length === 0) {
+        return null;
+      }
+
+      if (process.env.STATUS_SIGNAL_AI === 'true') {
+        const aiResult = await openaiService.classifyStatusSignal(text, projects);
+        // null means the AI was unavailable, so the rules decide
+        if (aiResult && !aiResult.relevant) {
+          return null;
+        }
+        if (aiResult) {
+          return {
+            project: projects[aiResult.projectNumber - 1] || pickProject(text, projects),
+            reason: aiResult.reason || reasons.join(', ')
+          };
+        }
+      }
+
+      return { project: pickProject(text, projects), reason: reasons.join(', ') };
+    } catch (error) {
+      logger.error('Error classifying status signal:', error);
+      throw error;
+    }
+  }
+
+  // Returns null if the message was already recorded, e.g. when Slack retries an event
+  async recordSignal(signalData) {
+    try {
+      const signal = await prisma.statusSignal.create({
+        data: {
+          clientId: signalData.clientId,
+          projectId: signalData.projectId,
+          channelId: signalData.channelId,
+          messageTs: signalData.messageTs,
+          authorSlackId: signalData.authorSlackId,
+          content: signalData.content,
+          permalink: signalData.permalink || null,
+          reason: signalData.reason
+        }
+      });
+
+      logger.info('Status signal recorded', {
+        signalId: signal.id,
+        projectId: signal.projectId,
+        reason: signal.reason
+      });
+      return signal;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        logger.info('Status signal already recorded', { channelId: signalData.channelId, messageTs: signalData.messageTs });
+        return null;
+      }
+      logger.error('Error recording status signal:', error);
+      throw error;
+    }
+  }
+
+  // Signals not yet suggested to a lead, oldest first. Older ones than `since` are
+  // left out: by then the news has usually reached the project another way.
+  async getUnsuggestedSignals(since) {
+    try {
+      return await prisma.statusSignal.findMany({
+        where: {
+          status: 'PENDING',
+          suggestedAt: null,
+          createdAt: { gte: since },
+          project: { archivedAt: null }
+        },
+        include: {
+          project: {
+            include: {
+              assignee: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting unsuggested status signals:', error);
+      throw error;
+    }
+  }
+
+  async markSuggested(signalIds) {
+    try {
+      await prisma.statusSignal.updateMany({
+        where: { id: { in: signalIds } },
+        data: { suggestedAt: new Date() }
+      });
+    } catch (error) {
+      logger.error('Error marking status signals suggested:', error);
+      throw error;
+    }
+  }
+
+  async getSignal(signalId) {
+    try {
+      return await prisma.statusSignal.findUnique({
+        where: { id: signalId },
+        include: {
+          project: true
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting status signal:', error);
+      throw error;
+    }
+  }
+
+  // Turn a pending signal into a project update by the accepting user, linked
+  // to the original message. Returns the update, or null if the signal was
+  // already accepted or dismissed.
+  async acceptSignal(signalId, userId) {
+    try {
+      // Claim the signal first so a double click can't add the update twice
+      const { count } = await prisma.statusSignal.updateMany({
+        where: { id: signalId, status: 'PENDING' },
+        data: { status: 'ACCEPTED' }
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const signal = await this.getSignal(signalId);
+      let update;
+      try {
+        update = await projectService.addProjectUpdate(signal.projectId, userId, signal.content, {
+          channelId: signal.channelId,
+          messageTs: signal.messageTs,
+          permalink: signal.permalink
+        });
+      } catch (error) {
+        // Let the lead try again
+        await prisma.statusSignal.update({ where: { id: signalId }, data: { status: 'PENDING' } });
+        throw error;
+      }
+
+      await prisma.statusSignal.update({
+        where: { id: signalId },
+        data: { updateId: update.id }
+      });
+
+      logger.info('Status signal accepted', { signalId, updateId: update.id, userId });
+      return update;
+    } catch (error) {
+      logger.error('Error accepting status signal:', error);
+      throw error;
+    }
+  }
+
+  // Returns false if the signal was already accepted or dismissed
+  async dismissSignal(signalId) {
+    try {
+      const { count } = await prisma.statusSignal.updateMany({
+        where: { id: signalId, status: 'PENDING' },
+        data: { status: 'DISMISSED' }
+      });
+
+      logger.info('Status signal dismissed', { signalId, dismissed: count > 0 });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error dismissing status signal:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StatusSignalService();
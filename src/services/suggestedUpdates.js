@@ -0,0 +1,178 @@
+const cron = require('node-cron');
+const statusSignalService = require('./statusSignalService');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Signals older than this are dropped instead of suggested
+const MAX_SIGNAL_AGE_DAYS = 7;
+// Three blocks per signal keeps a DM under Slack's 50 block limit; the rest
+// wait for the next day
+const MAX_SIGNALS_PER_DM = 15;
+
+class SuggestedUpdateService {
+  constructor(slackClient) {
+    this.client = slackClient;
+    this.isScheduled = false;
+    this.cronTask = null;
+    this.lastRun = null;
+  }
+
+  // DM each project lead the status signals picked up from client channels,
+  // every morning at 9 AM
+  scheduleSuggestedUpdates() {
+    if (this.isScheduled) {
+      logger.warn('Suggested updates job already scheduled');
+      return;
+    }
+
+    this.cronTask = cron.schedule('0 9 * * *', async () => {
+      await this.sendSuggestedUpdates();
+    }, {
+      scheduled: true,
+      timezone: "America/New_York"
+    });
+
+    this.isScheduled = true;
+    logger.info('Suggested updates job scheduled daily at 9:00 AM');
+  }
+
+  // Signals on projects without a lead have no one to go to and are skipped
+  async sendSuggestedUpdates(now = new Date()) {
+    let sent = 0;
+    let suggested = 0;
+
+    try {
+      const signals = await statusSignalService.getUnsuggestedSignals(new Date(now.getTime() - MAX_SIGNAL_AGE_DAYS * DAY_MS));
+
+      const signalsByLead = new Map();
+      signals.filter(signal => signal.project.assignee).forEach(signal => {
+        const lead = signal.project.assignee;
+        if (!signalsByLead.has(lead.id)) {
+          signalsByLead.set(lead.id, { lead, signals: [] });
+        }
+        signalsByLead.get(lead.id).signals.push(signal);
+      });
+
+      for (const { lead, signals: leadSignals } of signalsByLead.values()) {
+        // One failing lead shouldn't stop the others from getting theirs
+        try {
+          const batch = leadSignals.slice(0, MAX_SIGNALS_PER_DM);
+
+          await this.client.chat.postMessage({
+            channel: lead.slackUserId,
+            text: `🔎 ${batch.length} suggested update${batch.length === 1 ? '' : 's'} from client channels`,
+            blocks: this.createSuggestionBlocks(batch)
+          });
+
+          await statusSignalService.markSuggested(batch.map(signal => signal.id));
+          sent++;
+          suggested += batch.length;
+        } catch (error) {
+          logger.error('Error sending suggested updates:', {
+            userId: lead.id,
+            error: error.message
+          });
+        }
+      }
+
+      this.lastRun = { at: now.toISOString(), leads: sent, suggested };
+      if (sent > 0) {
+        logger.info('Suggested updates sent', { leads: sent, suggested });
+      }
+    } catch (error) {
+      logger.error('Error running suggested updates job:', error);
+    }
+
+    return suggested;
+  }
+
+  createSuggestionBlocks(signals) {
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🔎 *Suggested updates*\nThese messages in client channels look like project news. Accept one to add it as an update on the project.`
+        }
+      }
+    ];
+
+    signals.forEach(signal => {
+      const content = signal.content.length > 500 ? signal.content.substring(0, 500) + '...' : signal.content;
+      const messageText = signal.permalink ? `<${signal.permalink}|Message>` : 'Message';
+
+      blocks.push(
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*${signal.project.name}* (${signal.project.clientName})\n>${content.replace(/\n/g, '\n>')}`
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `${messageText} from <@${signal.authorSlackId}> in <#${signal.channelId}> on ${new Date(signal.createdAt).toLocaleDateString()} · Picked up for: ${signal.reason}`
+            }
+          ]
+        },
+        {
+          type: "actions",
+          // The accept and dismiss handlers swap this block for the outcome
+          block_id: `signal_${signal.id}`,
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "✅ Accept as update"
+              },
+              style: "primary",
+              action_id: "signal_accept",
+              value: signal.id
+            },
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "Dismiss"
+              },
+              action_id: "signal_dismiss",
+              value: signal.id
+            }
+          ]
+        }
+      );
+    });
+
+    return blocks;
+  }
+
+  stopSuggestedUpdates() {
+    try {
+      if (this.cronTask) {
+        if (typeof this.cronTask.stop === 'function') {
+          this.cronTask.stop();
+        }
+        this.cronTask = null;
+        logger.info('✅ Suggested updates cron task stopped');
+      }
+      this.isScheduled = false;
+    } catch (error) {
+      logger.error('Error stopping suggested updates task:', error);
+      this.cronTask = null;
+      this.isScheduled = false;
+    }
+  }
+
+  getSuggestedUpdatesStatus() {
+    return {
+      isScheduled: this.isScheduled,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = SuggestedUpdateService;
@@ -0,0 +1,108 @@
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+
+class TemplateService {
+  async getAllTemplates() {
+    try {
+      return await prisma.projectTemplate.findMany({
+        orderBy: { name: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error getting project templates:', error);
+      throw error;
+    }
+  }
+
+  async getTemplate(templateId) {
+    try {
+      return await prisma.projectTemplate.findUnique({
+        where: { id: templateId }
+      });
+    } catch (error) {
+      logger.error('Error getting project template:', error);
+      throw error;
+    }
+  }
+
+  async findTemplateByName(name) {
+    try {
+      return await prisma.projectTemplate.findFirst({
+        where: {
+          name: { equals: name.trim(), mode: 'insensitive' }
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding project template by name:', error);
+      throw error;
+    }
+  }
+
+  async createTemplate(templateData, creatorId = null) {
+    try {
+      const template = await prisma.projectTemplate.create({
+        data: {
+          name: templateData.name,
+          description: templateData.description || null,
+          defaultStatus: templateData.defaultStatus || 'PLANNING',
+          deadlineOffsetDays: templateData.deadlineOffsetDays ?? null,
+          defaultTasks: templateData.defaultTasks || [],
+          createdBy: creatorId
+        }
+      });
+
+      logger.info('Project template created', { templateId: template.id, name: template.name, createdBy: creatorId });
+      return template;
+    } catch (error) {
+      logger.error('Error creating project template:', error);
+      throw error;
+    }
+  }
+
+  async updateTemplate(templateId, templateData) {
+    try {
+      const template = await prisma.projectTemplate.update({
+        where: { id: templateId },
+        data: {
+          name: templateData.name,
+          description: templateData.description || null,
+          defaultStatus: templateData.defaultStatus,
+          deadlineOffsetDays: templateData.deadlineOffsetDays ?? null,
+          defaultTasks: templateData.defaultTasks
+        }
+      });
+
+      logger.info('Project template updated', { templateId, updatedFields: Object.keys(templateData) });
+      return template;
+    } catch (error) {
+      logger.error('Error updating project template:', error);
+      throw error;
+    }
+  }
+
+  async deleteTemplate(templateId) {
+    try {
+      const template = await prisma.projectTemplate.delete({
+        where: { id: templateId }
+      });
+
+      logger.info('Project template deleted', { templateId });
+      return template;
+    } catch (error) {
+      logger.error('Error deleting project template:', error);
+      throw error;
+    }
+  }
+
+  // YYYY-MM-DD deadline for a project created today from this template, or null
+  getDefaultDeadline(template, fromDate = new Date()) {
+    if (template.deadlineOffsetDays === null || template.deadlineOffsetDays === undefined) {
+      return null;
+    }
+
+    const deadline = new Date(fromDate);
+    deadline.setDate(deadline.getDate() + template.deadlineOffsetDays);
+    return deadline.toISOString().split('T')[0];
+  }
+}
+
+module.exports = new TemplateService();
@@ -28,6 +28,39 @@ class UserService {
     }
   }
 
+  // Resolve Slack user IDs (e.g. from a multi-user select) to database users
+  async findOrCreateUsersFromSlack(slackUserIds, slackService) {
+    try {
+      const users = [];
+
+      for (const slackUserId of slackUserIds) {
+        const userInfo = await slackService.getUserInfo(slackUserId);
+        if (userInfo) {
+          users.push(await this.findOrCreateUser(slackUserId, {
+            name: userInfo.name,
+            email: userInfo.email
+          }));
+        }
+      }
+
+      return users;
+    } catch (error) {
+      logger.error('Error resolving Slack users:', error);
+      throw error;
+    }
+  }
+
+  async getUser(userId) {
+    try {
+      return await prisma.user.findUnique({
+        where: { id: userId }
+      });
+    } catch (error) {
+      logger.error('Error getting user:', error);
+      throw error;
+    }
+  }
+
   async getUserBySlackId(slackUserId) {
     try {
       return await prisma.user.findUnique({
@@ -36,6 +69,7 @@ class UserService {
           assignedProjects: {
             include: {
               updates: {
+                where: { deletedAt: null },
                 orderBy: { createdAt: 'desc' },
                 take: 5
               }
@@ -60,6 +94,20 @@ class UserService {
     }
   }
 
+  // Exact name match first, then the first name containing the text, ignoring case
+  async findUserByName(name) {
+    try {
+      const users = await prisma.user.findMany({
+        where: { name: { contains: name, mode: 'insensitive' } },
+        orderBy: { name: 'asc' }
+      });
+      return users.find(user => user.name.toLowerCase() === name.toLowerCase()) || users[0] || null;
+    } catch (error) {
+      logger.error('Error finding user by name:', error);
+      throw error;
+    }
+  }
+
   async updateUser(userId, updateData) {
     try {
       return await prisma.user.update({
@@ -72,34 +120,52 @@ class UserService {
     }
   }
 
-  async getUserStats(userId) {
+  // Pass null to turn deadline reminders back on
+  async snoozeReminders(slackUserId, until) {
     try {
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        include: {
-          assignedProjects: true,
-          projectUpdates: true
-        }
+      return await prisma.user.update({
+        where: { slackUserId },
+        data: { remindersSnoozedUntil: until }
       });
+    } catch (error) {
+      logger.error('Error snoozing reminders:', error);
+      throw error;
+    }
+  }
 
-      if (!user) {
-        throw new Error('User not found');
-      }
+  // day is a weekday (0 = Sunday), or null to stop the personal digest
+  async setPersonalDigestDay(slackUserId, day) {
+    try {
+      return await prisma.user.update({
+        where: { slackUserId },
+        data: { personalDigestDay: day }
+      });
+    } catch (error) {
+      logger.error('Error setting personal digest day:', error);
+      throw error;
+    }
+  }
+
+  // types lists the project changes (STATUS, LEAD, DEADLINE) to get DMs about
+  async setChangeNotifications(slackUserId, types) {
+    try {
+      return await prisma.user.update({
+        where: { slackUserId },
+        data: { changeNotifications: types }
+      });
+    } catch (error) {
+      logger.error('Error setting change notifications:', error);
+      throw error;
+    }
+  }
 
-      const stats = {
-        totalProjects: user.assignedProjects.length,
-        activeProjects: user.assignedProjects.filter(p => 
-          ['PLANNING', 'IN_PROGRESS'].includes(p.status)
-        ).length,
-        completedProjects: user.assignedProjects.filter(p => 
-          p.status === 'COMPLETED'
-        ).length,
-        totalUpdates: user.projectUpdates.length
-      };
-
-      return { user, stats };
+  async getPersonalDigestRecipients(day) {
+    try {
+      return await prisma.user.findMany({
+        where: { personalDigestDay: day }
+      });
     } catch (error) {
-      logger.error('Error getting user stats:', error);
+      logger.error('Error getting personal digest recipients:', error);
       throw error;
     }
   }
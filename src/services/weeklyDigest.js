@@ -1,116 +1,214 @@
 const cron = require('node-cron');
 const projectService = require('./projectService');
+const riskService = require('./riskService');
+const digestSubscriptionService = require('./digestSubscriptionService');
 const openaiService = require('./openai');
 const logger = require('../config/logger');
+const { formatBurn } = require('../slack/blocks/budgetInputs');
+const { formatRisk } = require('../slack/blocks/riskInputs');
+const { formatHealthBadge } = require('../slack/blocks/healthBadge');
+const { ALL_DIGEST_SECTIONS } = require('../slack/blocks/digestSections');
+const { isValidCron, getNextCronRun } = require('../utils/recurrence');
+
+// Open risks listed in the digest; the rest are summarized as a count
+const MAX_DIGEST_RISKS = 10;
+
+// The original Monday morning digest, used for the subscription created for
+// GENERAL_CHANNEL_ID on first start
+const DEFAULT_SUBSCRIPTION = {
+  schedule: '0 9 * * 1',
+  timezone: 'America/New_York',
+  sections: ALL_DIGEST_SECTIONS
+};
 
 class WeeklyDigestService {
   constructor(slackClient) {
     this.client = slackClient;
     this.isScheduled = false;
-    this.cronTask = null;
+    // Subscription ID -> { task, schedule, timezone }
+    this.cronTasks = new Map();
   }
 
-  // Schedule weekly digest to run every Monday at 9 AM
-  scheduleWeeklyDigest() {
+  // Load every digest subscription and give each its own cron task
+  async scheduleWeeklyDigest() {
     if (this.isScheduled) {
       logger.warn('Weekly digest already scheduled');
       return;
     }
 
-    // Run every Monday at 9:00 AM (0 9 * * 1)
-    this.cronTask = cron.schedule('0 9 * * 1', async () => {
-      await this.generateAndSendDigest();
+    try {
+      await digestSubscriptionService.ensureDefaultSubscription(process.env.GENERAL_CHANNEL_ID, DEFAULT_SUBSCRIPTION);
+
+      const subscriptions = await digestSubscriptionService.getAllSubscriptions();
+      subscriptions.forEach(subscription => this.scheduleSubscription(subscription));
+
+      this.isScheduled = true;
+      logger.info('Digests scheduled', { subscriptions: this.cronTasks.size });
+    } catch (error) {
+      logger.error('Error scheduling digests:', error);
+    }
+  }
+
+  // (Re)schedule one subscription, e.g. after it is edited with /project-digest
+  scheduleSubscription(subscription) {
+    this.unscheduleSubscription(subscription.id);
+
+    if (!isValidCron(subscription.schedule)) {
+      logger.warn('Skipping digest subscription with an invalid schedule', {
+        subscriptionId: subscription.id,
+        schedule: subscription.schedule
+      });
+      return;
+    }
+
+    const cronTask = cron.schedule(subscription.schedule, async () => {
+      await this.sendSubscriptionDigest(subscription.id);
     }, {
       scheduled: true,
-      timezone: "America/New_York" // Adjust timezone as needed
+      timezone: subscription.timezone
     });
 
-    this.isScheduled = true;
-    logger.info('Weekly digest scheduled for Mondays at 9:00 AM');
+    this.cronTasks.set(subscription.id, {
+      task: cronTask,
+      schedule: subscription.schedule,
+      timezone: subscription.timezone
+    });
+  }
+
+  unscheduleSubscription(subscriptionId) {
+    const scheduled = this.cronTasks.get(subscriptionId);
+    if (scheduled) {
+      if (typeof scheduled.task.stop === 'function') {
+        scheduled.task.stop();
+      }
+      this.cronTasks.delete(subscriptionId);
+    }
   }
 
-  // Manual trigger for testing
-  async generateAndSendDigest() {
+  // The subscription is reloaded on every run so edits made since scheduling apply
+  async sendSubscriptionDigest(subscriptionId) {
     try {
-      logger.info('Starting weekly digest generation');
+      const subscription = await digestSubscriptionService.getSubscription(subscriptionId);
+      if (!subscription) {
+        this.unscheduleSubscription(subscriptionId);
+        return;
+      }
 
-      // Get all active projects
-      const activeProjects = await projectService.getActiveProjects();
+      if (await this.generateAndSendDigest(subscription)) {
+        await digestSubscriptionService.markSent(subscriptionId);
+      }
+    } catch (error) {
+      logger.error('Error sending subscription digest:', {
+        subscriptionId,
+        error: error.message
+      });
+    }
+  }
+
+  // Manual trigger for testing. Without a subscription the full digest goes to
+  // GENERAL_CHANNEL_ID. Returns whether the digest was posted.
+  async generateAndSendDigest(subscription = null) {
+    const channelId = subscription ? subscription.channelId : process.env.GENERAL_CHANNEL_ID;
+
+    try {
+      logger.info('Starting digest generation', { subscriptionId: subscription?.id || null });
+
+      if (!channelId) {
+        logger.error('GENERAL_CHANNEL_ID not configured');
+        return false;
+      }
+
+      const filters = subscription?.clientId ? { clientId: subscription.clientId } : {};
+      const sections = subscription ? subscription.sections : ALL_DIGEST_SECTIONS;
+
+      // Get active projects
+      const activeProjects = await projectService.getActiveProjects(filters);
       
       // Get recent updates from the last 7 days
-      const recentUpdates = await projectService.getRecentUpdates(7, 20);
+      const recentUpdates = await projectService.getRecentUpdates(7, 20, filters);
       
       // Get project statistics
-      const stats = await projectService.getProjectStats();
+      const stats = await projectService.getProjectStats(filters);
 
-      // Generate AI-powered digest
-      const aiDigest = await openaiService.generateWeeklyDigest(activeProjects, recentUpdates);
+      // Get open risks across active projects, most severe first
+      const openRisks = await riskService.getOpenRisks(filters);
 
-      // Create the digest message blocks
-      const digestBlocks = await this.createDigestBlocks(stats, activeProjects, recentUpdates, aiDigest);
+      // Generate AI-powered digest, only when the subscription shows it
+      const aiDigest = sections.includes('SUMMARY')
+        ? await openaiService.generateWeeklyDigest(activeProjects, recentUpdates)
+        : null;
 
-      // Send to general channel
-      const generalChannelId = process.env.GENERAL_CHANNEL_ID;
-      
-      if (!generalChannelId) {
-        logger.error('GENERAL_CHANNEL_ID not configured');
-        return;
-      }
+      // Create the digest message blocks
+      const title = subscription?.client ? `${subscription.client.name} Project Digest` : 'Weekly Project Digest';
+      const digestBlocks = await this.createDigestBlocks(stats, activeProjects, recentUpdates, aiDigest, openRisks, {
+        sections,
+        title
+      });
 
       await this.client.chat.postMessage({
-        channel: generalChannelId,
-        text: "📊 Weekly Project Digest",
+        channel: channelId,
+        text: `📊 ${title}`,
         blocks: digestBlocks
       });
 
-      logger.info('Weekly digest sent successfully', {
+      logger.info('Digest sent successfully', {
         activeProjects: activeProjects.length,
         recentUpdates: recentUpdates.length,
-        channelId: generalChannelId
+        channelId
       });
 
+      return true;
     } catch (error) {
-      logger.error('Error generating weekly digest:', error);
+      logger.error('Error generating digest:', error);
       
       // Send a fallback message if the digest fails
       try {
-        const fallbackMessage = "📊 **Weekly Project Digest**\n\n" +
+        const fallbackMessage = "📊 **Project Digest**\n\n" +
                                "Sorry, there was an issue generating the automated digest. " +
                                "Please use `/project-list` to view current project status.";
 
         await this.client.chat.postMessage({
-          channel: process.env.GENERAL_CHANNEL_ID,
+          channel: channelId,
           text: fallbackMessage
         });
       } catch (fallbackError) {
         logger.error('Error sending fallback digest message:', fallbackError);
       }
+
+      return false;
     }
   }
 
-  async createDigestBlocks(stats, activeProjects, recentUpdates, aiDigest) {
+  // options.sections lists the sections to include (all by default)
+  async createDigestBlocks(stats, activeProjects, recentUpdates, aiDigest, openRisks = [], options = {}) {
+    const { sections = ALL_DIGEST_SECTIONS, title = 'Weekly Project Digest' } = options;
+
     const blocks = [
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "📊 *Weekly Project Digest*"
+          text: `📊 *${title}*`
         }
-      },
-      {
+      }
+    ];
+
+    if (sections.includes('OVERVIEW')) {
+      blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
           text: `*Portfolio Overview:* ${stats.total} total projects | ${stats.active} active | ${stats.byStatus.completed} completed`
         }
-      },
-      {
-        type: "divider"
-      }
-    ];
+      });
+    }
+
+    blocks.push({
+      type: "divider"
+    });
 
     // Add AI-generated digest
-    if (aiDigest) {
+    if (sections.includes('SUMMARY') && aiDigest) {
       blocks.push({
         type: "section",
         text: {
@@ -125,7 +223,7 @@ class WeeklyDigestService {
     }
 
     // Add active projects summary
-    if (activeProjects.length > 0) {
+    if (sections.includes('ACTIVE_PROJECTS') && activeProjects.length > 0) {
       blocks.push({
         type: "section",
         text: {
@@ -134,13 +232,14 @@ class WeeklyDigestService {
         }
       });
 
-      // Group by status
-      const planning = activeProjects.filter(p => p.status === 'PLANNING');
-      const inProgress = activeProjects.filter(p => p.status === 'IN_PROGRESS');
+      // Group by status, worst health first
+      const projectsByHealth = projectService.sortByHealth(activeProjects);
+      const planning = projectsByHealth.filter(p => p.status === 'PLANNING');
+      const inProgress = projectsByHealth.filter(p => p.status === 'IN_PROGRESS');
 
       if (planning.length > 0) {
         const planningText = planning.map(p => 
-          `• ${p.name} (${p.clientName})${p.assignee ? ` - Project Lead: ${p.assignee.name}` : ''}`
+          `• ${this.formatHealth(p)}${p.name} (${p.clientName})${p.assignee ? ` - Project Lead: ${p.assignee.name}` : ''}${this.formatProgress(p)}${this.formatBudget(p)}${this.formatBlocked(p)}`
         ).join('\n');
         
         blocks.push({
@@ -154,7 +253,7 @@ class WeeklyDigestService {
 
       if (inProgress.length > 0) {
         const inProgressText = inProgress.map(p => 
-          `• ${p.name} (${p.clientName})${p.assignee ? ` - Project Lead: ${p.assignee.name}` : ''}`
+          `• ${this.formatHealth(p)}${p.name} (${p.clientName})${p.assignee ? ` - Project Lead: ${p.assignee.name}` : ''}${this.formatProgress(p)}${this.formatBudget(p)}${this.formatBlocked(p)}`
         ).join('\n');
         
         blocks.push({
@@ -172,7 +271,7 @@ class WeeklyDigestService {
     }
 
     // Add recent activity
-    if (recentUpdates.length > 0) {
+    if (sections.includes('RECENT_ACTIVITY') && recentUpdates.length > 0) {
       blocks.push({
         type: "section",
         text: {
@@ -216,8 +315,30 @@ class WeeklyDigestService {
       });
     }
 
+    // Add open risks from the risk register
+    if (sections.includes('RISKS') && openRisks.length > 0) {
+      const riskText = openRisks.slice(0, MAX_DIGEST_RISKS)
+        .map(risk => `• ${formatRisk(risk)} - ${risk.project.name}`)
+        .join('\n');
+      const moreText = openRisks.length > MAX_DIGEST_RISKS
+        ? `\n_... and ${openRisks.length - MAX_DIGEST_RISKS} more_`
+        : '';
+
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*🛡️ Open Risks (${openRisks.length}):*\n${riskText}${moreText}`
+        }
+      });
+
+      blocks.push({
+        type: "divider"
+      });
+    }
+
     // Add upcoming deadlines
-    const upcomingDeadlines = await this.getUpcomingDeadlines(activeProjects);
+    const upcomingDeadlines = sections.includes('DEADLINES') ? await this.getUpcomingDeadlines(activeProjects) : [];
     
     if (upcomingDeadlines.length > 0) {
       blocks.push({
@@ -276,6 +397,30 @@ class WeeklyDigestService {
     return blocks;
   }
 
+  // Health badge prefix for digest lines
+  formatHealth(project) {
+    const badge = formatHealthBadge(projectService.calculateHealth(project));
+    return badge ? `${badge} ` : '';
+  }
+
+  // Task completion suffix for digest lines; empty when the project has no tasks
+  formatProgress(project) {
+    const progress = projectService.calculateCompletion(project.tasks);
+    return progress.total > 0 ? ` - ${progress.percentage}% complete (${progress.completed}/${progress.total} tasks)` : '';
+  }
+
+  // Budget burn suffix for digest lines; empty when the project has no budget
+  formatBudget(project) {
+    const burnText = formatBurn(projectService.calculateBurn(project));
+    return burnText ? ` - Budget: ${burnText}` : '';
+  }
+
+  // Blocked suffix for digest lines; empty unless an upstream project is unfinished
+  formatBlocked(project) {
+    const openBlockers = projectService.getOpenBlockers(project);
+    return openBlockers.length > 0 ? ` - ⛔ Blocked by ${openBlockers.map(blocker => blocker.name).join(', ')}` : '';
+  }
+
   async getUpcomingDeadlines(projects, days = 14) {
     const now = new Date();
     const futureDate = new Date();
@@ -290,23 +435,18 @@ class WeeklyDigestService {
       .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
   }
 
-  // Stop the scheduled digest
+  // Stop every scheduled digest
   stopScheduledDigest() {
     try {
-      if (this.cronTask) {
-        // Only call stop if it exists
-        if (typeof this.cronTask.stop === 'function') {
-          this.cronTask.stop();
-        }
-        this.cronTask = null;
-        logger.info('✅ Weekly digest cron task stopped');
+      for (const subscriptionId of [...this.cronTasks.keys()]) {
+        this.unscheduleSubscription(subscriptionId);
       }
       this.isScheduled = false;
-      logger.info('✅ Weekly digest scheduling stopped');
+      logger.info('✅ Digest scheduling stopped');
     } catch (error) {
-      logger.error('Error stopping cron task:', error);
+      logger.error('Error stopping digest cron tasks:', error);
       // Force cleanup even if there's an error
-      this.cronTask = null;
+      this.cronTasks.clear();
       this.isScheduled = false;
     }
   }
@@ -315,7 +455,12 @@ class WeeklyDigestService {
   getDigestStatus() {
     return {
       isScheduled: this.isScheduled,
-      nextRun: this.isScheduled ? 'Next Monday at 9:00 AM' : 'Not scheduled'
+      subscriptions: [...this.cronTasks.entries()].map(([subscriptionId, scheduled]) => ({
+        subscriptionId,
+        schedule: scheduled.schedule,
+        timezone: scheduled.timezone,
+        nextRun: getNextCronRun(scheduled.schedule, scheduled.timezone).toISOString()
+      }))
     };
   }
 }
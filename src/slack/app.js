@@ -5,10 +5,42 @@ const logger = require('../config/logger');
 const projectNewCommand = require('./commands/projectNew');
 const projectUpdateCommand = require('./commands/projectUpdate');
 const projectListCommand = require('./commands/projectList');
+const projectTasksCommand = require('./commands/projectTasks');
+const projectClientCommand = require('./commands/projectClient');
+const projectArchiveCommand = require('./commands/projectArchive');
+const projectLogTimeCommand = require('./commands/projectLogTime');
+const projectTemplateCommand = require('./commands/projectTemplate');
+const projectRisksCommand = require('./commands/projectRisks');
+const projectDigestCommand = require('./commands/projectDigest');
+const updateCommentsCommand = require('./commands/updateComments');
+const projectSearchCommand = require('./commands/projectSearch');
+const portfolioQuestionCommand = require('./commands/portfolioQuestion');
+const dmActionsCommand = require('./commands/dmActions');
+const statusSignalsCommand = require('./commands/statusSignals');
+const projectFollowCommand = require('./commands/projectFollow');
+const projectApprovalsCommand = require('./commands/projectApprovals');
+const { formatBurn } = require('./blocks/budgetInputs');
+const { formatHealthBadge } = require('./blocks/healthBadge');
 
 // Import services
 const WeeklyDigestService = require('../services/weeklyDigest');
 const SlackService = require('../services/slackService');
+const ArchiveRetentionService = require('../services/archiveRetention');
+const RecurringProjectService = require('../services/recurringProjects');
+const HealthSnapshotService = require('../services/healthSnapshots');
+const StaleProjectService = require('../services/staleProjects');
+const DeadlineReminderService = require('../services/deadlineReminders');
+const PersonalDigestService = require('../services/personalDigest');
+const SuggestedUpdateService = require('../services/suggestedUpdates');
+const NotificationDispatcher = require('../services/notificationDispatcher');
+const questionService = require('../services/questionService');
+const approvalService = require('../services/approvalService');
+const clientService = require('../services/clientService');
+
+// DM quick actions, matched whole so requests that mention projects reach the
+// DM actions, e.g. "add update to SEO project: show the new homepage"
+const LIST_PROJECTS_MESSAGE = /^((show|list|view)( me)?( all| my| the)? projects|projects|project list)[.!]?$/;
+const CREATE_PROJECT_MESSAGE = /^(create|new)( a)?( new)? project[.!]?$/;
 
 class SlackApp {
   constructor() {
@@ -22,6 +54,14 @@ class SlackApp {
 
     this.weeklyDigest = new WeeklyDigestService(this.app.client);
     this.slackService = new SlackService(this.app.client);
+    this.archiveRetention = new ArchiveRetentionService();
+    this.recurringProjects = new RecurringProjectService(this.app.client);
+    this.healthSnapshots = new HealthSnapshotService();
+    this.staleProjects = new StaleProjectService(this.app.client);
+    this.deadlineReminders = new DeadlineReminderService(this.app.client);
+    this.personalDigest = new PersonalDigestService(this.app.client, this.staleProjects);
+    this.suggestedUpdates = new SuggestedUpdateService(this.app.client);
+    this.notificationDispatcher = new NotificationDispatcher(this.app.client);
     this.setupCommands();
     this.setupEventHandlers();
     this.setupInteractions();
@@ -32,6 +72,15 @@ class SlackApp {
     this.app.command('/project-new', (args) => projectNewCommand.command({ ...args, slackService: this.slackService }));
     this.app.command('/project-update', (args) => projectUpdateCommand.command({ ...args, slackService: this.slackService }));
     this.app.command('/project-list', projectListCommand.command);
+    this.app.command('/project-tasks', projectTasksCommand.command);
+    this.app.command('/project-client', projectClientCommand.command);
+    this.app.command('/project-archive', projectArchiveCommand.command);
+    this.app.command('/project-log-time', projectLogTimeCommand.command);
+    this.app.command('/project-template', projectTemplateCommand.command);
+    this.app.command('/project-risks', projectRisksCommand.command);
+    this.app.command('/project-digest', projectDigestCommand.command);
+    this.app.command('/project-search', projectSearchCommand.command);
+    this.app.command('/project-approvals', projectApprovalsCommand.command);
 
     logger.info('Slack commands registered');
   }
@@ -46,6 +95,15 @@ class SlackApp {
 • \`/project-new\` - Create a new project
 • \`/project-update\` - Add an update to an existing project
 • \`/project-list\` - View all projects and their status
+• \`/project-tasks\` - Manage milestones and tasks for a project
+• \`/project-client\` - Manage clients, aliases, channels and contacts
+• \`/project-archive\` - Archive or restore a project
+• \`/project-log-time\` - Log hours against a project budget
+• \`/project-template\` - Manage templates that pre-fill new projects
+• \`/project-risks\` - Manage a project's risk register
+• \`/project-digest\` - Choose which channels get a digest, for which client and when
+• \`/project-search <words>\` - Search project names, descriptions, updates and AI analysis
+• \`/project-approvals\` - See or change which status changes need approval, and from whom
 
 *Features:*
 • 🤖 AI-powered project analysis
@@ -68,6 +126,17 @@ Just use any of the commands above to get started!`;
 
     // Handle direct messages
     this.app.message(async ({ message, client, say }) => {
+      // Replies in the thread of a message about an update become comments on it
+      if (await updateCommentsCommand.handleThreadReply({ message, client, slackService: this.slackService })) {
+        return;
+      }
+
+      // Client channels that opted in are scanned for status news to suggest as updates
+      if (message.channel_type === 'channel' || message.channel_type === 'group') {
+        await statusSignalsCommand.handleChannelMessage({ message, client, slackService: this.slackService });
+        return;
+      }
+
       // Only respond to direct messages (not in channels)
       if (message.channel_type === 'im' && !message.bot_id) {
         try {
@@ -87,14 +156,14 @@ Just use any of the commands above to get started!`;
                 type: "section",
                 text: {
                   type: "mrkdwn",
-                  text: `*Available Commands:*\n• \`/project-new\` - Create a new project\n• \`/project-update\` - Add an update to an existing project\n• \`/project-list\` - View all projects and their status`
+                  text: `*Available Commands:*\n• \`/project-new\` - Create a new project\n• \`/project-update\` - Add an update to an existing project\n• \`/project-list\` - View all projects and their status\n• \`/project-tasks\` - Manage milestones and tasks for a project`
                 }
               },
               {
                 type: "section",
                 text: {
                   type: "mrkdwn",
-                  text: `*Quick Actions:*\nYou can also type simple messages like:\n• "show projects" or "list projects"\n• "create project"\n• "project status"\n• "help"`
+                  text: `*Quick Actions:*\nYou can also type simple messages like:\n• "show projects" or "list projects"\n• "create project"\n• "project status"\n• "help"\n\n*Just Tell Me:*\nI'll ask you to confirm before changing anything:\n• "mark Acme website as on hold"\n• "add update to Neb SEO: launched landing page"\n• "assign Beta app to @jane"\n\n*Ask Me Anything:*\nAsk a question about the portfolio, like "what's blocking the Acme redesign?" or "which projects did Sarah update last week?"`
                 }
               },
               {
@@ -122,7 +191,7 @@ Just use any of the commands above to get started!`;
             ];
 
             await say({ blocks: helpBlocks });
-          } else if (messageText.includes('project') && (messageText.includes('list') || messageText.includes('show') || messageText.includes('view'))) {
+          } else if (LIST_PROJECTS_MESSAGE.test(messageText)) {
             // Trigger project list
             await projectListCommand.command({
               command: { channel_id: message.channel, user_id: message.user },
@@ -133,7 +202,7 @@ Just use any of the commands above to get started!`;
               client,
               body: { user_id: message.user }
             });
-          } else if (messageText.includes('create') && messageText.includes('project')) {
+          } else if (CREATE_PROJECT_MESSAGE.test(messageText)) {
             await say({
               text: "To create a new project, use the `/project-new` command, or click the button below:",
               blocks: [
@@ -160,6 +229,12 @@ Just use any of the commands above to get started!`;
                 }
               ]
             });
+          } else if (questionService.isQuestion(message.text)) {
+            // Questions about the portfolio get an AI answer with sources
+            await portfolioQuestionCommand.handleQuestion({ message, say });
+          } else if (await dmActionsCommand.handleActionMessage({ message, say, slackService: this.slackService })) {
+            // Requests like "mark Acme website as on hold" wait for the user to confirm.
+            // They come after the quick actions and questions, which need no AI call.
           } else if (messageText.includes('status') || messageText.includes('update')) {
             await say({
               text: "To update a project or check status, use the `/project-update` or `/project-list` commands:",
@@ -250,15 +325,17 @@ Just use any of the commands above to get started!`;
       // Get active projects by client
       const activeProjectsByClient = await projectService.getActiveProjectsByClient();
       
-      // Get recent projects (last 5)
-      const recentProjects = await projectService.getAllProjects();
-      const sortedProjects = recentProjects
-        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
-        .slice(0, 5);
+      // Get the 5 projects in the worst health
+      const allProjects = await projectService.getAllProjects();
+      const sortedProjects = projectService.sortByHealth(allProjects).slice(0, 5);
 
       // Get recent updates (last 3)
       const recentUpdates = await projectService.getRecentUpdates(7, 3);
 
+      // Get the viewer for their personal digest and notification settings
+      const userService = require('../services/userService');
+      const user = await userService.getUserBySlackId(userId);
+
       // Build the Home tab blocks
       const blocks = [
         {
@@ -352,7 +429,7 @@ Just use any of the commands above to get started!`;
         ]
       });
 
-      // Add recent projects section if there are any
+      // Add projects by health section if there are any
       if (sortedProjects.length > 0) {
         blocks.push(
           {
@@ -362,7 +439,7 @@ Just use any of the commands above to get started!`;
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `🕒 *Recent Projects*`
+              text: `🩺 *Projects by Health*`
             }
           }
         );
@@ -377,12 +454,15 @@ Just use any of the commands above to get started!`;
           }[project.status] || '📋';
 
           const lastUpdate = new Date(project.updatedAt).toLocaleDateString();
+          const burnText = formatBurn(projectService.calculateBurn(project));
+          const health = projectService.calculateHealth(project);
+          const healthText = health ? `\n${formatHealthBadge(health)} ${health.reason}` : '';
           
           blocks.push({
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `${statusEmoji} *${project.name}*\n${project.clientName} • Updated ${lastUpdate}`
+              text: `${statusEmoji} *${project.name}*\n${project.clientName} • Updated ${lastUpdate}${healthText}${burnText ? `\n${burnText}` : ''}`
             },
             accessory: {
               type: "button",
@@ -425,6 +505,15 @@ Just use any of the commands above to get started!`;
         });
       }
 
+      // Add personal digest opt-in and change notification settings
+      blocks.push(
+        {
+          type: "divider"
+        },
+        this.personalDigest.buildHomeTabBlock(user),
+        this.notificationDispatcher.buildHomeTabBlock(user)
+      );
+
       // Add help section
       blocks.push(
         {
@@ -434,7 +523,7 @@ Just use any of the commands above to get started!`;
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `💡 *Quick Commands*\n• \`/project-new\` - Create a new project\n• \`/project-update\` - Add project updates\n• \`/project-list\` - View all projects\n\nYou can also message me directly for help!`
+            text: `💡 *Quick Commands*\n• \`/project-new\` - Create a new project\n• \`/project-update\` - Add project updates\n• \`/project-list\` - View all projects\n• \`/project-tasks\` - Manage milestones and tasks\n• \`/project-log-time\` - Log hours against a project\n\nYou can also message me directly for help!`
           }
         }
       );
@@ -499,6 +588,54 @@ Just use any of the commands above to get started!`;
     // Handle modal submissions
     this.app.view('project_new_modal', (args) => projectNewCommand.handleSubmission({ ...args, slackService: this.slackService }));
     this.app.view('project_update_modal', (args) => projectUpdateCommand.handleSubmission({ ...args, slackService: this.slackService }));
+    this.app.view('project_tasks_modal', (args) => projectTasksCommand.handleSubmission({ ...args, slackService: this.slackService }));
+    this.app.view('project_log_time_modal', projectLogTimeCommand.handleSubmission);
+
+    // Handle project templates
+    this.app.view('project_template_modal', projectTemplateCommand.handleSubmission);
+    this.app.action('template_manage_select', projectTemplateCommand.handleTemplateManageSelection);
+    this.app.action('project_template_select', projectNewCommand.handleTemplateSelection);
+
+    // Handle milestone and task management inside the tasks modal
+    this.app.action('tasks_project_select', projectTasksCommand.handleProjectSelection);
+    this.app.action('task_overflow', projectTasksCommand.handleTaskOverflow);
+    this.app.action('milestone_overflow', projectTasksCommand.handleMilestoneOverflow);
+
+    // Handle the risk register, including risks proposed from project updates
+    this.app.view('project_risks_modal', (args) => projectRisksCommand.handleSubmission({ ...args, slackService: this.slackService }));
+    this.app.view('risk_proposal_modal', (args) => projectRisksCommand.handleRiskProposalSubmission({ ...args, slackService: this.slackService }));
+    this.app.action('risks_project_select', projectRisksCommand.handleProjectSelection);
+    this.app.action('risk_overflow', projectRisksCommand.handleRiskOverflow);
+    this.app.action('risk_proposal_add', projectRisksCommand.handleRiskProposal);
+
+    // Handle digest subscription management
+    this.app.view('project_digest_modal', (args) => projectDigestCommand.handleSubmission({ ...args, weeklyDigest: this.weeklyDigest }));
+    this.app.action('digest_manage_select', projectDigestCommand.handleDigestManageSelection);
+
+    // Handle approval rules and the approvers' decisions
+    this.app.view('project_approvals_modal', (args) => projectApprovalsCommand.handleSubmission({ ...args, slackService: this.slackService }));
+    this.app.action('approval_rule_select', projectApprovalsCommand.handleRuleSelection);
+    this.app.action('approval_approve', projectApprovalsCommand.handleApprove);
+    this.app.action('approval_reject', projectApprovalsCommand.handleReject);
+
+    // Handle comments on project updates
+    this.app.view('update_comment_modal', updateCommentsCommand.handleSubmission);
+    this.app.action('update_reply', updateCommentsCommand.handleReplyButton);
+    // Sources cited in answers to portfolio questions
+    this.app.action('update_view', updateCommentsCommand.handleReplyButton);
+
+    // Handle editing and deleting project updates
+    this.app.view('update_edit_modal', projectUpdateCommand.handleEditUpdateSubmission);
+    this.app.action('update_edit', projectUpdateCommand.handleEditUpdateButton);
+    this.app.action('update_delete', projectUpdateCommand.handleDeleteUpdateButton);
+
+    // Handle client record management
+    this.app.view('project_client_modal', projectClientCommand.handleSubmission);
+    this.app.action('client_manage_select', projectClientCommand.handleClientManageSelection);
+
+    // Handle project archive and restore pickers
+    this.app.action('archive_project_select', projectArchiveCommand.handleArchiveSelection);
+    this.app.action('restore_project_select', projectArchiveCommand.handleRestoreSelection);
 
     // Handle client filter dropdown interaction
     this.app.action('client_filter_dropdown', async (args) => {
@@ -520,7 +657,19 @@ Just use any of the commands above to get started!`;
 
     // Handle button interactions
     this.app.action('view_project_details', projectListCommand.handleViewProjectDetails);
+    this.app.action('view_project_history', projectListCommand.handleViewProjectHistory);
     this.app.action('view_project_stats', projectListCommand.handleViewProjectStats);
+    this.app.action('project_follow', projectFollowCommand.handleFollow);
+    this.app.action('project_unfollow', projectFollowCommand.handleUnfollow);
+    this.app.action('project_channel_notifications', projectFollowCommand.handleChannelNotifications);
+    this.app.action('stale_add_update', (args) => projectUpdateCommand.handleAddUpdateButton({ ...args, slackService: this.slackService }));
+    this.app.shortcut('log_project_update', (args) => projectUpdateCommand.handleMessageShortcut({ ...args, slackService: this.slackService }));
+    this.app.action('deadline_reminder_snooze', (args) => this.deadlineReminders.handleSnooze(args));
+    this.app.action('deadline_reminder_resume', (args) => this.deadlineReminders.handleResume(args));
+    this.app.action('home_personal_digest_day', (args) => this.personalDigest.handleDaySelection(args));
+    this.app.action('home_change_notifications', (args) => this.notificationDispatcher.handleNotificationSettings(args));
+    this.app.action('signal_accept', statusSignalsCommand.handleAccept);
+    this.app.action('signal_dismiss', statusSignalsCommand.handleDismiss);
 
     // Handle digest-related button interactions
     this.app.action('view_all_projects_digest', async ({ ack, body, client }) => {
@@ -604,6 +753,9 @@ Just use any of the commands above to get started!`;
       }
     });
 
+    this.app.action('dm_intent_confirm', dmActionsCommand.handleConfirm);
+    this.app.action('dm_intent_cancel', dmActionsCommand.handleCancel);
+
     // Handle Home tab button interactions
     this.app.action('home_view_projects', async ({ ack, body, client }) => {
       await ack();
@@ -670,8 +822,48 @@ Just use any of the commands above to get started!`;
     try {
       await this.app.start();
       
-      // Start the weekly digest scheduler
-      this.weeklyDigest.scheduleWeeklyDigest();
+      // Schedule every digest subscription
+      await this.weeklyDigest.scheduleWeeklyDigest();
+
+      // Start the purge job for expired archived projects
+      this.archiveRetention.scheduleRetentionJob();
+
+      // Start the job that creates the next instance of recurring projects
+      this.recurringProjects.scheduleRecurrenceJob();
+
+      // Start the daily project health snapshot
+      this.healthSnapshots.scheduleSnapshotJob();
+
+      // Start the job that nudges leads about projects without recent updates
+      this.staleProjects.scheduleStaleProjectJob();
+
+      // Start the daily deadline reminders and overdue alerts
+      this.deadlineReminders.scheduleReminderJob();
+
+      // Start the personal "my week" digests
+      this.personalDigest.schedulePersonalDigest();
+
+      // Start the daily suggested updates from client channels
+      this.suggestedUpdates.scheduleSuggestedUpdates();
+
+      // Start notifying leads, followers and client channels about project changes
+      this.notificationDispatcher.start();
+
+      // Closing and cancelling projects need sign-off until the rules are changed.
+      // Like the housekeeping below, a failure here shouldn't keep the bot down.
+      try {
+        await approvalService.ensureDefaultRules();
+      } catch (error) {
+        logger.error('Error creating default approval rules on startup:', error);
+      }
+
+      // Bind client channels created while the bot was down; /project-new
+      // picks up newer ones after opening its modal
+      try {
+        await clientService.syncClientChannels(await this.slackService.getClientChannels());
+      } catch (error) {
+        logger.error('Error syncing client channels on startup:', error);
+      }
       
       logger.info(`⚡️ Slack bot is running on port ${process.env.PORT || 3000}`);
       
@@ -686,6 +878,14 @@ Just use any of the commands above to get started!`;
     try {
       await this.app.stop();
       this.weeklyDigest.stopScheduledDigest();
+      this.archiveRetention.stopRetentionJob();
+      this.recurringProjects.stopRecurrenceJob();
+      this.healthSnapshots.stopSnapshotJob();
+      this.staleProjects.stopStaleProjectJob();
+      this.deadlineReminders.stopReminderJob();
+      this.personalDigest.stopPersonalDigest();
+      this.suggestedUpdates.stopSuggestedUpdates();
+      this.notificationDispatcher.stop();
       logger.info('Slack app stopped');
     } catch (error) {
       logger.error('Error stopping Slack app:', error);
@@ -698,6 +898,14 @@ Just use any of the commands above to get started!`;
     return {
       isRunning: true,
       weeklyDigest: this.weeklyDigest.getDigestStatus(),
+      archiveRetention: this.archiveRetention.getRetentionStatus(),
+      recurringProjects: this.recurringProjects.getRecurrenceStatus(),
+      healthSnapshots: this.healthSnapshots.getSnapshotStatus(),
+      staleProjects: this.staleProjects.getStaleProjectStatus(),
+      deadlineReminders: this.deadlineReminders.getReminderStatus(),
+      personalDigest: this.personalDigest.getPersonalDigestStatus(),
+      suggestedUpdates: this.suggestedUpdates.getSuggestedUpdatesStatus(),
+      notifications: this.notificationDispatcher.getDispatcherStatus(),
       port: process.env.PORT || 3000
     };
   }
@@ -0,0 +1,102 @@
+const approvalService = require('../../services/approvalService');
+const logger = require('../../config/logger');
+
+// Shared approval requests for status changes made in the /project-update modal
+// and by DM actions, plus the DM approvers decide them from
+
+const formatStatus = (status) => status ? status.replace('_', ' ') : 'Any status';
+
+const formatStatusChange = (request) => `${formatStatus(request.fromStatus)} → ${formatStatus(request.toStatus)}`;
+
+const formatApprovers = (approvers) => approvers.map(approver => approver.name).join(', ');
+
+const buildApprovalRequestBlocks = (request) => [
+  {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `🔏 *Approval needed*\n${request.requester.name} wants to change *${request.project.name}* (${request.project.clientName}) from ${formatStatusChange(request)}. The status stays as it is until someone approves.`
+    },
+    accessory: {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "View Details"
+      },
+      action_id: "view_project_details",
+      value: request.projectId
+    }
+  },
+  {
+    type: "actions",
+    // The approve and reject handlers swap this block for the decision
+    block_id: `approval_${request.id}`,
+    elements: [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "✅ Approve"
+        },
+        style: "primary",
+        action_id: "approval_approve",
+        value: request.id
+      },
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Reject"
+        },
+        style: "danger",
+        action_id: "approval_reject",
+        value: request.id
+      }
+    ]
+  }
+];
+
+// Ask for sign-off on a status change instead of making it. approval is what
+// approvalService.checkStatusChange returned. Returns the line to show the
+// person who asked.
+const requestStatusApproval = async (client, project, toStatus, user, approval) => {
+  if (approval.approvers.length === 0) {
+    return `🚫 *Status not changed:* ${project.name} (${formatStatusChange({ fromStatus: project.status, toStatus })}) needs approval, but no approver is configured. Ask for an approver to be added to the project's team or to the rule in \`/project-approvals\`.`;
+  }
+
+  const { request, created } = await approvalService.createRequest(project, approval.rule, toStatus, user.id);
+
+  if (!created) {
+    return `⏳ *${project.name}* already has a status change waiting for approval (${formatStatusChange(request)}, asked for by ${request.requester.name}), so the status wasn't changed.`;
+  }
+
+  let notifiedCount = 0;
+  for (const approver of approval.approvers) {
+    // One failing approver shouldn't stop the others from being asked
+    try {
+      await client.chat.postMessage({
+        channel: approver.slackUserId,
+        text: `🔏 Approval needed: ${project.name} ${formatStatusChange(request)}`,
+        blocks: buildApprovalRequestBlocks(request)
+      });
+      notifiedCount++;
+    } catch (error) {
+      logger.error('Error sending approval request:', {
+        userId: approver.id,
+        requestId: request.id,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info('Approval request sent', { requestId: request.id, projectId: project.id, approverCount: notifiedCount });
+
+  return `⏳ *Status change waiting for approval:* ${project.name}, ${formatStatusChange(request)}. I've asked ${formatApprovers(approval.approvers)}; the status changes once it is approved.`;
+};
+
+module.exports = {
+  formatStatusChange,
+  formatApprovers,
+  buildApprovalRequestBlocks,
+  requestStatusApproval
+};
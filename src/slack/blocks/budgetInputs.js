@@ -0,0 +1,103 @@
+// Shared budget inputs for the project new/update modals, plus burn formatting
+// used by project details, the Home tab and the weekly digest.
+const BUDGET_INPUTS = [
+  { field: 'budgetHours', blockId: 'budget_hours', label: 'Budgeted Hours', example: 'e.g. 120' },
+  { field: 'budgetAmount', blockId: 'budget_amount', label: 'Budget Amount ($)', example: 'e.g. 15000' },
+  { field: 'hourlyRate', blockId: 'hourly_rate', label: 'Hourly Rate ($)', example: 'e.g. 125' }
+];
+
+// Accepts "1,200", "$1200" or "1200.50"
+const parseBudgetNumber = (value) => {
+  const number = Number((value || '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// With a placeholder the inputs start empty and an empty input means "keep current"
+const buildBudgetInputBlocks = (placeholderText = null, initialValues = {}) => BUDGET_INPUTS.map(input => ({
+  type: "input",
+  block_id: input.blockId,
+  element: {
+    type: "plain_text_input",
+    action_id: "budget_input",
+    placeholder: {
+      type: "plain_text",
+      text: placeholderText || input.example
+    },
+    max_length: 20,
+    ...(initialValues[input.field] && { initial_value: initialValues[input.field] })
+  },
+  label: {
+    type: "plain_text",
+    text: input.label
+  },
+  optional: true
+}));
+
+// Returns { budget: { field: number }, errors: { blockId: message } } for filled inputs
+const extractBudgetValues = (values) => {
+  const budget = {};
+  const errors = {};
+
+  BUDGET_INPUTS.forEach(input => {
+    const rawValue = values[input.blockId]?.budget_input?.value;
+    if (!rawValue || rawValue.trim() === '') {
+      return;
+    }
+
+    const number = parseBudgetNumber(rawValue);
+    if (number === null) {
+      errors[input.blockId] = 'Please enter a positive number';
+    } else {
+      budget[input.field] = number;
+    }
+  });
+
+  return { budget, errors };
+};
+
+// Raw text values, used to keep what the user typed when a modal is rebuilt
+const extractBudgetText = (values) => {
+  const text = {};
+
+  BUDGET_INPUTS.forEach(input => {
+    const rawValue = values[input.blockId]?.budget_input?.value;
+    if (rawValue) {
+      text[input.field] = rawValue;
+    }
+  });
+
+  return text;
+};
+
+const formatHours = (hours) => `${Math.round(hours * 10) / 10}h`;
+
+const formatAmount = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
+
+// "32.5h of 40h (81%) • $4,063 of $5,000 (81%)"; empty when the project has no budget
+const formatBurn = (burn) => {
+  const parts = [];
+
+  if (burn.hoursPercentage !== null) {
+    parts.push(`${formatHours(burn.hoursLogged)} of ${formatHours(burn.budgetHours)} (${burn.hoursPercentage}%)`);
+  }
+
+  if (burn.amountPercentage !== null) {
+    parts.push(`${formatAmount(burn.amountSpent)} of ${formatAmount(burn.budgetAmount)} (${burn.amountPercentage}%)`);
+  }
+
+  if (parts.length === 0) {
+    return '';
+  }
+
+  const emoji = burn.percentage >= 100 ? '🔴' : burn.percentage >= 80 ? '🟠' : '🟢';
+  return `${emoji} ${parts.join(' • ')}`;
+};
+
+module.exports = {
+  BUDGET_INPUTS,
+  buildBudgetInputBlocks,
+  extractBudgetValues,
+  extractBudgetText,
+  formatHours,
+  formatBurn
+};
@@ -0,0 +1,34 @@
+// Sections a digest subscription can include, in the order they appear in the digest
+const DIGEST_SECTIONS = [
+  { value: 'SUMMARY', label: '🤖 AI summary' },
+  { value: 'OVERVIEW', label: '📊 Portfolio overview' },
+  { value: 'ACTIVE_PROJECTS', label: '🚀 Active projects' },
+  { value: 'RECENT_ACTIVITY', label: '📝 Recent activity' },
+  { value: 'RISKS', label: '🛡️ Open risks' },
+  { value: 'DEADLINES', label: '⏰ Upcoming deadlines' }
+];
+
+const ALL_DIGEST_SECTIONS = DIGEST_SECTIONS.map(section => section.value);
+
+const DIGEST_SECTION_OPTIONS = DIGEST_SECTIONS.map(section => ({
+  text: {
+    type: "plain_text",
+    text: section.label
+  },
+  value: section.value
+}));
+
+// "All sections", or the chosen labels in digest order
+const formatSections = (sections) => sections.length === ALL_DIGEST_SECTIONS.length
+  ? 'All sections'
+  : DIGEST_SECTIONS
+    .filter(section => sections.includes(section.value))
+    .map(section => section.label)
+    .join(', ');
+
+module.exports = {
+  DIGEST_SECTIONS,
+  ALL_DIGEST_SECTIONS,
+  DIGEST_SECTION_OPTIONS,
+  formatSections
+};
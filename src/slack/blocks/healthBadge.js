@@ -0,0 +1,24 @@
+// Health badges for project listings, details, the Home tab and the weekly digest
+const HEALTH_EMOJI = {
+  GREEN: '🟢',
+  AMBER: '🟠',
+  RED: '🔴'
+};
+
+// "🔴 45"; empty for projects that aren't scored
+const formatHealthBadge = (health) => health ? `${HEALTH_EMOJI[health.rating]} ${health.score}` : '';
+
+// "🔴 45/100 - Deadline passed 3 days ago; No update in 16 days"
+const formatHealth = (health) => health
+  ? `${HEALTH_EMOJI[health.rating]} ${health.score}/100 - ${health.reason}`
+  : 'Not scored';
+
+// One dot per daily snapshot, oldest first, e.g. "🟢🟢🟠🔴"
+const formatHealthTrend = (snapshots) => snapshots.map(snapshot => HEALTH_EMOJI[snapshot.rating]).join('');
+
+module.exports = {
+  HEALTH_EMOJI,
+  formatHealthBadge,
+  formatHealth,
+  formatHealthTrend
+};
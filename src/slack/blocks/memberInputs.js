@@ -0,0 +1,83 @@
+const userService = require('../../services/userService');
+
+// Shared team member inputs for the project new/update modals.
+// Each role gets its own multi-user select so a role can be assigned per person.
+const MEMBER_ROLE_INPUTS = [
+  { role: 'DESIGNER', blockId: 'members_designers', label: 'Designers' },
+  { role: 'DEVELOPER', blockId: 'members_developers', label: 'Developers' },
+  { role: 'ACCOUNT_MANAGER', blockId: 'members_account_managers', label: 'Account Managers' },
+  { role: 'MEMBER', blockId: 'members_other', label: 'Other Team Members' }
+];
+
+const MEMBER_ROLE_LABELS = {
+  DESIGNER: 'Designer',
+  DEVELOPER: 'Developer',
+  ACCOUNT_MANAGER: 'Account Manager',
+  MEMBER: 'Team Member'
+};
+
+// initialSelections uses the same shape as extractMemberSelections, which lets
+// a rebuilt modal keep what the user already picked
+const buildMemberInputBlocks = (placeholderText = 'Select team members', initialSelections = {}) => MEMBER_ROLE_INPUTS.map(input => ({
+  type: "input",
+  block_id: input.blockId,
+  element: {
+    type: "multi_users_select",
+    action_id: "members_select",
+    placeholder: {
+      type: "plain_text",
+      text: placeholderText
+    },
+    ...(initialSelections[input.role] && { initial_users: initialSelections[input.role] })
+  },
+  label: {
+    type: "plain_text",
+    text: input.label
+  },
+  optional: true
+}));
+
+// Returns { ROLE: [slackUserId, ...] } for every role with a selection
+const extractMemberSelections = (values) => {
+  const selections = {};
+
+  MEMBER_ROLE_INPUTS.forEach(input => {
+    const selectedUsers = values[input.blockId]?.members_select?.selected_users || [];
+    if (selectedUsers.length > 0) {
+      selections[input.role] = selectedUsers;
+    }
+  });
+
+  return selections;
+};
+
+// Same as extractMemberSelections, but mapped to database user IDs
+const resolveMemberSelections = async (values, slackService) => {
+  const membersByRole = {};
+
+  for (const [role, slackUserIds] of Object.entries(extractMemberSelections(values))) {
+    const users = await userService.findOrCreateUsersFromSlack(slackUserIds, slackService);
+    membersByRole[role] = users.map(user => user.id);
+  }
+
+  return membersByRole;
+};
+
+const formatTeam = (members = []) => {
+  if (members.length === 0) {
+    return 'No team members';
+  }
+
+  return members
+    .map(member => `${member.user.name} (${MEMBER_ROLE_LABELS[member.role] || member.role})`)
+    .join(', ');
+};
+
+module.exports = {
+  MEMBER_ROLE_INPUTS,
+  MEMBER_ROLE_LABELS,
+  buildMemberInputBlocks,
+  extractMemberSelections,
+  resolveMemberSelections,
+  formatTeam
+};
@@ -0,0 +1,151 @@
+// Shared "Repeats" inputs for the project new/update modals, plus the
+// recurrence summary shown in confirmations and project details
+const { RECURRENCE_TIMEZONE, RECURRENCE_PRESETS, MIN_RECURRENCE_INTERVAL_HOURS, isValidCron, getShortestCronInterval, describeRecurrence } = require('../../utils/recurrence');
+
+const KEEP_OPTION = {
+  text: {
+    type: "plain_text",
+    text: "Keep current schedule"
+  },
+  value: "no_change"
+};
+
+const RECURRENCE_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Does not repeat"
+    },
+    value: "NONE"
+  },
+  ...Object.entries(RECURRENCE_PRESETS).map(([value, preset]) => ({
+    text: {
+      type: "plain_text",
+      text: preset.label
+    },
+    value
+  })),
+  {
+    text: {
+      type: "plain_text",
+      text: "Custom schedule (cron)"
+    },
+    value: "CUSTOM"
+  }
+];
+
+// With keepCurrent the select defaults to leaving the project's schedule alone
+const buildRecurrenceInputBlocks = (keepCurrent = false, initialValues = {}) => {
+  const options = keepCurrent ? [KEEP_OPTION, ...RECURRENCE_OPTIONS] : RECURRENCE_OPTIONS;
+  const initialOption = options.find(option => option.value === initialValues.recurrence) || options[0];
+
+  return [
+    {
+      type: "input",
+      block_id: "recurrence_select",
+      element: {
+        type: "static_select",
+        action_id: "recurrence_input",
+        options,
+        initial_option: initialOption
+      },
+      label: {
+        type: "plain_text",
+        text: "Repeats"
+      },
+      hint: {
+        type: "plain_text",
+        text: "Recurring projects are recreated automatically, carrying over the lead, client, team and open items."
+      }
+    },
+    {
+      type: "input",
+      block_id: "recurrence_cron",
+      element: {
+        type: "plain_text_input",
+        action_id: "cron_input",
+        placeholder: {
+          type: "plain_text",
+          text: "e.g. 0 9 * * 1"
+        },
+        max_length: 100,
+        ...(initialValues.recurrenceCron && { initial_value: initialValues.recurrenceCron })
+      },
+      label: {
+        type: "plain_text",
+        text: "Custom Schedule"
+      },
+      hint: {
+        type: "plain_text",
+        text: "Only used with \"Custom schedule\". Five-field cron in Eastern time, e.g. 0 9 * * 1 for Mondays at 9 AM."
+      },
+      optional: true
+    }
+  ];
+};
+
+// Raw selections, used to keep what the user picked when a modal is rebuilt
+const extractRecurrenceSelection = (values) => ({
+  recurrence: values.recurrence_select?.recurrence_input?.selected_option?.value,
+  recurrenceCron: values.recurrence_cron?.cron_input?.value || null
+});
+
+// Returns { recurrence: { recurrence, recurrenceCron } or undefined to keep the
+// current schedule, errors: { blockId: message } }
+const extractRecurrenceValues = (values) => {
+  const { recurrence, recurrenceCron } = extractRecurrenceSelection(values);
+
+  if (!recurrence || recurrence === 'no_change') {
+    return { recurrence: undefined, errors: {} };
+  }
+
+  if (recurrence === 'CUSTOM') {
+    const expression = (recurrenceCron || '').trim();
+    if (!isValidCron(expression)) {
+      return {
+        recurrence: undefined,
+        errors: { recurrence_cron: 'Please enter a valid five-field cron expression, e.g. 0 9 * * 1' }
+      };
+    }
+
+    // Each run creates a project instance, so anything more often than daily is refused
+    if (getShortestCronInterval(expression) < MIN_RECURRENCE_INTERVAL_HOURS * 60 * 60 * 1000) {
+      return {
+        recurrence: undefined,
+        errors: { recurrence_cron: 'Projects can repeat at most once a day, e.g. 0 9 * * 1 for Mondays at 9 AM' }
+      };
+    }
+
+    return { recurrence: { recurrence, recurrenceCron: expression }, errors: {} };
+  }
+
+  return {
+    recurrence: { recurrence: recurrence === 'NONE' ? null : recurrence, recurrenceCron: null },
+    errors: {}
+  };
+};
+
+// "🔁 Monthly • next instance Nov 1, 2026"; empty when the project doesn't repeat
+const formatRecurrence = (project) => {
+  if (!project.recurrence) {
+    return '';
+  }
+
+  const nextText = project.nextOccurrenceAt
+    ? ` • next instance ${new Date(project.nextOccurrenceAt).toLocaleDateString('en-US', {
+      timeZone: RECURRENCE_TIMEZONE,
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })}`
+    : '';
+
+  return `🔁 ${describeRecurrence(project)}${nextText}`;
+};
+
+module.exports = {
+  buildRecurrenceInputBlocks,
+  extractRecurrenceSelection,
+  extractRecurrenceValues,
+  formatRecurrence
+};
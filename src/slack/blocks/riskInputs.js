@@ -0,0 +1,91 @@
+// Shared risk inputs for the risk register modals, plus risk formatting used by
+// project details and the weekly digest
+const SEVERITY_EMOJI = {
+  HIGH: '🔴',
+  MEDIUM: '🟠',
+  LOW: '🟡'
+};
+
+const SEVERITY_OPTIONS = ['HIGH', 'MEDIUM', 'LOW'].map(severity => ({
+  text: {
+    type: "plain_text",
+    text: `${SEVERITY_EMOJI[severity]} ${severity.charAt(0)}${severity.slice(1).toLowerCase()}`
+  },
+  value: severity
+}));
+
+// Title, severity and owner inputs. Block IDs take a prefix so the same inputs
+// can sit next to other forms in one modal.
+const buildRiskInputBlocks = (prefix = 'risk', initialValues = {}, optional = false) => [
+  {
+    type: "input",
+    block_id: `${prefix}_title`,
+    element: {
+      type: "plain_text_input",
+      action_id: "risk_title_input",
+      placeholder: {
+        type: "plain_text",
+        text: "e.g. Client feedback on designs may slip past the sprint"
+      },
+      max_length: 300,
+      ...(initialValues.title && { initial_value: initialValues.title.substring(0, 300) })
+    },
+    label: {
+      type: "plain_text",
+      text: optional ? "New Risk" : "Risk"
+    },
+    optional
+  },
+  {
+    type: "input",
+    block_id: `${prefix}_severity`,
+    element: {
+      type: "static_select",
+      action_id: "risk_severity_select",
+      options: SEVERITY_OPTIONS,
+      initial_option: SEVERITY_OPTIONS.find(option => option.value === (initialValues.severity || 'MEDIUM'))
+    },
+    label: {
+      type: "plain_text",
+      text: "Severity"
+    }
+  },
+  {
+    type: "input",
+    block_id: `${prefix}_owner`,
+    element: {
+      type: "users_select",
+      action_id: "risk_owner_select",
+      placeholder: {
+        type: "plain_text",
+        text: "Select an owner"
+      },
+      ...(initialValues.ownerSlackId && { initial_user: initialValues.ownerSlackId })
+    },
+    label: {
+      type: "plain_text",
+      text: "Owner"
+    },
+    optional: true
+  }
+];
+
+const extractRiskValues = (values, prefix = 'risk') => ({
+  title: values[`${prefix}_title`]?.risk_title_input?.value?.trim() || '',
+  severity: values[`${prefix}_severity`]?.risk_severity_select?.selected_option?.value || 'MEDIUM',
+  ownerSlackId: values[`${prefix}_owner`]?.risk_owner_select?.selected_user || null
+});
+
+// "🔴 Vendor API may not be ready • 👤 Jane"
+const formatRisk = (risk) => {
+  const ownerText = risk.owner ? ` • 👤 ${risk.owner.name}` : '';
+  return `${SEVERITY_EMOJI[risk.severity]} ${risk.title}${ownerText}`;
+};
+
+module.exports = {
+  SEVERITY_EMOJI,
+  SEVERITY_OPTIONS,
+  buildRiskInputBlocks,
+  extractRiskValues,
+  formatRisk
+};
@@ -0,0 +1,9 @@
+// Limits shared by the static and multi selects the modals build from
+// projects and clients.
+
+// Slack rejects static and multi selects with more than 100 options
+const MAX_SELECT_OPTIONS = 100;
+
+module.exports = {
+  MAX_SELECT_OPTIONS
+};
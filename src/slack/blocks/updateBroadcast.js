@@ -0,0 +1,143 @@
+// "Share Update" inputs for the /project-update modal, plus the channel post of
+// an update, redrawn when the update is edited or deleted
+
+const AI_FALLBACK_ANALYSIS = "Unable to generate AI analysis at this time.";
+
+const TARGET_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Post to the client's channel"
+    },
+    value: "client"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "Post to the project's channel"
+    },
+    value: "project"
+  }
+];
+
+const buildBroadcastInputBlocks = (initialValues = {}) => {
+  const initialOptions = TARGET_OPTIONS.filter(option => (initialValues.targets || []).includes(option.value));
+
+  return [
+    {
+      type: "input",
+      block_id: "broadcast_targets",
+      element: {
+        type: "checkboxes",
+        action_id: "targets_checkbox",
+        options: TARGET_OPTIONS,
+        ...(initialOptions.length > 0 && { initial_options: initialOptions })
+      },
+      label: {
+        type: "plain_text",
+        text: "Share Update"
+      },
+      hint: {
+        type: "plain_text",
+        text: "The post is kept in step with edits, and replies in its thread become comments."
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: "broadcast_channel",
+      element: {
+        type: "conversations_select",
+        action_id: "channel_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Keep the project's channel"
+        },
+        filter: {
+          include: ["public", "private"],
+          exclude_bot_users: true
+        },
+        ...(initialValues.channelId && { initial_conversation: initialValues.channelId })
+      },
+      label: {
+        type: "plain_text",
+        text: "Project Channel"
+      },
+      hint: {
+        type: "plain_text",
+        text: "Only needed the first time or to change it; the project remembers its channel."
+      },
+      optional: true
+    }
+  ];
+};
+
+// Returns { targets: ['client', 'project'], channelId }
+const extractBroadcastSelection = (values) => ({
+  targets: (values.broadcast_targets?.targets_checkbox?.selected_options || []).map(option => option.value),
+  channelId: values.broadcast_channel?.channel_select?.selected_conversation || null
+});
+
+// statusChange is the "In Progress → Completed" text when the update changed the status
+const buildBroadcastBlocks = (project, update, statusChange = null) => {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `📣 *Update on ${project.name}* (${project.clientName}) from ${update.user.name}${update.editedAt ? ' _(edited)_' : ''}\n${update.content}`
+      }
+    }
+  ];
+
+  if (statusChange) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Status:* ${statusChange}`
+      }
+    });
+  }
+
+  if (update.aiAnalysis && update.aiAnalysis !== AI_FALLBACK_ANALYSIS) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*🤖 AI Summary:*\n${update.aiAnalysis}`
+      }
+    });
+  }
+
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "💬 Reply in this thread to comment on the update"
+      }
+    ]
+  });
+
+  return blocks;
+};
+
+const buildDeletedBroadcastBlocks = (project) => [
+  {
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `🗑️ This update on *${project.name}* (${project.clientName}) was deleted.`
+      }
+    ]
+  }
+];
+
+module.exports = {
+  buildBroadcastInputBlocks,
+  extractBroadcastSelection,
+  buildBroadcastBlocks,
+  buildDeletedBroadcastBlocks
+};
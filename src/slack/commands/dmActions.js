@@ -0,0 +1,211 @@
+const intentService = require('../../services/intentService');
+const projectService = require('../../services/projectService');
+const userService = require('../../services/userService');
+const approvalService = require('../../services/approvalService');
+const logger = require('../../config/logger');
+const { notifyProjectTeam, notifyDownstreamLeads } = require('./projectUpdate');
+const { requestStatusApproval } = require('../blocks/approvalRequest');
+
+// actionId is the saved action both buttons act on
+const buildConfirmBlocks = (resolved, actionId) => {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🤖 ${resolved.summary}`
+      }
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "✅ Confirm"
+          },
+          style: "primary",
+          action_id: "dm_intent_confirm",
+          value: actionId
+        },
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Cancel"
+          },
+          action_id: "dm_intent_cancel",
+          value: actionId
+        }
+      ]
+    }
+  ];
+};
+
+// Offer to run an action asked for in a DM, like "mark Acme website as on hold".
+// Returns false when the message isn't an action, so other handlers can reply.
+const handleActionMessage = async ({ message, say, slackService }) => {
+  try {
+    const intent = await intentService.parseIntent(message.text);
+    if (!intent) {
+      return false;
+    }
+
+    const resolved = await intentService.resolveIntent(intent, slackService);
+
+    if (resolved.error) {
+      await say(`🤔 ${resolved.error}`);
+    } else {
+      const dmAction = await intentService.saveAction(resolved, message.user);
+      await say({
+        text: resolved.summary.replace(/\*/g, ''),
+        blocks: buildConfirmBlocks(resolved, dmAction.id)
+      });
+    }
+
+    logger.info('DM action proposed', {
+      userId: message.user,
+      action: intent.action,
+      source: intent.source,
+      resolved: !resolved.error
+    });
+  } catch (error) {
+    logger.error('Error proposing DM action:', error);
+    await say("Sorry, I couldn't work out that request. Please try again or use the slash commands.");
+  }
+
+  return true;
+};
+
+const handleConfirm = async ({ ack, body, client, respond }) => {
+  await ack();
+
+  try {
+    const actionId = body.actions[0].value;
+    const intent = await intentService.claimAction(actionId, body.user.id);
+    if (!intent) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: "This action was already confirmed or cancelled."
+      });
+      return;
+    }
+
+    const user = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+
+    let result;
+    try {
+      if (intent.action === 'ASSIGN') {
+        // Someone may have changed the lead since this was proposed
+        const project = await projectService.getProject(intent.projectId);
+        if (!project || project.assignedTo !== intent.fromAssigneeId) {
+          await respond({
+            replace_original: true,
+            text: `⚠️ ${project ? `*${project.name}*` : 'The project'} has a different project lead since you asked, so nothing was changed. Ask again if you still want to change it.`
+          });
+          return;
+        }
+      }
+
+      if (intent.action === 'SET_STATUS') {
+        // Someone may have changed the status since this was proposed
+        const project = await projectService.getProject(intent.projectId);
+        if (!project || project.status !== intent.fromStatus) {
+          await respond({
+            replace_original: true,
+            text: `⚠️ ${project ? `*${project.name}*` : 'The project'} has changed status since you asked, so nothing was changed. Ask again if you still want to change it.`
+          });
+          return;
+        }
+
+        // Status changes covered by an approval rule are asked for instead of made
+        const approval = await approvalService.checkStatusChange(project, intent.status, user);
+        if (approval) {
+          await respond({
+            replace_original: true,
+            text: await requestStatusApproval(client, project, intent.status, user, approval)
+          });
+
+          logger.info('DM action sent for approval', {
+            userId: body.user.id,
+            projectId: intent.projectId,
+            status: intent.status
+          });
+          return;
+        }
+      }
+
+      result = await intentService.executeIntent(intent, user.id);
+    } catch (error) {
+      // Let the user confirm again
+      await intentService.releaseAction(actionId);
+      throw error;
+    }
+
+    await respond({
+      replace_original: true,
+      text: result.text
+    });
+
+    // Same follow-ups as the slash commands
+    if (result.update) {
+      await notifyProjectTeam(client, result.update.project, result.update, user.id);
+    }
+    if (intent.action === 'SET_STATUS' && intent.status === 'COMPLETED') {
+      await notifyDownstreamLeads(client, result.project, user.id);
+    }
+
+    logger.info('DM action confirmed', {
+      userId: body.user.id,
+      action: intent.action,
+      projectId: intent.projectId
+    });
+  } catch (error) {
+    logger.error('Error running DM action:', {
+      error: error.message,
+      userId: body.user.id
+    });
+
+    await respond({
+      replace_original: false,
+      text: `❌ Error: ${error.message}`
+    });
+  }
+};
+
+const handleCancel = async ({ ack, body, respond }) => {
+  await ack();
+
+  try {
+    const cancelled = await intentService.cancelAction(body.actions[0].value, body.user.id);
+
+    await respond(cancelled ? {
+      replace_original: true,
+      text: "👍 Cancelled, nothing was changed."
+    } : {
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: "This action was already confirmed or cancelled."
+    });
+  } catch (error) {
+    logger.error('Error cancelling DM action:', {
+      error: error.message,
+      userId: body.user.id
+    });
+
+    await respond({
+      replace_original: false,
+      text: `❌ Error: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  handleActionMessage,
+  handleConfirm,
+  handleCancel
+};
@@ -0,0 +1,99 @@
+const questionService = require('../../services/questionService');
+const logger = require('../../config/logger');
+
+// One block per cited project or update, with a button to open it
+const buildSourceBlock = (source) => {
+  const text = source.type === 'update'
+    ? `*[${source.number}]* 📝 *${source.projectName}* (${source.clientName}) - update by ${source.authorName} on ${new Date(source.createdAt).toLocaleDateString()}\n_${source.content.substring(0, 200)}${source.content.length > 200 ? '...' : ''}_`
+    : `*[${source.number}]* 📁 *${source.name}* (${source.clientName}) - ${source.status.replace('_', ' ')}`;
+
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text
+    },
+    accessory: source.type === 'update'
+      ? {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "View Update"
+        },
+        action_id: "update_view",
+        value: source.id
+      }
+      : {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "View Details"
+        },
+        action_id: "view_project_details",
+        value: source.id
+      }
+  };
+};
+
+const buildAnswerBlocks = (answer, sources) => {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `💡 ${answer}`
+      }
+    }
+  ];
+
+  if (sources.length > 0) {
+    blocks.push(
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "*Sources*"
+          }
+        ]
+      },
+      ...sources.map(buildSourceBlock)
+    );
+  }
+
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "🤖 Answers are based on project records and updates and may miss things; check the sources."
+      }
+    ]
+  });
+
+  return blocks;
+};
+
+// Answer a DM question such as "what's blocking the Acme redesign?"
+const handleQuestion = async ({ message, say }) => {
+  try {
+    const { answer, sources } = await questionService.answerQuestion(message.text.trim());
+
+    await say({
+      text: answer,
+      blocks: buildAnswerBlocks(answer, sources)
+    });
+
+    logger.info('Portfolio question DM handled', {
+      userId: message.user,
+      sourcesCount: sources.length
+    });
+  } catch (error) {
+    logger.error('Error answering portfolio question:', error);
+    await say("Sorry, I couldn't answer that right now. Try again, or use `/project-search` to look it up.");
+  }
+};
+
+module.exports = {
+  handleQuestion
+};
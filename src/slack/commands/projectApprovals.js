@@ -0,0 +1,493 @@
+const approvalService = require('../../services/approvalService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { MEMBER_ROLE_INPUTS } = require('../blocks/memberInputs');
+const { formatStatusChange } = require('../blocks/approvalRequest');
+const { notifyDownstreamLeads } = require('./projectUpdate');
+
+const STATUS_LABELS = {
+  PLANNING: 'Planning',
+  IN_PROGRESS: 'In Progress',
+  ON_HOLD: 'On Hold',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+const STATUS_OPTIONS = Object.entries(STATUS_LABELS).map(([status, label]) => ({
+  text: {
+    type: "plain_text",
+    text: label
+  },
+  value: status
+}));
+
+const FROM_STATUS_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Any status"
+    },
+    value: "any"
+  },
+  ...STATUS_OPTIONS
+];
+
+const ROLE_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Nobody by role"
+    },
+    value: "none"
+  },
+  ...MEMBER_ROLE_INPUTS.map(input => ({
+    text: {
+      type: "plain_text",
+      text: `${input.label} on the project`
+    },
+    value: input.role
+  }))
+];
+
+const ENABLED_OPTION = {
+  text: {
+    type: "plain_text",
+    text: "Require approval for this change"
+  },
+  description: {
+    type: "plain_text",
+    text: "Untick to turn the rule off without losing its approvers."
+  },
+  value: "enabled"
+};
+
+// "Account Managers on the project, Jane Doe"; usersById resolves approverIds
+const describeApprovers = (rule, usersById) => {
+  const roleInput = MEMBER_ROLE_INPUTS.find(input => input.role === rule.approverRole);
+  const names = rule.approverIds.map(id => usersById.get(id)).filter(Boolean).map(user => user.name);
+  const parts = [roleInput ? `${roleInput.label} on the project` : null, ...names].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'Admins';
+};
+
+// "Any status → COMPLETED: Account Managers on the project"
+const describeRule = (rule, usersById) =>
+  `${formatStatusChange(rule)}: ${describeApprovers(rule, usersById)}${rule.enabled ? '' : ' (off)'}`;
+
+const loadRuleUsers = async (rules) => {
+  const users = await userService.getAllUsers();
+  const approverIds = new Set(rules.flatMap(rule => rule.approverIds));
+  return new Map(users.filter(user => approverIds.has(user.id)).map(user => [user.id, user]));
+};
+
+const buildApprovalModal = (rules, usersById, selectedRule = null) => {
+  const ruleOptions = [
+    {
+      text: {
+        type: "plain_text",
+        text: "➕ New rule"
+      },
+      value: "new"
+    },
+    ...rules.map(rule => ({
+      text: {
+        type: "plain_text",
+        text: describeRule(rule, usersById).substring(0, 75)
+      },
+      value: rule.id
+    }))
+  ];
+
+  const values = selectedRule || {
+    fromStatus: null,
+    toStatus: 'COMPLETED',
+    approverRole: 'ACCOUNT_MANAGER',
+    approverIds: [],
+    enabled: true
+  };
+  const approverSlackIds = values.approverIds.map(id => usersById.get(id)).filter(Boolean).map(user => user.slackUserId);
+
+  // Block IDs are keyed by rule so Slack doesn't carry typed values over when
+  // switching between rules
+  const key = selectedRule ? selectedRule.id : 'new';
+
+  return {
+    type: "modal",
+    callback_id: "project_approvals_modal",
+    private_metadata: selectedRule ? selectedRule.id : '',
+    title: {
+      type: "plain_text",
+      text: "Approval Rules"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Rule*\nPick a rule to edit, or add one for another status change:"
+        },
+        accessory: {
+          type: "static_select",
+          action_id: "approval_rule_select",
+          options: ruleOptions,
+          initial_option: ruleOptions.find(option => option.value === key)
+        }
+      },
+      {
+        type: "input",
+        block_id: `approval_from_${key}`,
+        element: {
+          type: "static_select",
+          action_id: "from_select",
+          options: FROM_STATUS_OPTIONS,
+          initial_option: FROM_STATUS_OPTIONS.find(option => option.value === (values.fromStatus || 'any'))
+        },
+        label: {
+          type: "plain_text",
+          text: "From Status"
+        }
+      },
+      {
+        type: "input",
+        block_id: `approval_to_${key}`,
+        element: {
+          type: "static_select",
+          action_id: "to_select",
+          options: STATUS_OPTIONS,
+          initial_option: STATUS_OPTIONS.find(option => option.value === values.toStatus)
+        },
+        label: {
+          type: "plain_text",
+          text: "To Status"
+        }
+      },
+      {
+        type: "input",
+        block_id: `approval_role_${key}`,
+        element: {
+          type: "static_select",
+          action_id: "role_select",
+          options: ROLE_OPTIONS,
+          initial_option: ROLE_OPTIONS.find(option => option.value === (values.approverRole || 'none'))
+        },
+        label: {
+          type: "plain_text",
+          text: "Approved By"
+        },
+        hint: {
+          type: "plain_text",
+          text: "Anyone on the project's team with this role can approve."
+        }
+      },
+      {
+        type: "input",
+        block_id: `approval_users_${key}`,
+        element: {
+          type: "multi_users_select",
+          action_id: "users_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select approvers"
+          },
+          ...(approverSlackIds.length > 0 && { initial_users: approverSlackIds })
+        },
+        label: {
+          type: "plain_text",
+          text: "Also Approved By"
+        },
+        hint: {
+          type: "plain_text",
+          text: "Approvers for every project. When a project has no one to approve, admins are asked; with no admins either, the change is refused."
+        },
+        optional: true
+      },
+      {
+        type: "input",
+        block_id: `approval_enabled_${key}`,
+        element: {
+          type: "checkboxes",
+          action_id: "enabled_checkbox",
+          options: [ENABLED_OPTION],
+          ...(values.enabled && { initial_options: [ENABLED_OPTION] })
+        },
+        label: {
+          type: "plain_text",
+          text: "On"
+        },
+        optional: true
+      }
+    ]
+  };
+};
+
+const projectApprovalsCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const [user, rules] = await Promise.all([
+      userService.getUserBySlackId(command.user_id),
+      approvalService.getAllRules()
+    ]);
+    const usersById = await loadRuleUsers(rules);
+
+    // Everyone can see the rules; only admins change them
+    if (!user || user.role !== 'admin') {
+      const activeRules = rules.filter(rule => rule.enabled);
+      await respond({
+        response_type: 'ephemeral',
+        text: activeRules.length > 0
+          ? `🔏 *Status changes that need approval:*\n${activeRules.map(rule => `• ${describeRule(rule, usersById)}`).join('\n')}\n\nOnly admins can change approval rules.`
+          : "🔏 No status changes need approval. Only admins can change approval rules."
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildApprovalModal(rules, usersById)
+    });
+
+    logger.info('Project approvals modal opened', {
+      userId: command.user_id,
+      ruleCount: rules.length
+    });
+
+  } catch (error) {
+    logger.error('Error opening project approvals modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the approval rules. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleRuleSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const selectedValue = body.actions[0].selected_option.value;
+    const rules = await approvalService.getAllRules();
+    const usersById = await loadRuleUsers(rules);
+    const selectedRule = selectedValue === 'new'
+      ? null
+      : rules.find(rule => rule.id === selectedValue) || null;
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildApprovalModal(rules, usersById, selectedRule)
+    });
+  } catch (error) {
+    logger.error('Error loading approval rule for editing:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleProjectApprovalsSubmission = async ({ ack, body, view, client, slackService }) => {
+  try {
+    const values = view.state.values;
+    const ruleId = view.private_metadata || null;
+    const key = ruleId || 'new';
+
+    const fromValue = values[`approval_from_${key}`].from_select.selected_option.value;
+    const roleValue = values[`approval_role_${key}`].role_select.selected_option.value;
+    const ruleData = {
+      fromStatus: fromValue === 'any' ? null : fromValue,
+      toStatus: values[`approval_to_${key}`].to_select.selected_option.value,
+      approverRole: roleValue === 'none' ? null : roleValue,
+      enabled: (values[`approval_enabled_${key}`]?.enabled_checkbox?.selected_options || []).length > 0
+    };
+    const approverSlackIds = values[`approval_users_${key}`]?.users_select?.selected_users || [];
+
+    const errors = {};
+    if (ruleData.fromStatus === ruleData.toStatus) {
+      errors[`approval_to_${key}`] = 'Pick a different status than the one it changes from';
+    } else if (await approvalService.findTransitionRule(ruleData.fromStatus, ruleData.toStatus, ruleId)) {
+      errors[`approval_to_${key}`] = 'There is already a rule for this status change; pick it at the top to edit it';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      await ack({
+        response_action: 'errors',
+        errors
+      });
+      return;
+    }
+
+    await ack();
+
+    const user = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+    if (user.role !== 'admin') {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "❌ Only admins can change approval rules."
+      });
+      return;
+    }
+
+    const approvers = await userService.findOrCreateUsersFromSlack(approverSlackIds, slackService);
+    ruleData.approverIds = approvers.map(approver => approver.id);
+
+    const rule = ruleId
+      ? await approvalService.updateRule(ruleId, ruleData)
+      : await approvalService.createRule(ruleData, user.id);
+
+    const usersById = new Map(approvers.map(approver => [approver.id, approver]));
+    const resultText = rule.enabled
+      ? `✅ *${formatStatusChange(rule)}* now needs approval from ${describeApprovers(rule, usersById)}.`
+      : `✅ *${formatStatusChange(rule)}* no longer needs approval.`;
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: resultText
+    });
+
+    logger.info('Approval rule saved', {
+      ruleId: rule.id,
+      enabled: rule.enabled,
+      userId: body.user.id
+    });
+
+  } catch (error) {
+    logger.error('Error saving approval rule:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving approval rule: ${error.message}`
+    });
+  }
+};
+
+// Swap the request's buttons in an approver's DM for what happened to it
+const replaceApprovalActions = async (body, client, requestId, text) => {
+  const blocks = body.message.blocks.map(block => block.block_id === `approval_${requestId}`
+    ? {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text
+        }
+      ]
+    }
+    : block);
+
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text: body.message.text,
+    blocks
+  });
+};
+
+const handleDecision = async ({ ack, body, client, respond }, approved) => {
+  await ack();
+
+  const requestId = body.actions[0].value;
+
+  try {
+    const [request, user] = await Promise.all([
+      approvalService.getRequest(requestId),
+      userService.findOrCreateUser(body.user.id, {
+        name: body.user.name || body.user.username
+      })
+    ]);
+
+    if (!request) {
+      await replaceApprovalActions(body, client, requestId, "This project no longer exists.");
+      return;
+    }
+
+    // Approvers are worked out again, as the team may have changed since the request
+    const approvers = await approvalService.getApprovers(request.rule, request.project);
+    if (user.role !== 'admin' && !approvers.some(approver => approver.id === user.id)) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: "❌ You're not one of the approvers for this status change."
+      });
+      return;
+    }
+
+    const decided = await approvalService.decideRequest(requestId, user.id, approved);
+    if (!decided) {
+      const current = await approvalService.getRequest(requestId);
+      await replaceApprovalActions(body, client, requestId,
+        `This request was already ${current.status.toLowerCase()}${current.decider ? ` by ${current.decider.name}` : ''}.`);
+      return;
+    }
+
+    const changeText = formatStatusChange(decided);
+    if (decided.status === 'EXPIRED') {
+      const currentStatus = decided.project.status.replace('_', ' ');
+      await replaceApprovalActions(body, client, requestId,
+        `⌛ *${decided.project.name}* is ${currentStatus} now, so this request (${changeText}) has expired and nothing was changed.`);
+
+      if (decided.requester.id !== user.id) {
+        await client.chat.postMessage({
+          channel: decided.requester.slackUserId,
+          text: `⌛ Your request to change *${decided.project.name}* from ${changeText} expired, as the project is ${currentStatus} now. Ask again if the change is still needed.`
+        });
+      }
+
+      logger.info('Approval request expired', { requestId, userId: body.user.id });
+      return;
+    }
+
+    await replaceApprovalActions(body, client, requestId, approved
+      ? `✅ You approved ${changeText}; *${decided.project.name}* is now ${decided.toStatus.replace('_', ' ')}.`
+      : `❌ You rejected ${changeText}; *${decided.project.name}* stays ${decided.fromStatus.replace('_', ' ')}.`);
+
+    if (decided.requester.id !== user.id) {
+      await client.chat.postMessage({
+        channel: decided.requester.slackUserId,
+        text: approved
+          ? `✅ ${user.name} approved changing *${decided.project.name}* from ${changeText}. The status has been changed.`
+          : `❌ ${user.name} rejected changing *${decided.project.name}* from ${changeText}. The status wasn't changed.`
+      });
+    }
+
+    // Same follow-up as changing the status straight away
+    if (approved && decided.toStatus === 'COMPLETED') {
+      await notifyDownstreamLeads(client, decided.project, user.id);
+    }
+
+    logger.info('Approval request decided', { requestId, approved, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error deciding approval request:', {
+      error: error.message,
+      requestId,
+      userId: body.user.id
+    });
+
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `❌ Error: ${error.message}`
+    });
+  }
+};
+
+const handleApprove = (args) => handleDecision(args, true);
+
+const handleReject = (args) => handleDecision(args, false);
+
+module.exports = {
+  command: projectApprovalsCommand,
+  handleSubmission: handleProjectApprovalsSubmission,
+  handleRuleSelection,
+  handleApprove,
+  handleReject
+};
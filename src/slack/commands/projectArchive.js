@@ -0,0 +1,131 @@
+const projectService = require('../../services/projectService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { MAX_SELECT_OPTIONS } = require('../blocks/selectOptions');
+
+const buildProjectOptions = (projects) => projects.slice(0, MAX_SELECT_OPTIONS).map(project => ({
+  text: {
+    type: "plain_text",
+    text: `${project.clientName} - ${project.name}`.substring(0, 75)
+  },
+  value: project.id
+}));
+
+const buildArchiveBlocks = (projects, restoreMode) => [
+  {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: restoreMode
+        ? "🗄️ *Restore an archived project*\nRestored projects show up in lists, the Home tab and the digest again."
+        : "🗄️ *Archive a project*\nArchived projects are hidden everywhere but keep their updates and history, and can be restored with `/project-archive restore`."
+    },
+    accessory: {
+      type: "static_select",
+      action_id: restoreMode ? "restore_project_select" : "archive_project_select",
+      placeholder: {
+        type: "plain_text",
+        text: "Select a project"
+      },
+      options: buildProjectOptions(projects),
+      confirm: {
+        title: {
+          type: "plain_text",
+          text: restoreMode ? "Restore project?" : "Archive project?"
+        },
+        text: {
+          type: "mrkdwn",
+          text: restoreMode
+            ? "The project will be visible to everyone again."
+            : "The project will be hidden from lists, the Home tab and the digest. It is permanently deleted once the archive retention period has passed."
+        },
+        confirm: {
+          type: "plain_text",
+          text: restoreMode ? "Restore" : "Archive"
+        },
+        deny: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        ...(!restoreMode && { style: "danger" })
+      }
+    }
+  }
+];
+
+const projectArchiveCommand = async ({ command, ack, respond }) => {
+  await ack();
+
+  try {
+    const restoreMode = (command.text || '').trim().toLowerCase() === 'restore';
+    const projects = await projectService.getAllProjects(restoreMode ? { archivedOnly: true } : {});
+
+    if (projects.length === 0) {
+      await respond({
+        text: restoreMode ? "🗄️ There are no archived projects." : "📝 No projects to archive.",
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    await respond({
+      text: restoreMode ? "Restore an archived project" : "Archive a project",
+      blocks: buildArchiveBlocks(projects, restoreMode),
+      response_type: "ephemeral"
+    });
+
+    logger.info('Project archive picker shown', { userId: command.user_id, restoreMode });
+
+  } catch (error) {
+    logger.error('Error showing project archive picker:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error loading projects. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleArchiveAction = (restoreMode) => async ({ ack, body, respond }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].selected_option.value;
+    const user = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+
+    const project = restoreMode
+      ? await projectService.restoreProject(projectId, user.id)
+      : await projectService.archiveProject(projectId, user.id);
+
+    await respond({
+      replace_original: true,
+      text: restoreMode
+        ? `♻️ *${project.name}* (${project.clientName}) has been restored.`
+        : `🗄️ *${project.name}* (${project.clientName}) has been archived. Use \`/project-archive restore\` to bring it back.`
+    });
+
+    logger.info(restoreMode ? 'Project restored via Slack' : 'Project archived via Slack', {
+      projectId,
+      userId: body.user.id
+    });
+
+  } catch (error) {
+    logger.error('Error handling project archive action:', {
+      error: error.message,
+      userId: body.user.id
+    });
+
+    await respond({
+      replace_original: false,
+      text: `❌ Error ${restoreMode ? 'restoring' : 'archiving'} project: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectArchiveCommand,
+  handleArchiveSelection: handleArchiveAction(false),
+  handleRestoreSelection: handleArchiveAction(true)
+};
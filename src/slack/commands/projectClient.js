@@ -0,0 +1,423 @@
+const clientService = require('../../services/clientService');
+const logger = require('../../config/logger');
+
+const STATUS_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Active"
+    },
+    value: "ACTIVE"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "Inactive"
+    },
+    value: "INACTIVE"
+  }
+];
+
+const CAPTURE_SIGNALS_OPTION = {
+  text: {
+    type: "plain_text",
+    text: "Suggest updates from this channel"
+  },
+  description: {
+    type: "plain_text",
+    text: "Messages that look like status news are sent to the project lead in a daily DM to accept as updates"
+  },
+  value: "capture"
+};
+
+// One contact per line: "Jane Doe <jane@acme.com> - Marketing Lead"
+const parseContacts = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const match = line.match(/^(.*?)\s*(?:<([^>]+)>)?(?:\s+-\s+(.+))?$/);
+    return {
+      name: (match[1] || line).trim(),
+      email: match[2] ? match[2].trim() : null,
+      role: match[3] ? match[3].trim() : null
+    };
+  })
+  .filter(contact => contact.name);
+
+const formatContacts = (contacts = []) => contacts
+  .map(contact => `${contact.name}${contact.email ? ` <${contact.email}>` : ''}${contact.role ? ` - ${contact.role}` : ''}`)
+  .join('\n');
+
+const buildClientModal = (clients, selectedClient = null) => {
+  const clientOptions = [
+    {
+      text: {
+        type: "plain_text",
+        text: "➕ New client"
+      },
+      value: "new"
+    },
+    ...clients.map(clientRecord => ({
+      text: {
+        type: "plain_text",
+        text: clientRecord.name.substring(0, 75)
+      },
+      value: clientRecord.id
+    }))
+  ];
+
+  // Block IDs are keyed by client so Slack doesn't carry typed values over
+  // when switching between clients
+  const key = selectedClient ? selectedClient.id : 'new';
+  const selectedOption = clientOptions.find(option => option.value === (selectedClient ? selectedClient.id : 'new'));
+  const mergeOptions = selectedClient
+    ? clientOptions.filter(option => option.value !== 'new' && option.value !== selectedClient.id)
+    : [];
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "*Client*\nPick a client to edit, or create a new one:"
+      },
+      accessory: {
+        type: "static_select",
+        action_id: "client_manage_select",
+        options: clientOptions,
+        initial_option: selectedOption
+      }
+    },
+    {
+      type: "input",
+      block_id: `client_name_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "name_input",
+        max_length: 100,
+        ...(selectedClient && { initial_value: selectedClient.name })
+      },
+      label: {
+        type: "plain_text",
+        text: "Canonical Name"
+      }
+    },
+    {
+      type: "input",
+      block_id: `client_aliases_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "aliases_input",
+        placeholder: {
+          type: "plain_text",
+          text: "e.g. ACME, Acme Corporation"
+        },
+        ...(selectedClient && selectedClient.aliases.length > 0 && { initial_value: selectedClient.aliases.join(', ') })
+      },
+      label: {
+        type: "plain_text",
+        text: "Aliases (comma separated)"
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: `client_channel_${key}`,
+      element: {
+        type: "conversations_select",
+        action_id: "channel_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Select the client's Slack channel"
+        },
+        filter: {
+          include: ["public", "private"],
+          exclude_bot_users: true
+        },
+        ...(selectedClient?.slackChannelId && { initial_conversation: selectedClient.slackChannelId })
+      },
+      label: {
+        type: "plain_text",
+        text: "Slack Channel"
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: `client_signals_${key}`,
+      element: {
+        type: "checkboxes",
+        action_id: "signals_checkbox",
+        options: [CAPTURE_SIGNALS_OPTION],
+        ...(selectedClient?.captureSignals && { initial_options: [CAPTURE_SIGNALS_OPTION] })
+      },
+      label: {
+        type: "plain_text",
+        text: "Suggested Updates"
+      },
+      hint: {
+        type: "plain_text",
+        text: "Add the bot to the channel so it can read the messages"
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: `client_status_${key}`,
+      element: {
+        type: "static_select",
+        action_id: "status_select",
+        options: STATUS_OPTIONS,
+        initial_option: STATUS_OPTIONS.find(option => option.value === (selectedClient ? selectedClient.status : 'ACTIVE'))
+      },
+      label: {
+        type: "plain_text",
+        text: "Status"
+      }
+    },
+    {
+      type: "input",
+      block_id: `client_contacts_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "contacts_input",
+        multiline: true,
+        placeholder: {
+          type: "plain_text",
+          text: "One per line: Jane Doe <jane@acme.com> - Marketing Lead"
+        },
+        ...(selectedClient && selectedClient.contacts.length > 0 && { initial_value: formatContacts(selectedClient.contacts) })
+      },
+      label: {
+        type: "plain_text",
+        text: "Contacts"
+      },
+      optional: true
+    }
+  ];
+
+  if (mergeOptions.length > 0) {
+    blocks.push({
+      type: "input",
+      block_id: `client_merge_${key}`,
+      element: {
+        type: "static_select",
+        action_id: "merge_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Select the client to keep"
+        },
+        options: mergeOptions
+      },
+      label: {
+        type: "plain_text",
+        text: "Merge Into (duplicate clean-up)"
+      },
+      hint: {
+        type: "plain_text",
+        text: "Moves all projects and contacts to the selected client and deletes this one. Its name becomes an alias."
+      },
+      optional: true
+    });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "project_client_modal",
+    private_metadata: selectedClient ? selectedClient.id : '',
+    title: {
+      type: "plain_text",
+      text: "Manage Clients"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks
+  };
+};
+
+const projectClientCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const clients = await clientService.getAllClients();
+
+    // Allow `/project-client Acme` to open straight into a client
+    const clientNameFromCommand = command.text ? command.text.trim() : '';
+    const selectedClient = clientNameFromCommand
+      ? clients.find(clientRecord => clientService.matchesClient(clientRecord, clientNameFromCommand)) || null
+      : null;
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildClientModal(clients, selectedClient)
+    });
+
+    logger.info('Client management modal opened', {
+      userId: command.user_id,
+      clientId: selectedClient?.id || null
+    });
+
+  } catch (error) {
+    logger.error('Error opening client management modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the client form. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleClientManageSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const selectedValue = body.actions[0].selected_option.value;
+    const clients = await clientService.getAllClients();
+    const selectedClient = selectedValue === 'new'
+      ? null
+      : clients.find(clientRecord => clientRecord.id === selectedValue) || null;
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildClientModal(clients, selectedClient)
+    });
+  } catch (error) {
+    logger.error('Error loading client for editing:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleProjectClientSubmission = async ({ ack, body, view, client }) => {
+  try {
+    const values = view.state.values;
+    const clientId = view.private_metadata || null;
+    const key = clientId || 'new';
+
+    const name = values[`client_name_${key}`].name_input.value.trim();
+    const aliases = (values[`client_aliases_${key}`]?.aliases_input?.value || '')
+      .split(',')
+      .map(alias => alias.trim())
+      .filter(alias => alias && alias !== name);
+    const slackChannelId = values[`client_channel_${key}`]?.channel_select?.selected_conversation || null;
+    const status = values[`client_status_${key}`].status_select.selected_option.value;
+    const captureSignals = (values[`client_signals_${key}`]?.signals_checkbox?.selected_options || []).length > 0;
+    const contacts = parseContacts(values[`client_contacts_${key}`]?.contacts_input?.value);
+    const mergeIntoId = values[`client_merge_${key}`]?.merge_select?.selected_option?.value || null;
+
+    // Names and aliases must not collide with a different client
+    const existingClients = await clientService.getAllClients();
+    let conflict = null;
+    let conflictingName = null;
+
+    for (const candidate of [name, ...aliases]) {
+      conflict = existingClients.find(clientRecord =>
+        clientRecord.id !== clientId && clientService.matchesClient(clientRecord, candidate)
+      );
+      if (conflict) {
+        conflictingName = candidate;
+        break;
+      }
+    }
+
+    if (conflict && !mergeIntoId) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          [`client_name_${key}`]: `"${conflictingName}" matches the existing client "${conflict.name}". Edit that client or merge into it instead.`
+        }
+      });
+      return;
+    }
+
+    if (captureSignals && !slackChannelId) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          [`client_signals_${key}`]: 'Pick the Slack channel to suggest updates from'
+        }
+      });
+      return;
+    }
+
+    const channelOwner = slackChannelId
+      ? existingClients.find(clientRecord => clientRecord.slackChannelId === slackChannelId && clientRecord.id !== clientId)
+      : null;
+
+    if (channelOwner && !mergeIntoId) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          [`client_channel_${key}`]: `This channel is already linked to "${channelOwner.name}"`
+        }
+      });
+      return;
+    }
+
+    await ack();
+
+    const clientData = { name, aliases, slackChannelId, status, captureSignals, contacts };
+    let savedClient;
+    let resultText;
+
+    if (mergeIntoId) {
+      savedClient = await clientService.mergeClients(clientId, mergeIntoId);
+      resultText = `✅ Merged into *${savedClient.name}*. All projects and contacts were moved.`;
+    } else if (clientId) {
+      savedClient = await clientService.updateClient(clientId, clientData);
+      resultText = `✅ Client *${savedClient.name}* updated.`;
+    } else {
+      savedClient = await clientService.createClient(clientData);
+      resultText = `✅ Client *${savedClient.name}* created.`;
+    }
+
+    const detailText = [
+      savedClient.aliases.length > 0 ? `*Aliases:* ${savedClient.aliases.join(', ')}` : null,
+      savedClient.slackChannelId ? `*Channel:* <#${savedClient.slackChannelId}>${savedClient.captureSignals ? ' (suggesting updates)' : ''}` : null,
+      `*Status:* ${savedClient.status.toLowerCase()}`
+    ].filter(Boolean).join('\n');
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: resultText,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${resultText}\n${detailText}`
+          }
+        }
+      ]
+    });
+
+    logger.info('Client saved', {
+      clientId: savedClient.id,
+      merged: !!mergeIntoId,
+      userId: body.user.id
+    });
+
+  } catch (error) {
+    logger.error('Error saving client:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving client: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectClientCommand,
+  handleSubmission: handleProjectClientSubmission,
+  handleClientManageSelection
+};
@@ -0,0 +1,396 @@
+const digestSubscriptionService = require('../../services/digestSubscriptionService');
+const clientService = require('../../services/clientService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { ALL_DIGEST_SECTIONS, DIGEST_SECTION_OPTIONS, formatSections } = require('../blocks/digestSections');
+const { RECURRENCE_TIMEZONE, isValidCron, isValidTimezone, getNextCronRun } = require('../../utils/recurrence');
+const { MAX_SELECT_OPTIONS } = require('../blocks/selectOptions');
+
+const DEFAULT_SCHEDULE = '0 9 * * 1';
+
+const DELETE_OPTION = {
+  text: {
+    type: "plain_text",
+    text: "Delete this digest"
+  },
+  description: {
+    type: "plain_text",
+    text: "The channel stops receiving it. Digests already posted stay."
+  },
+  value: "delete"
+};
+
+// "Acme Corp • 0 9 * * 1 (America/New_York)"
+const describeSubscription = (subscription) =>
+  `${subscription.client ? subscription.client.name : 'All clients'} • ${subscription.schedule} (${subscription.timezone})`;
+
+const formatNextRun = (subscription) => getNextCronRun(subscription.schedule, subscription.timezone)
+  .toLocaleString('en-US', {
+    timeZone: subscription.timezone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+// initialValues pre-fills a new digest, e.g. with the client linked to the
+// channel the command was run in
+const buildDigestModal = (subscriptions, clients, selectedSubscription = null, initialValues = {}) => {
+  const subscriptionOptions = [
+    {
+      text: {
+        type: "plain_text",
+        text: "➕ New digest"
+      },
+      value: "new"
+    },
+    ...subscriptions.map(subscription => ({
+      text: {
+        type: "plain_text",
+        text: describeSubscription(subscription).substring(0, 75)
+      },
+      value: subscription.id
+    }))
+  ];
+
+  const clientOptions = [
+    {
+      text: {
+        type: "plain_text",
+        text: "All clients"
+      },
+      value: "all"
+    },
+    // "All clients" takes one of the options
+    ...clients.slice(0, MAX_SELECT_OPTIONS - 1).map(clientRecord => ({
+      text: {
+        type: "plain_text",
+        text: clientRecord.name.substring(0, 75)
+      },
+      value: clientRecord.id
+    }))
+  ];
+
+  const values = selectedSubscription || {
+    clientId: initialValues.clientId || null,
+    schedule: DEFAULT_SCHEDULE,
+    timezone: RECURRENCE_TIMEZONE,
+    sections: ALL_DIGEST_SECTIONS
+  };
+
+  // Block IDs are keyed by subscription so Slack doesn't carry typed values
+  // over when switching between digests
+  const key = selectedSubscription ? selectedSubscription.id : 'new';
+  const selectedOption = subscriptionOptions.find(option => option.value === key);
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "*Digest*\nPick a digest to edit, or set up a new one:"
+      },
+      accessory: {
+        type: "static_select",
+        action_id: "digest_manage_select",
+        options: subscriptionOptions,
+        initial_option: selectedOption
+      }
+    },
+    {
+      type: "input",
+      block_id: `digest_channel_${key}`,
+      element: {
+        type: "conversations_select",
+        action_id: "channel_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Select a channel"
+        },
+        filter: {
+          include: ["public", "private"],
+          exclude_bot_users: true
+        },
+        ...(selectedSubscription
+          ? { initial_conversation: selectedSubscription.channelId }
+          : { default_to_current_conversation: true })
+      },
+      label: {
+        type: "plain_text",
+        text: "Channel"
+      }
+    },
+    {
+      type: "input",
+      block_id: `digest_client_${key}`,
+      element: {
+        type: "static_select",
+        action_id: "client_select",
+        options: clientOptions,
+        initial_option: clientOptions.find(option => option.value === (values.clientId || 'all')) || clientOptions[0]
+      },
+      label: {
+        type: "plain_text",
+        text: "Client"
+      }
+    },
+    {
+      type: "input",
+      block_id: `digest_schedule_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "schedule_input",
+        initial_value: values.schedule
+      },
+      label: {
+        type: "plain_text",
+        text: "Schedule (cron)"
+      },
+      hint: {
+        type: "plain_text",
+        text: "minute hour day-of-month month day-of-week, e.g. 0 9 * * 1 for Mondays at 9 AM or 0 16 * * 5 for Fridays at 4 PM"
+      }
+    },
+    {
+      type: "input",
+      block_id: `digest_timezone_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "timezone_input",
+        initial_value: values.timezone
+      },
+      label: {
+        type: "plain_text",
+        text: "Timezone"
+      },
+      hint: {
+        type: "plain_text",
+        text: "e.g. America/New_York, Europe/London, Asia/Singapore"
+      }
+    },
+    {
+      type: "input",
+      block_id: `digest_sections_${key}`,
+      element: {
+        type: "checkboxes",
+        action_id: "sections_checkbox",
+        options: DIGEST_SECTION_OPTIONS,
+        initial_options: DIGEST_SECTION_OPTIONS.filter(option => values.sections.includes(option.value))
+      },
+      label: {
+        type: "plain_text",
+        text: "Sections"
+      }
+    }
+  ];
+
+  if (selectedSubscription) {
+    blocks.push({
+      type: "input",
+      block_id: `digest_delete_${key}`,
+      element: {
+        type: "checkboxes",
+        action_id: "delete_checkbox",
+        options: [DELETE_OPTION]
+      },
+      label: {
+        type: "plain_text",
+        text: "Delete"
+      },
+      optional: true
+    });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "project_digest_modal",
+    private_metadata: selectedSubscription ? selectedSubscription.id : '',
+    title: {
+      type: "plain_text",
+      text: "Project Digests"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks
+  };
+};
+
+const projectDigestCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const [subscriptions, clients, channelClient] = await Promise.all([
+      digestSubscriptionService.getAllSubscriptions(),
+      clientService.getAllClients(),
+      clientService.getClientByChannelId(command.channel_id)
+    ]);
+
+    // Run in a client's channel, a new digest defaults to that client
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildDigestModal(subscriptions, clients, null, { clientId: channelClient?.id })
+    });
+
+    logger.info('Project digest modal opened', {
+      userId: command.user_id,
+      subscriptionCount: subscriptions.length
+    });
+
+  } catch (error) {
+    logger.error('Error opening project digest modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the digest form. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleDigestManageSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const selectedValue = body.actions[0].selected_option.value;
+    const [subscriptions, clients] = await Promise.all([
+      digestSubscriptionService.getAllSubscriptions(),
+      clientService.getAllClients()
+    ]);
+    const selectedSubscription = selectedValue === 'new'
+      ? null
+      : subscriptions.find(subscription => subscription.id === selectedValue) || null;
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildDigestModal(subscriptions, clients, selectedSubscription)
+    });
+  } catch (error) {
+    logger.error('Error loading digest for editing:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+// weeklyDigest is the app's digest scheduler, so changes apply without a restart
+const handleProjectDigestSubmission = async ({ ack, body, view, client, weeklyDigest }) => {
+  try {
+    const values = view.state.values;
+    const subscriptionId = view.private_metadata || null;
+    const key = subscriptionId || 'new';
+
+    const deleteSubscription = (values[`digest_delete_${key}`]?.delete_checkbox?.selected_options || []).length > 0;
+    const clientValue = values[`digest_client_${key}`].client_select.selected_option.value;
+
+    const subscriptionData = {
+      channelId: values[`digest_channel_${key}`].channel_select.selected_conversation,
+      clientId: clientValue === 'all' ? null : clientValue,
+      schedule: values[`digest_schedule_${key}`].schedule_input.value.trim().replace(/\s+/g, ' '),
+      timezone: values[`digest_timezone_${key}`].timezone_input.value.trim(),
+      sections: values[`digest_sections_${key}`].sections_checkbox.selected_options.map(option => option.value)
+    };
+
+    if (!deleteSubscription) {
+      const errors = {};
+      if (!isValidCron(subscriptionData.schedule)) {
+        errors[`digest_schedule_${key}`] = 'Enter a five field cron expression, e.g. 0 9 * * 1';
+      }
+      if (!isValidTimezone(subscriptionData.timezone)) {
+        errors[`digest_timezone_${key}`] = 'Enter a timezone name such as America/New_York';
+      }
+
+      if (Object.keys(errors).length > 0) {
+        await ack({
+          response_action: 'errors',
+          errors
+        });
+        return;
+      }
+    }
+
+    await ack();
+
+    let resultText;
+    let subscription;
+
+    if (deleteSubscription) {
+      subscription = await digestSubscriptionService.deleteSubscription(subscriptionId);
+      weeklyDigest.unscheduleSubscription(subscriptionId);
+      resultText = `🗑️ Digest for ${subscription.client ? `*${subscription.client.name}*` : 'all clients'} in <#${subscription.channelId}> deleted.`;
+    } else {
+      if (subscriptionId) {
+        subscription = await digestSubscriptionService.updateSubscription(subscriptionId, subscriptionData);
+      } else {
+        const creator = await userService.findOrCreateUser(body.user.id, {
+          name: body.user.name || body.user.username
+        });
+        subscription = await digestSubscriptionService.createSubscription(subscriptionData, creator.id);
+      }
+
+      weeklyDigest.scheduleSubscription(subscription);
+      resultText = `✅ Digest for ${subscription.client ? `*${subscription.client.name}*` : 'all clients'} will post to <#${subscription.channelId}>.`;
+    }
+
+    const detailText = deleteSubscription ? '' : [
+      `*Schedule:* \`${subscription.schedule}\` (${subscription.timezone})`,
+      `*Next digest:* ${formatNextRun(subscription)}`,
+      `*Sections:* ${formatSections(subscription.sections)}`
+    ].join('\n');
+
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: detailText ? `${resultText}\n${detailText}` : resultText
+        }
+      }
+    ];
+
+    if (!deleteSubscription) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Make sure the bot has been invited to the channel, or the digest can't be posted there."
+          }
+        ]
+      });
+    }
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: resultText,
+      blocks
+    });
+
+    logger.info('Digest subscription saved', {
+      subscriptionId: subscription.id,
+      deleted: deleteSubscription,
+      userId: body.user.id
+    });
+
+  } catch (error) {
+    logger.error('Error saving digest subscription:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving digest: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectDigestCommand,
+  handleSubmission: handleProjectDigestSubmission,
+  handleDigestManageSelection
+};
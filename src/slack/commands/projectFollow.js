@@ -0,0 +1,147 @@
+const projectService = require('../../services/projectService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+
+// Only the project lead or an admin may change where a project's changes are posted
+const canManageNotifications = (project, user) => !!user && (project.assignedTo === user.id || user.role === 'admin');
+
+// Buttons for the project details view: Follow/Unfollow for everyone, and the
+// client channel toggle for the lead and admins
+const buildFollowButtons = (project, viewer, following) => {
+  const buttons = [
+    following
+      ? {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "🔕 Unfollow"
+        },
+        action_id: "project_unfollow",
+        value: project.id
+      }
+      : {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "🔔 Follow"
+        },
+        action_id: "project_follow",
+        value: project.id
+      }
+  ];
+
+  if (canManageNotifications(project, viewer)) {
+    buttons.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: project.notifyClientChannel ? "📣 Stop posting changes to client channel" : "📣 Post changes to client channel"
+      },
+      action_id: "project_channel_notifications",
+      value: project.id
+    });
+  }
+
+  return buttons;
+};
+
+const handleFollow = async ({ ack, body, respond }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].value;
+    const [project, user] = await Promise.all([
+      projectService.getProject(projectId),
+      userService.findOrCreateUser(body.user.id, { name: body.user.name || body.user.username })
+    ]);
+
+    if (!project) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: "❌ Project not found." });
+      return;
+    }
+
+    await projectService.followProject(projectId, user.id);
+
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `🔔 You're following *${project.name}*. I'll DM you about its status, lead and deadline changes (choose which under *Notifications* in my Home tab).`
+    });
+
+    logger.info('Project follow requested', { projectId, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error following project:', error);
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ Error following project: ${error.message}` });
+  }
+};
+
+const handleUnfollow = async ({ ack, body, respond }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].value;
+    const [project, user] = await Promise.all([
+      projectService.getProject(projectId),
+      userService.getUserBySlackId(body.user.id)
+    ]);
+
+    if (user) {
+      await projectService.unfollowProject(projectId, user.id);
+    }
+
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `🔕 You're no longer following *${project ? project.name : 'this project'}*.`
+    });
+
+    logger.info('Project unfollow requested', { projectId, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error unfollowing project:', error);
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ Error unfollowing project: ${error.message}` });
+  }
+};
+
+// Turn posting status, lead and deadline changes to the client's channel on or off
+const handleChannelNotifications = async ({ ack, body, respond }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].value;
+    const [project, user] = await Promise.all([
+      projectService.getProject(projectId),
+      userService.getUserBySlackId(body.user.id)
+    ]);
+
+    if (!project) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: "❌ Project not found." });
+      return;
+    }
+    if (!canManageNotifications(project, user)) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: "❌ Only the project lead or an admin can change this." });
+      return;
+    }
+
+    const updated = await projectService.updateProject(projectId, { notifyClientChannel: !project.notifyClientChannel }, user.id);
+
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: updated.notifyClientChannel
+        ? `📣 Status, lead and deadline changes to *${project.name}* will be posted to the client's channel.`
+        : `📣 Changes to *${project.name}* will no longer be posted to the client's channel.`
+    });
+
+    logger.info('Project channel notifications toggled', { projectId, enabled: updated.notifyClientChannel, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error toggling project channel notifications:', error);
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ Error: ${error.message}` });
+  }
+};
+
+module.exports = {
+  buildFollowButtons,
+  handleFollow,
+  handleUnfollow,
+  handleChannelNotifications
+};
@@ -1,54 +1,80 @@
 const projectService = require('../../services/projectService');
+const clientService = require('../../services/clientService');
 const openaiService = require('../../services/openai');
+const userService = require('../../services/userService');
 const logger = require('../../config/logger');
+const { formatTeam } = require('../blocks/memberInputs');
+const { BUDGET_INPUTS, formatHours, formatBurn } = require('../blocks/budgetInputs');
+const { formatRecurrence } = require('../blocks/recurrenceInputs');
+const { formatRisk } = require('../blocks/riskInputs');
+const { formatHealthBadge, formatHealth, formatHealthTrend } = require('../blocks/healthBadge');
+const { buildReplyButton } = require('./updateComments');
+const { buildEditUpdateButton, buildDeleteUpdateButton, formatUpdateSource } = require('./projectUpdate');
+const { buildFollowButtons } = require('./projectFollow');
 
 const projectListCommand = async ({ command, ack, respond, client, body }) => {
   await ack();
 
   try {
-    // Get channel information to detect if this is a client channel
+    // Detect a client channel by the channel bound to a client record
     let channelInfo = null;
     let autoDetectedClient = null;
     
     try {
+      autoDetectedClient = await clientService.getClientByChannelId(command.channel_id);
+
       const channelResult = await client.conversations.info({
         channel: command.channel_id
       });
       
       if (channelResult.ok && channelResult.channel) {
         channelInfo = channelResult.channel;
-        
-        // Check if this is a client channel (starts with 'client-')
-        if (channelInfo.name && channelInfo.name.startsWith('client-')) {
-          // Extract client name and format it
-          const rawClientName = channelInfo.name.replace('client-', '');
-          autoDetectedClient = rawClientName
-            .split('-')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(' ');
-        }
       }
     } catch (error) {
       logger.warn('Could not fetch channel info:', error);
     }
 
-    // Parse command text for explicit client filter or override
-    const commandText = command.text ? command.text.trim() : '';
+    // Parse command text for explicit client filter or override.
+    // `--archived` can be combined with any filter to include archived projects.
+    const rawCommandText = command.text ? command.text.trim() : '';
+    const includeArchived = /(^|\s)--archived(\s|$)/i.test(rawCommandText);
+    const commandText = rawCommandText.replace(/(^|\s)--archived(?=\s|$)/ig, ' ').trim();
+    const archivedFilter = includeArchived ? { includeArchived: true } : {};
+    let clientFilter = null;
     let clientNameFilter = '';
     let filterMessage = '';
     let isAutoDetected = false;
+    let memberFilter = null;
+    const showMine = commandText.toLowerCase() === 'mine';
     
-    if (commandText.toLowerCase() === 'all') {
+    if (showMine) {
+      // Projects I lead or am a team member of
+      const currentUser = await userService.getUserBySlackId(command.user_id);
+      memberFilter = currentUser ? currentUser.id : null;
+      filterMessage = ' (my projects)';
+    } else if (commandText.toLowerCase() === 'all') {
       // Explicit override to show all projects
       clientNameFilter = '';
       filterMessage = ' (showing all clients)';
     } else if (commandText) {
-      // Explicit client name provided
-      clientNameFilter = commandText;
+      // Explicit client name provided; matches canonical names and aliases
+      clientNameFilter = commandText.replace(/^["']|["']$/g, '');
+      clientFilter = await clientService.findClientByName(clientNameFilter);
+
+      if (!clientFilter) {
+        await respond({
+          text: `📋 No client found matching "${clientNameFilter}". Use \`/project-list\` without parameters to see all projects.`,
+          response_type: "ephemeral"
+        });
+        return;
+      }
+
+      clientNameFilter = clientFilter.name;
       filterMessage = ` for client "${clientNameFilter}"`;
     } else if (autoDetectedClient) {
-      // Auto-detect from client channel
-      clientNameFilter = autoDetectedClient;
+      // Auto-detect from the channel bound to a client
+      clientFilter = autoDetectedClient;
+      clientNameFilter = autoDetectedClient.name;
       filterMessage = ` for client "${clientNameFilter}"`;
       isAutoDetected = true;
     }
@@ -56,8 +82,8 @@ const projectListCommand = async ({ command, ack, respond, client, body }) => {
     // Get projects - filter by client if specified
     let projects;
     
-    if (clientNameFilter) {
-      projects = await projectService.getAllProjects({ clientName: clientNameFilter });
+    if (clientFilter) {
+      projects = await projectService.getAllProjects({ clientId: clientFilter.id, ...archivedFilter });
       
       if (projects.length === 0) {
         const helpText = isAutoDetected 
@@ -70,8 +96,18 @@ const projectListCommand = async ({ command, ack, respond, client, body }) => {
         });
         return;
       }
+    } else if (showMine) {
+      projects = memberFilter ? await projectService.getAllProjects({ memberId: memberFilter, ...archivedFilter }) : [];
+
+      if (projects.length === 0) {
+        await respond({
+          text: "📋 You're not the lead or a team member on any projects yet. Use `/project-list` to see all projects.",
+          response_type: "ephemeral"
+        });
+        return;
+      }
     } else {
-      projects = await projectService.getAllProjects();
+      projects = await projectService.getAllProjects(archivedFilter);
       
       if (projects.length === 0) {
         await respond({
@@ -82,8 +118,13 @@ const projectListCommand = async ({ command, ack, respond, client, body }) => {
       }
     }
 
-    // Get project statistics (for the filtered set if client specified)
-    const stats = clientNameFilter 
+    if (includeArchived) {
+      filterMessage += ' (including archived)';
+    }
+
+    // Get project statistics (for the filtered set if client or member specified,
+    // or when archived projects are included)
+    const stats = clientNameFilter || showMine || includeArchived
       ? {
           total: projects.length,
           active: projects.filter(p => ['PLANNING', 'IN_PROGRESS'].includes(p.status)).length,
@@ -120,7 +161,8 @@ const projectListCommand = async ({ command, ack, respond, client, body }) => {
       'CANCELLED': []
     };
 
-    projects.forEach(project => {
+    // Worst health first within each status
+    projectService.sortByHealth(projects).forEach(project => {
       projectsByStatus[project.status].push(project);
     });
 
@@ -163,9 +205,20 @@ const projectListCommand = async ({ command, ack, respond, client, body }) => {
             ? `Last update: ${new Date(project.updates[0].createdAt).toLocaleDateString()}`
             : 'No updates yet';
 
-          const projectText = `*${project.name}* (${project.clientName})\n` +
+          const archivedText = project.archivedAt
+            ? ` 🗄️ _archived ${new Date(project.archivedAt).toLocaleDateString()}_`
+            : '';
+          const recurringText = project.recurrence ? ' 🔁' : '';
+          const healthBadge = formatHealthBadge(projectService.calculateHealth(project));
+
+          const openBlockers = projectService.getOpenBlockers(project);
+          const blockedText = openBlockers.length > 0
+            ? `\n⛔ Blocked by ${openBlockers.map(blocker => blocker.name).join(', ')}`
+            : '';
+
+          const projectText = `${healthBadge ? `${healthBadge} ` : ''}*${project.name}* (${project.clientName})${recurringText}${archivedText}\n` +
                              `👤 ${assigneeText} | 📅 ${deadlineText}\n` +
-                             `${lastUpdateText}`;
+                             `${lastUpdateText}${blockedText}`;
 
           blocks.push({
             type: "section",
@@ -243,7 +296,7 @@ const projectListCommand = async ({ command, ack, respond, client, body }) => {
     if (clientNameFilter) {
       let helpText;
       if (isAutoDetected) {
-        helpText = `💡 _Auto-filtered for "${clientNameFilter}" (from #${channelInfo.name}). Use \`/project-list all\` to see all projects or \`/project-list "Other Client"\` to filter by a different client._`;
+        helpText = `💡 _Auto-filtered for "${clientNameFilter}" (from ${channelInfo ? `#${channelInfo.name}` : 'this channel'}). Use \`/project-list all\` to see all projects or \`/project-list "Other Client"\` to filter by a different client._`;
       } else if (commandText.toLowerCase() === 'all') {
         helpText = `💡 _Showing all projects. Use \`/project-list "Client Name"\` to filter by a specific client._`;
       } else {
@@ -305,6 +358,10 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
 
     // Generate AI summary for this specific project
     const aiSummary = await openaiService.generateProjectDetailSummary(project);
+    const viewer = await userService.getUserBySlackId(body.user.id);
+    const following = viewer ? await projectService.isFollowing(projectId, viewer.id) : false;
+    const health = projectService.calculateHealth(project);
+    const healthTrend = health ? await projectService.getHealthTrend(projectId) : [];
 
     // Format project details
     const assigneeText = project.assignee ? project.assignee.name : 'No Project Lead';
@@ -323,6 +380,15 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
           text: `📋 *${project.name}*\n*Client:* ${project.clientName}`
         }
       },
+      ...(project.archivedAt ? [{
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `🗄️ _Archived on ${new Date(project.archivedAt).toLocaleDateString()}. Use \`/project-archive restore\` to bring it back._`
+          }
+        ]
+      }] : []),
       {
         type: "section",
         text: {
@@ -356,6 +422,100 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
       }
     ];
 
+    // Add the health score with its daily trend
+    if (health) {
+      const trendText = healthTrend.length > 1 ? `\nLast ${healthTrend.length} days: ${formatHealthTrend(healthTrend)}` : '';
+      detailBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Health:* ${formatHealth(health)}${trendText}`
+        }
+      });
+    }
+
+    // Add team members if any
+    if (project.members.length > 0) {
+      detailBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Team:*\n${formatTeam(project.members)}`
+        }
+      });
+    }
+
+    // Add budget burn if the project has a budget or logged time
+    const burn = projectService.calculateBurn(project);
+    const burnText = formatBurn(burn);
+    if (burnText || burn.hoursLogged > 0) {
+      detailBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Budget:* ${burnText || `${formatHours(burn.hoursLogged)} logged (no budget set)`}`
+        }
+      });
+    }
+
+    // Add the recurrence schedule and links between instances if any
+    const recurrenceText = formatRecurrence(project);
+    if (recurrenceText || project.previousInstance || project.nextInstance) {
+      const recurrenceLines = [
+        recurrenceText,
+        project.previousInstance ? `⬅️ Previous: ${project.previousInstance.name}` : null,
+        project.nextInstance ? `➡️ Next: ${project.nextInstance.name}` : null
+      ].filter(Boolean);
+
+      detailBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Repeats:*\n${recurrenceLines.join('\n')}`
+        }
+      });
+    }
+
+    // Add open risks if any, most severe first
+    if (project.risks.length > 0) {
+      const severityOrder = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+      const openRisks = [...project.risks].sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+      detailBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Open Risks (${openRisks.length}):*\n${openRisks.map(formatRisk).join('\n')}`
+        }
+      });
+    }
+
+    // Add dependencies if any
+    if (project.blockedBy.length > 0 || project.blocks.length > 0) {
+      const formatDependency = (dependencyProject) =>
+        `${dependencyProject.status === 'COMPLETED' ? '✅' : '⛔'} ${dependencyProject.name} (${dependencyProject.status.replace('_', ' ')})`;
+      const dependencyFields = [];
+
+      if (project.blockedBy.length > 0) {
+        dependencyFields.push({
+          type: "mrkdwn",
+          text: `*Blocked By:*\n${project.blockedBy.map(dependency => formatDependency(dependency.blocker)).join('\n')}`
+        });
+      }
+
+      if (project.blocks.length > 0) {
+        dependencyFields.push({
+          type: "mrkdwn",
+          text: `*Blocks:*\n${project.blocks.map(dependency => `• ${dependency.blocked.name}`).join('\n')}`
+        });
+      }
+
+      detailBlocks.push({
+        type: "section",
+        fields: dependencyFields
+      });
+    }
+
     // Add description if available
     if (project.description) {
       detailBlocks.push({
@@ -367,6 +527,31 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
       });
     }
 
+    // Add task progress and milestones if the project has a plan
+    const progress = projectService.calculateCompletion(project.tasks);
+    if (progress.total > 0 || project.milestones.length > 0) {
+      const progressText = progress.total > 0
+        ? `${progress.percentage}% complete (${progress.completed}/${progress.total} tasks)`
+        : 'No tasks yet';
+
+      const milestoneText = project.milestones.map(milestone => {
+        const milestoneProgress = projectService.calculateCompletion(
+          project.tasks.filter(task => task.milestoneId === milestone.id)
+        );
+        const dueText = milestone.dueDate ? ` - due ${new Date(milestone.dueDate).toLocaleDateString()}` : '';
+        const countText = milestoneProgress.total > 0 ? ` (${milestoneProgress.completed}/${milestoneProgress.total})` : '';
+        return `${milestone.completedAt ? '✅' : '🏁'} ${milestone.name}${dueText}${countText}`;
+      }).join('\n');
+
+      detailBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Progress:* ${progressText}${milestoneText ? `\n${milestoneText}` : ''}`
+        }
+      });
+    }
+
     // Add recent updates
     if (project.updates && project.updates.length > 0) {
       detailBlocks.push({
@@ -383,9 +568,17 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `*${update.user.name}* - ${updateDate}\n${update.content}`
+            text: `*${update.user.name}* - ${updateDate}${update.editedAt ? ' _(edited)_' : ''}\n${update.content}${update.sourcePermalink ? `\n${formatUpdateSource(update)}` : ''}`
           }
         });
+        detailBlocks.push({
+          type: "actions",
+          elements: [
+            buildReplyButton(update.id, update._count ? update._count.comments : 0),
+            buildEditUpdateButton(update.id),
+            buildDeleteUpdateButton(update.id)
+          ]
+        });
 
         // Add AI analysis if available
         if (update.aiAnalysis && update.aiAnalysis !== "Unable to generate AI analysis at this time.") {
@@ -410,6 +603,22 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
       });
     }
 
+    detailBlocks.push({
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "📜 History"
+          },
+          action_id: "view_project_history",
+          value: project.id
+        },
+        ...buildFollowButtons(project, viewer, following)
+      ]
+    });
+
     await client.chat.postEphemeral({
       channel: body.channel.id,
       user: body.user.id,
@@ -430,6 +639,152 @@ const handleViewProjectDetails = async ({ ack, body, client }) => {
   }
 };
 
+const formatDuration = (ms) => {
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  if (hours < 24) {
+    return `${hours}h`;
+  }
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Field names of FIELD_CHANGED events, as the modals label them
+const FIELD_LABELS = {
+  name: 'Project Name',
+  clientName: 'Client',
+  description: 'Description',
+  members: 'Team',
+  blockedBy: 'Blocked By',
+  recurrence: 'Repeats',
+  ...Object.fromEntries(BUDGET_INPUTS.map(input => [input.field, input.label]))
+};
+
+// Long values (descriptions, teams) are cut so the history fits in Slack's blocks
+const MAX_EVENT_VALUE_LENGTH = 200;
+
+const truncate = (text, length) => text.length > length ? text.substring(0, length) + '...' : text;
+
+const describeProjectEvent = (event) => {
+  const formatValue = (value) => value ? value.replace('_', ' ') : 'none';
+
+  switch (event.type) {
+    case 'CREATED':
+      return `created the project as ${formatValue(event.newValue)}`;
+    case 'STATUS_CHANGED':
+      return `changed status: ${formatValue(event.oldValue)} → ${formatValue(event.newValue)}`;
+    case 'LEAD_CHANGED':
+      return `changed project lead: ${event.oldValue || 'No Project Lead'} → ${event.newValue || 'No Project Lead'}`;
+    case 'DEADLINE_CHANGED':
+      return `changed deadline: ${event.oldValue || 'none'} → ${event.newValue || 'none'}`;
+    case 'ARCHIVED':
+      return 'archived the project';
+    case 'RESTORED':
+      return 'restored the project from the archive';
+    case 'RECURRED':
+      return `started the next instance: ${event.newValue}`;
+    case 'DELETED':
+      return 'deleted the project';
+    case 'APPROVAL_REQUESTED':
+      return `asked for approval to change status: ${formatValue(event.oldValue)} → ${formatValue(event.newValue)}`;
+    case 'APPROVAL_APPROVED':
+      return `approved the status change: ${formatValue(event.oldValue)} → ${formatValue(event.newValue)}`;
+    case 'APPROVAL_REJECTED':
+      return `rejected the status change: ${formatValue(event.oldValue)} → ${formatValue(event.newValue)}`;
+    default:
+      return `changed ${FIELD_LABELS[event.field] || event.field}: ${truncate(event.oldValue || 'none', MAX_EVENT_VALUE_LENGTH)} → ${truncate(event.newValue || 'none', MAX_EVENT_VALUE_LENGTH)}`;
+  }
+};
+
+// Handle history view for a single project
+const handleViewProjectHistory = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].value;
+    const project = await projectService.getProject(projectId);
+
+    if (!project) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "❌ Project not found."
+      });
+      return;
+    }
+
+    const [events, durations] = await Promise.all([
+      projectService.getProjectHistory(projectId, 20),
+      projectService.getStatusDurations(projectId)
+    ]);
+
+    const durationText = Object.entries(durations)
+      .map(([status, ms]) => `*${status.replace('_', ' ')}:* ${formatDuration(ms)}`)
+      .join(' | ');
+
+    const historyBlocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `📜 *History for ${project.name}*`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `⏱️ Time in status: ${durationText}`
+          }
+        ]
+      },
+      {
+        type: "divider"
+      }
+    ];
+
+    if (events.length > 0) {
+      // One block per event keeps each within Slack's text limit
+      events.forEach(event => {
+        const eventDate = new Date(event.createdAt).toLocaleString();
+        const actor = event.user ? event.user.name : 'Someone';
+        historyBlocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `• ${eventDate} - *${actor}* ${describeProjectEvent(event)}`
+          }
+        });
+      });
+    } else {
+      historyBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "No changes recorded yet."
+        }
+      });
+    }
+
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `📜 ${project.name} - History`,
+      blocks: historyBlocks
+    });
+
+    logger.info('Project history viewed', { projectId, userId: body.user.id });
+
+  } catch (error) {
+    logger.error('Error showing project history:', error);
+
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: "❌ Error loading project history."
+    });
+  }
+};
+
 // Handle statistics view
 const handleViewProjectStats = async ({ ack, body, client }) => {
   await ack();
@@ -526,5 +881,6 @@ const handleViewProjectStats = async ({ ack, body, client }) => {
 module.exports = {
   command: projectListCommand,
   handleViewProjectDetails,
+  handleViewProjectHistory,
   handleViewProjectStats
 }; 
\ No newline at end of file
@@ -0,0 +1,264 @@
+const projectService = require('../../services/projectService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { formatHours, formatBurn } = require('../blocks/budgetInputs');
+const { MAX_SELECT_OPTIONS } = require('../blocks/selectOptions');
+
+const buildLogTimeModal = (projects, selectedProject = null) => {
+  const projectOptions = projects.slice(0, MAX_SELECT_OPTIONS).map(project => ({
+    text: {
+      type: "plain_text",
+      text: `${project.name} (${project.clientName})`.substring(0, 75)
+    },
+    value: project.id
+  }));
+
+  const selectedOption = selectedProject
+    ? projectOptions.find(option => option.value === selectedProject.id)
+    : null;
+
+  return {
+    type: "modal",
+    callback_id: "project_log_time_modal",
+    title: {
+      type: "plain_text",
+      text: "Log Time"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Log Time"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "input",
+        block_id: "project_select",
+        element: {
+          type: "static_select",
+          action_id: "project_dropdown",
+          placeholder: {
+            type: "plain_text",
+            text: "Select a project"
+          },
+          options: projectOptions,
+          ...(selectedOption && { initial_option: selectedOption })
+        },
+        label: {
+          type: "plain_text",
+          text: "Project"
+        }
+      },
+      {
+        type: "input",
+        block_id: "time_hours",
+        element: {
+          type: "plain_text_input",
+          action_id: "hours_input",
+          placeholder: {
+            type: "plain_text",
+            text: "e.g. 1.5"
+          },
+          max_length: 5
+        },
+        label: {
+          type: "plain_text",
+          text: "Hours"
+        }
+      },
+      {
+        type: "input",
+        block_id: "time_date",
+        element: {
+          type: "datepicker",
+          action_id: "date_picker",
+          initial_date: new Date().toISOString().split('T')[0]
+        },
+        label: {
+          type: "plain_text",
+          text: "Date"
+        }
+      },
+      {
+        type: "input",
+        block_id: "time_description",
+        element: {
+          type: "plain_text_input",
+          action_id: "description_input",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "What did you work on? (optional)"
+          },
+          max_length: 500
+        },
+        label: {
+          type: "plain_text",
+          text: "Description"
+        },
+        optional: true
+      }
+    ]
+  };
+};
+
+const projectLogTimeCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const projects = await projectService.getAllProjects();
+
+    if (projects.length === 0) {
+      await respond({
+        text: "📝 No projects found. Create a project first using `/project-new`.",
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    // Allow `/project-log-time Website Redesign` to preselect the project
+    const projectNameFromCommand = command.text ? command.text.trim().toLowerCase() : '';
+    const selectedProject = projectNameFromCommand
+      ? projects.find(project => project.name.toLowerCase() === projectNameFromCommand) || null
+      : null;
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildLogTimeModal(projects, selectedProject)
+    });
+
+    logger.info('Log time modal opened', {
+      userId: command.user_id,
+      projectId: selectedProject?.id || null
+    });
+
+  } catch (error) {
+    logger.error('Error opening log time modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the time logging form. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+// DM the project lead when a time entry pushes the project past 80% or 100% of budget
+const warnProjectLead = async (client, project, burn, threshold) => {
+  try {
+    if (!project.assignee) {
+      return;
+    }
+
+    const headline = threshold >= 100
+      ? `🔴 *"${project.name}" is over budget*`
+      : `🟠 *"${project.name}" has used ${burn.percentage}% of its budget*`;
+
+    await client.chat.postMessage({
+      channel: project.assignee.slackUserId,
+      text: `Budget warning for "${project.name}"`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${headline} (${project.clientName})\n${formatBurn(burn)}`
+          },
+          accessory: {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "View Details"
+            },
+            action_id: "view_project_details",
+            value: project.id
+          }
+        }
+      ]
+    });
+
+    logger.info('Project lead warned about budget', { projectId: project.id, threshold });
+  } catch (error) {
+    // Warning failures shouldn't fail the time entry itself
+    logger.error('Error sending budget warning:', error);
+  }
+};
+
+const handleLogTimeSubmission = async ({ ack, body, view, client }) => {
+  try {
+    const values = view.state.values;
+
+    const projectId = values.project_select.project_dropdown.selected_option?.value;
+    const hours = Number((values.time_hours.hours_input.value || '').replace(',', '.'));
+    const date = values.time_date.date_picker.selected_date;
+    const description = values.time_description?.description_input?.value || null;
+
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          time_hours: 'Please enter a number of hours between 0 and 24'
+        }
+      });
+      return;
+    }
+
+    await ack();
+
+    const user = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+
+    const { project, burn, crossedThreshold } = await projectService.logTime(projectId, user.id, {
+      hours,
+      date,
+      description
+    });
+
+    const burnText = formatBurn(burn) || `${formatHours(burn.hoursLogged)} logged in total (no budget set)`;
+    const warningText = crossedThreshold
+      ? `\n⚠️ This entry took the project past ${crossedThreshold}% of its budget${project.assignee ? `; ${project.assignee.name} has been notified` : ''}.`
+      : '';
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `⏱️ Logged ${formatHours(hours)} on "${project.name}"`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `⏱️ *Logged ${formatHours(hours)} on "${project.name}"* (${new Date(date).toLocaleDateString()})${description ? `\n${description}` : ''}`
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `*Budget:* ${burnText}${warningText}`
+            }
+          ]
+        }
+      ]
+    });
+
+    if (crossedThreshold && project.assignee && project.assignee.id !== user.id) {
+      await warnProjectLead(client, project, burn, crossedThreshold);
+    }
+
+  } catch (error) {
+    logger.error('Error logging time:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error logging time: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectLogTimeCommand,
+  handleSubmission: handleLogTimeSubmission
+};
@@ -1,6 +1,229 @@
 const projectService = require('../../services/projectService');
+const clientService = require('../../services/clientService');
+const templateService = require('../../services/templateService');
 const userService = require('../../services/userService');
 const logger = require('../../config/logger');
+const { buildMemberInputBlocks, resolveMemberSelections, formatTeam } = require('../blocks/memberInputs');
+const { buildBudgetInputBlocks, extractBudgetValues, formatBurn } = require('../blocks/budgetInputs');
+const { buildRecurrenceInputBlocks, extractRecurrenceValues, formatRecurrence } = require('../blocks/recurrenceInputs');
+
+const STATUS_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Planning"
+    },
+    value: "PLANNING"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "In Progress"
+    },
+    value: "IN_PROGRESS"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "On Hold"
+    },
+    value: "ON_HOLD"
+  }
+];
+
+// Description, status and deadline block IDs are keyed by template so picking
+// a template replaces what was pre-filled; every other input keeps its value
+const getTemplateKey = (templateId) => templateId ? `_${templateId}` : '';
+
+const buildProjectNewModal = ({ projectName = '', clientOptions, userOptions, defaultProjectLead = null, templates = [], template = null }) => {
+  const templateKey = getTemplateKey(template?.id);
+  const defaultDeadline = template ? templateService.getDefaultDeadline(template) : null;
+  const templateOptions = [
+    {
+      text: {
+        type: "plain_text",
+        text: "No template"
+      },
+      value: "none"
+    },
+    ...templates.map(templateRecord => ({
+      text: {
+        type: "plain_text",
+        text: templateRecord.name.substring(0, 75)
+      },
+      value: templateRecord.id
+    }))
+  ];
+
+  return {
+    type: "modal",
+    callback_id: "project_new_modal",
+    private_metadata: JSON.stringify({ templateId: template ? template.id : null }),
+    title: {
+      type: "plain_text",
+      text: "Create New Project"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Create Project"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "section",
+        block_id: "project_template",
+        text: {
+          type: "mrkdwn",
+          text: templates.length > 0
+            ? "*Template*\nStart from a template to pre-fill the description, status, deadline and tasks:"
+            : "*Template*\nNo templates yet. Create one with `/project-template`."
+        },
+        ...(templates.length > 0 && {
+          accessory: {
+            type: "static_select",
+            action_id: "project_template_select",
+            options: templateOptions,
+            initial_option: templateOptions.find(option => option.value === (template ? template.id : 'none'))
+          }
+        })
+      },
+      {
+        type: "input",
+        block_id: "project_name",
+        element: {
+          type: "plain_text_input",
+          action_id: "name_input",
+          placeholder: {
+            type: "plain_text",
+            text: "Enter project name"
+          },
+          max_length: 100,
+          ...(projectName && { initial_value: projectName })
+        },
+        label: {
+          type: "plain_text",
+          text: "Project Name"
+        }
+      },
+      {
+        type: "input",
+        block_id: "client_select",
+        element: {
+          type: "static_select",
+          action_id: "client_dropdown",
+          placeholder: {
+            type: "plain_text",
+            text: "Select a client"
+          },
+          options: clientOptions
+        },
+        label: {
+          type: "plain_text",
+          text: "Client"
+        }
+      },
+      {
+        type: "input",
+        block_id: "client_name_other",
+        element: {
+          type: "plain_text_input",
+          action_id: "client_other_input",
+          placeholder: {
+            type: "plain_text",
+            text: "Enter client name"
+          },
+          max_length: 100
+        },
+        label: {
+          type: "plain_text",
+          text: "Client Name (if Other selected above)"
+        },
+        optional: true
+      },
+      {
+        type: "input",
+        block_id: `project_description${templateKey}`,
+        element: {
+          type: "plain_text_input",
+          action_id: "description_input",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "Enter project description (optional)"
+          },
+          max_length: 500,
+          ...(template?.description && { initial_value: template.description })
+        },
+        label: {
+          type: "plain_text",
+          text: "Description"
+        },
+        optional: true
+      },
+      {
+        type: "input",
+        block_id: `project_status${templateKey}`,
+        element: {
+          type: "static_select",
+          action_id: "status_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select project status"
+          },
+          options: STATUS_OPTIONS,
+          initial_option: STATUS_OPTIONS.find(option => option.value === (template ? template.defaultStatus : 'PLANNING'))
+        },
+        label: {
+          type: "plain_text",
+          text: "Status"
+        }
+      },
+      {
+        type: "input",
+        block_id: "assigned_to",
+        element: {
+          type: "static_select",
+          action_id: "assignee_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select project lead"
+          },
+          options: userOptions,
+          ...(defaultProjectLead && { initial_option: defaultProjectLead })
+        },
+        label: {
+          type: "plain_text",
+          text: "Project Lead"
+        },
+        optional: true
+      },
+      ...buildMemberInputBlocks(),
+      {
+        type: "input",
+        block_id: `project_deadline${templateKey}`,
+        element: {
+          type: "datepicker",
+          action_id: "deadline_picker",
+          placeholder: {
+            type: "plain_text",
+            text: "Select deadline"
+          },
+          ...(defaultDeadline && { initial_date: defaultDeadline })
+        },
+        label: {
+          type: "plain_text",
+          text: "Deadline"
+        },
+        optional: true
+      },
+      ...buildBudgetInputBlocks(),
+      ...buildRecurrenceInputBlocks()
+    ]
+  };
+};
 
 const projectNewCommand = async ({ command, ack, respond, client, body, slackService }) => {
   const startTime = Date.now();
@@ -17,12 +240,12 @@ const projectNewCommand = async ({ command, ack, respond, client, body, slackSer
     // Get current user info to set as default project lead
     const currentUser = await slackService.getUserInfo(command.user_id);
     
-    // Get client channels for client dropdown
-    const clientChannels = await slackService.getClientChannels();
+    // Client channels are bound to client records at startup and after the
+    // modal opens, so only the records are needed here
+    const clients = await clientService.getAllClients({ status: 'ACTIVE' });
     
-    logger.info('Client channels retrieved for project creation', { 
-      count: clientChannels.length, 
-      channels: clientChannels.map(c => c.displayName) 
+    logger.info('Clients retrieved for project creation', { 
+      count: clients.length
     });
     
     // Create user options from workspace users
@@ -43,16 +266,16 @@ const projectNewCommand = async ({ command, ack, respond, client, body, slackSer
       value: "unassigned"
     });
 
-    // Create client options from client channels
-    const clientOptions = clientChannels.map(client => ({
+    // Create client options from client records
+    const clientOptions = clients.map(clientRecord => ({
       text: {
         type: "plain_text",
-        text: client.displayName
+        text: clientRecord.name
       },
-      value: client.name
+      value: clientRecord.id
     }));
 
-    // Add "Other" option for clients not in channels
+    // Add "Other" option for new clients
     clientOptions.push({
       text: {
         type: "plain_text",
@@ -67,7 +290,7 @@ const projectNewCommand = async ({ command, ack, respond, client, body, slackSer
       clientOptions.unshift({
         text: {
           type: "plain_text",
-          text: "No client channels found - use Other"
+          text: "No clients found - use Other"
         },
         value: "no_clients"
       });
@@ -76,178 +299,15 @@ const projectNewCommand = async ({ command, ack, respond, client, body, slackSer
     // Find default project lead (current user)
     const defaultProjectLead = currentUser ? userOptions.find(option => option.value === currentUser.id) : null;
 
-    const modal = {
-      type: "modal",
-      callback_id: "project_new_modal",
-      title: {
-        type: "plain_text",
-        text: "Create New Project"
-      },
-      submit: {
-        type: "plain_text",
-        text: "Create Project"
-      },
-      close: {
-        type: "plain_text",
-        text: "Cancel"
-      },
-      blocks: [
-        {
-          type: "input",
-          block_id: "project_name",
-          element: {
-            type: "plain_text_input",
-            action_id: "name_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter project name"
-            },
-            max_length: 100,
-            ...(projectNameFromCommand && { initial_value: projectNameFromCommand })
-          },
-          label: {
-            type: "plain_text",
-            text: "Project Name"
-          }
-        },
-        {
-          type: "input",
-          block_id: "client_select",
-          element: {
-            type: "static_select",
-            action_id: "client_dropdown",
-            placeholder: {
-              type: "plain_text",
-              text: "Select a client"
-            },
-            options: clientOptions
-          },
-          label: {
-            type: "plain_text",
-            text: "Client"
-          }
-        },
-        {
-          type: "input",
-          block_id: "client_name_other",
-          element: {
-            type: "plain_text_input",
-            action_id: "client_other_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter client name"
-            },
-            max_length: 100
-          },
-          label: {
-            type: "plain_text",
-            text: "Client Name (if Other selected above)"
-          },
-          optional: true
-        },
-        {
-          type: "input",
-          block_id: "project_description",
-          element: {
-            type: "plain_text_input",
-            action_id: "description_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Enter project description (optional)"
-            },
-            max_length: 500
-          },
-          label: {
-            type: "plain_text",
-            text: "Description"
-          },
-          optional: true
-        },
-        {
-          type: "input",
-          block_id: "project_status",
-          element: {
-            type: "static_select",
-            action_id: "status_select",
-            placeholder: {
-              type: "plain_text",
-              text: "Select project status"
-            },
-            options: [
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Planning"
-                },
-                value: "PLANNING"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "In Progress"
-                },
-                value: "IN_PROGRESS"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "On Hold"
-                },
-                value: "ON_HOLD"
-              }
-            ],
-            initial_option: {
-              text: {
-                type: "plain_text",
-                text: "Planning"
-              },
-              value: "PLANNING"
-            }
-          },
-          label: {
-            type: "plain_text",
-            text: "Status"
-          }
-        },
-        {
-          type: "input",
-          block_id: "assigned_to",
-          element: {
-            type: "static_select",
-            action_id: "assignee_select",
-            placeholder: {
-              type: "plain_text",
-              text: "Select project lead"
-            },
-            options: userOptions,
-            ...(defaultProjectLead && { initial_option: defaultProjectLead })
-          },
-          label: {
-            type: "plain_text",
-            text: "Project Lead"
-          },
-          optional: true
-        },
-        {
-          type: "input",
-          block_id: "project_deadline",
-          element: {
-            type: "datepicker",
-            action_id: "deadline_picker",
-            placeholder: {
-              type: "plain_text",
-              text: "Select deadline"
-            }
-          },
-          label: {
-            type: "plain_text",
-            text: "Deadline"
-          },
-          optional: true
-        }
-      ]
-    };
+    const templates = await templateService.getAllTemplates();
+
+    const modal = buildProjectNewModal({
+      projectName: projectNameFromCommand,
+      clientOptions,
+      userOptions,
+      defaultProjectLead,
+      templates
+    });
 
     await client.views.open({
       trigger_id: body.trigger_id,
@@ -260,6 +320,14 @@ const projectNewCommand = async ({ command, ack, respond, client, body, slackSer
       responseTime: `${responseTime}ms` 
     });
 
+    // Give client channels created since then a client record, outside the
+    // trigger_id window; they are offered from the next /project-new
+    try {
+      await clientService.syncClientChannels(await slackService.getClientChannels());
+    } catch (error) {
+      logger.warn('Could not sync client channels', { error: error.message });
+    }
+
   } catch (error) {
     const responseTime = Date.now() - startTime;
     logger.error('Error opening project creation modal:', { 
@@ -274,18 +342,56 @@ const projectNewCommand = async ({ command, ack, respond, client, body, slackSer
   }
 };
 
+// Rebuild the modal pre-filled from the picked template. Client and lead
+// options are reused from the open view to avoid another Slack users lookup.
+const handleTemplateSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const selectedValue = body.actions[0].selected_option.value;
+    const [templates, template] = await Promise.all([
+      templateService.getAllTemplates(),
+      selectedValue === 'none' ? null : templateService.getTemplate(selectedValue)
+    ]);
+
+    const findBlock = (blockId) => body.view.blocks.find(block => block.block_id === blockId);
+    const values = body.view.state.values;
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildProjectNewModal({
+        projectName: values.project_name?.name_input?.value || '',
+        clientOptions: findBlock('client_select').element.options,
+        userOptions: findBlock('assigned_to').element.options,
+        defaultProjectLead: values.assigned_to?.assignee_select?.selected_option || null,
+        templates,
+        template
+      })
+    });
+
+    logger.info('Project template applied', { templateId: template?.id || null, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error applying project template:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
 const handleProjectNewSubmission = async ({ ack, body, view, client, slackService }) => {
   try {
     const values = view.state.values;
+    const { templateId } = JSON.parse(view.private_metadata || '{}');
+    const templateKey = getTemplateKey(templateId);
     
     // Extract form data
     const selectedClient = values.client_select.client_dropdown.selected_option.value;
-    const clientName = (selectedClient === 'other' || selectedClient === 'no_clients')
-      ? values.client_name_other?.client_other_input?.value 
-      : selectedClient;
+    const isOtherClient = selectedClient === 'other' || selectedClient === 'no_clients';
+    const otherClientName = values.client_name_other?.client_other_input?.value;
 
     // Validate client name
-    if ((selectedClient === 'other' || selectedClient === 'no_clients') && (!clientName || clientName.trim() === '')) {
+    if (isOtherClient && (!otherClientName || otherClientName.trim() === '')) {
       // Return validation error
       await ack({
         response_action: 'errors',
@@ -296,23 +402,41 @@ const handleProjectNewSubmission = async ({ ack, body, view, client, slackServic
       return;
     }
 
+    // Validate budget fields and the recurrence schedule
+    const { budget, errors: budgetErrors } = extractBudgetValues(values);
+    const { recurrence, errors: recurrenceErrors } = extractRecurrenceValues(values);
+    if (Object.keys(budgetErrors).length > 0 || Object.keys(recurrenceErrors).length > 0) {
+      await ack({
+        response_action: 'errors',
+        errors: { ...budgetErrors, ...recurrenceErrors }
+      });
+      return;
+    }
+
     // Acknowledge the submission after validation
     await ack();
 
-    // Format client name for display
-    const displayClientName = (selectedClient === 'other' || selectedClient === 'no_clients')
-      ? clientName.trim()
-      : clientName.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    // Resolve the client record; a typed name matches existing clients by name or alias
+    const clientRecord = isOtherClient
+      ? await clientService.findOrCreateClient(otherClientName)
+      : await clientService.getClient(selectedClient);
+
+    if (!clientRecord) {
+      throw new Error('Client not found');
+    }
 
     const projectData = {
       name: values.project_name.name_input.value,
-      clientName: displayClientName,
-      description: values.project_description?.description_input?.value || null,
-      status: values.project_status.status_select.selected_option.value,
+      clientId: clientRecord.id,
+      clientName: clientRecord.name,
+      description: values[`project_description${templateKey}`]?.description_input?.value || null,
+      status: values[`project_status${templateKey}`].status_select.selected_option.value,
       assignedTo: values.assigned_to?.assignee_select?.selected_option?.value === 'unassigned' 
         ? null 
         : values.assigned_to?.assignee_select?.selected_option?.value,
-      deadline: values.project_deadline?.deadline_picker?.selected_date || null
+      deadline: values[`project_deadline${templateKey}`]?.deadline_picker?.selected_date || null,
+      ...budget,
+      ...recurrence
     };
 
     // Ensure creator exists in database
@@ -341,7 +465,18 @@ const handleProjectNewSubmission = async ({ ack, body, view, client, slackServic
     };
 
     // Create the project
-    const project = await projectService.createProject(finalProjectData, body.user.id);
+    const project = await projectService.createProject(finalProjectData, creator.id);
+
+    // Add team members picked per role
+    const membersByRole = await resolveMemberSelections(values, slackService);
+    const members = await projectService.setProjectMembers(project.id, membersByRole, creator.id);
+
+    // Create the template's default tasks
+    const template = templateId ? await templateService.getTemplate(templateId) : null;
+    const templateTasks = template ? template.defaultTasks : [];
+    for (const title of templateTasks) {
+      await projectService.createTask(project.id, { title });
+    }
 
     // Format deadline for display
     const deadlineText = project.deadline 
@@ -385,6 +520,38 @@ const handleProjectNewSubmission = async ({ ack, body, view, client, slackServic
       }
     ];
 
+    if (members.length > 0) {
+      confirmationBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Team:*\n${formatTeam(members)}`
+        }
+      });
+    }
+
+    const burnText = formatBurn(projectService.calculateBurn(project));
+    if (burnText) {
+      confirmationBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Budget:*\n${burnText}`
+        }
+      });
+    }
+
+    const recurrenceText = formatRecurrence(project);
+    if (recurrenceText) {
+      confirmationBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Repeats:*\n${recurrenceText}`
+        }
+      });
+    }
+
     if (project.description) {
       confirmationBlocks.push({
         type: "section",
@@ -395,6 +562,18 @@ const handleProjectNewSubmission = async ({ ack, body, view, client, slackServic
       });
     }
 
+    if (templateTasks.length > 0) {
+      confirmationBlocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `📋 Created from the *${template.name}* template with ${templateTasks.length} task${templateTasks.length > 1 ? 's' : ''}. Use \`/project-tasks ${project.name}\` to manage them.`
+          }
+        ]
+      });
+    }
+
     await client.chat.postMessage({
       channel: body.user.id, // Send as DM
       text: `✅ Project "${project.name}" created successfully!`,
@@ -403,7 +582,8 @@ const handleProjectNewSubmission = async ({ ack, body, view, client, slackServic
 
     logger.info('Project created successfully', { 
       projectId: project.id, 
-      createdBy: body.user.id 
+      createdBy: body.user.id,
+      templateId: template?.id || null
     });
 
   } catch (error) {
@@ -419,5 +599,6 @@ const handleProjectNewSubmission = async ({ ack, body, view, client, slackServic
 
 module.exports = {
   command: projectNewCommand,
-  handleSubmission: handleProjectNewSubmission
+  handleSubmission: handleProjectNewSubmission,
+  handleTemplateSelection
 }; 
\ No newline at end of file
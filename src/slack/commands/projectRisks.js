@@ -0,0 +1,474 @@
+const projectService = require('../../services/projectService');
+const riskService = require('../../services/riskService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { SEVERITY_OPTIONS, buildRiskInputBlocks, extractRiskValues, formatRisk } = require('../blocks/riskInputs');
+
+// Slack rejects views with more than 100 blocks; leave room for the form inputs
+const MAX_RISK_BLOCKS = 80;
+
+const STATUS_LABELS = {
+  OPEN: 'Open',
+  MITIGATED: 'Mitigated',
+  CLOSED: 'Closed'
+};
+
+const buildRiskBlock = (risk) => {
+  const statusOptions = {
+    OPEN: [
+      { label: "Mark mitigated", value: `mitigate:${risk.id}` },
+      { label: "Close", value: `close:${risk.id}` }
+    ],
+    MITIGATED: [
+      { label: "Close", value: `close:${risk.id}` },
+      { label: "Reopen", value: `reopen:${risk.id}` }
+    ],
+    CLOSED: [
+      { label: "Reopen", value: `reopen:${risk.id}` }
+    ]
+  }[risk.status];
+
+  const severityOptions = SEVERITY_OPTIONS
+    .filter(option => option.value !== risk.severity)
+    .map(option => ({ label: `Severity: ${option.text.text}`, value: `severity-${option.value}:${risk.id}` }));
+
+  const titleText = risk.status === 'OPEN' ? formatRisk(risk) : `~${formatRisk(risk)}~ _(${STATUS_LABELS[risk.status].toLowerCase()})_`;
+  const sourceText = risk.sourceUpdateId ? ' • 🤖 from an update' : '';
+
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `${titleText}${sourceText}`
+    },
+    accessory: {
+      type: "overflow",
+      action_id: "risk_overflow",
+      options: [
+        ...statusOptions,
+        ...severityOptions,
+        { label: "Delete", value: `delete:${risk.id}` }
+      ].map(option => ({
+        text: {
+          type: "plain_text",
+          text: option.label
+        },
+        value: option.value
+      }))
+    }
+  };
+};
+
+const buildRisksModal = (projects, project = null, risks = null) => {
+  const projectOptions = projects.map(p => ({
+    text: {
+      type: "plain_text",
+      text: `${p.name} (${p.clientName})`.substring(0, 75)
+    },
+    value: p.id
+  }));
+
+  const selectedOption = project ? projectOptions.find(option => option.value === project.id) : null;
+
+  const blocks = [
+    {
+      type: "section",
+      block_id: "risks_project",
+      text: {
+        type: "mrkdwn",
+        text: "*Project*\nSelect a project to manage its risk register:"
+      },
+      accessory: {
+        type: "static_select",
+        action_id: "risks_project_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Select a project"
+        },
+        options: projectOptions,
+        ...(selectedOption && { initial_option: selectedOption })
+      }
+    }
+  ];
+
+  if (project && risks) {
+    const countByStatus = (status) => risks.filter(risk => risk.status === status).length;
+    const riskBlocks = risks.map(buildRiskBlock);
+
+    if (riskBlocks.length > MAX_RISK_BLOCKS) {
+      const hiddenCount = riskBlocks.length - MAX_RISK_BLOCKS;
+      riskBlocks.length = MAX_RISK_BLOCKS;
+      riskBlocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `_${hiddenCount} more risks not shown_`
+          }
+        ]
+      });
+    }
+
+    blocks.push(
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: risks.length > 0
+              ? `*Open:* ${countByStatus('OPEN')} • *Mitigated:* ${countByStatus('MITIGATED')} • *Closed:* ${countByStatus('CLOSED')}`
+              : '*No risks logged yet*'
+          }
+        ]
+      },
+      {
+        type: "divider"
+      },
+      ...riskBlocks,
+      {
+        type: "divider"
+      },
+      ...buildRiskInputBlocks('new_risk', {}, true)
+    );
+  }
+
+  return {
+    type: "modal",
+    callback_id: "project_risks_modal",
+    private_metadata: project ? project.id : '',
+    title: {
+      type: "plain_text",
+      text: "Project Risks"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Close"
+    },
+    blocks
+  };
+};
+
+// Re-render the open modal after the register changed
+const refreshRisksModal = async (client, view, projectId) => {
+  const [projects, project, risks] = await Promise.all([
+    projectService.getAllProjects(),
+    projectService.getProject(projectId),
+    riskService.getProjectRisks(projectId)
+  ]);
+
+  await client.views.update({
+    view_id: view.id,
+    hash: view.hash,
+    view: buildRisksModal(projects, project, risks)
+  });
+};
+
+// Resolve a Slack user picked as risk owner to a database user id
+const resolveOwnerId = async (ownerSlackId, slackService) => {
+  if (!ownerSlackId) {
+    return null;
+  }
+
+  const ownerInfo = await slackService.getUserInfo(ownerSlackId);
+  if (!ownerInfo) {
+    return null;
+  }
+
+  const owner = await userService.findOrCreateUser(ownerSlackId, {
+    name: ownerInfo.name,
+    email: ownerInfo.email
+  });
+  return owner.id;
+};
+
+const projectRisksCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const projects = await projectService.getAllProjects();
+
+    if (projects.length === 0) {
+      await respond({
+        text: "📝 No projects found. Create a project first using `/project-new`.",
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    // Allow `/project-risks Website Redesign` to jump straight to a project
+    const projectNameFromCommand = command.text ? command.text.trim().toLowerCase() : '';
+    const project = projectNameFromCommand
+      ? projects.find(p => p.name.toLowerCase() === projectNameFromCommand)
+      : null;
+    const risks = project ? await riskService.getProjectRisks(project.id) : null;
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildRisksModal(projects, project, risks)
+    });
+
+    logger.info('Project risks modal opened', {
+      userId: command.user_id,
+      projectId: project?.id || null
+    });
+
+  } catch (error) {
+    logger.error('Error opening project risks modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the risk register. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleRisksProjectSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].selected_option.value;
+    await refreshRisksModal(client, body.view, projectId);
+  } catch (error) {
+    logger.error('Error loading project risks:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleRiskOverflow = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const [action, riskId] = body.actions[0].selected_option.value.split(':');
+
+    if (action === 'mitigate') {
+      await riskService.setRiskStatus(riskId, 'MITIGATED');
+    } else if (action === 'close') {
+      await riskService.setRiskStatus(riskId, 'CLOSED');
+    } else if (action === 'reopen') {
+      await riskService.setRiskStatus(riskId, 'OPEN');
+    } else if (action.startsWith('severity-')) {
+      await riskService.setRiskSeverity(riskId, action.replace('severity-', ''));
+    } else if (action === 'delete') {
+      await riskService.deleteRisk(riskId);
+    }
+
+    await refreshRisksModal(client, body.view, body.view.private_metadata);
+
+    logger.info('Risk action handled', { action, riskId, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error handling risk action:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleProjectRisksSubmission = async ({ ack, body, view, client, slackService }) => {
+  try {
+    const values = view.state.values;
+    const projectId = view.private_metadata;
+
+    if (!projectId) {
+      // Section blocks can't carry validation errors, so explain by DM instead
+      await ack();
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "ℹ️ No project was selected, so no risks were saved."
+      });
+      return;
+    }
+
+    const riskValues = extractRiskValues(values, 'new_risk');
+
+    if (!riskValues.title) {
+      await ack();
+      return;
+    }
+
+    const duplicate = await riskService.findDuplicateRisk(projectId, riskValues.title);
+    if (duplicate) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          new_risk_title: `This looks like an existing risk: "${duplicate.title.substring(0, 100)}"`
+        }
+      });
+      return;
+    }
+
+    await ack();
+
+    const creator = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+
+    const risk = await riskService.createRisk(projectId, {
+      title: riskValues.title,
+      severity: riskValues.severity,
+      ownerId: await resolveOwnerId(riskValues.ownerSlackId, slackService)
+    }, creator.id);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `🛡️ Risk logged for "${risk.project.name}"`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🛡️ *Risk logged for "${risk.project.name}"*\n${formatRisk(risk)}`
+          }
+        }
+      ]
+    });
+
+    logger.info('Project risk added', { projectId, riskId: risk.id, userId: body.user.id });
+
+  } catch (error) {
+    logger.error('Error saving project risk:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving risk: ${error.message}`
+    });
+  }
+};
+
+// "Add to register" on a risk the AI proposed after a project update
+const handleRiskProposal = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const [updateId, index] = body.actions[0].value.split(':');
+    const update = await projectService.getProjectUpdate(updateId);
+    const title = update ? update.risksIdentified[Number(index)] : null;
+
+    if (!title) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "⚠️ That proposed risk is no longer available."
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "risk_proposal_modal",
+        private_metadata: JSON.stringify({ projectId: update.projectId, updateId }),
+        title: {
+          type: "plain_text",
+          text: "Log Risk"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Add to Register"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `Spotted in your update to *${update.project.name}*. Adjust it before adding it to the risk register.`
+              }
+            ]
+          },
+          ...buildRiskInputBlocks('risk', {
+            title,
+            ownerSlackId: update.project.assignee ? update.project.assignee.slackUserId : null
+          })
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error('Error opening risk proposal:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleRiskProposalSubmission = async ({ ack, body, view, client, slackService }) => {
+  try {
+    const { projectId, updateId } = JSON.parse(view.private_metadata);
+    const riskValues = extractRiskValues(view.state.values, 'risk');
+
+    const duplicate = await riskService.findDuplicateRisk(projectId, riskValues.title);
+    if (duplicate) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          risk_title: `Already in the register as "${duplicate.title.substring(0, 100)}"`
+        }
+      });
+      return;
+    }
+
+    await ack();
+
+    const creator = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+
+    const risk = await riskService.createRisk(projectId, {
+      title: riskValues.title,
+      severity: riskValues.severity,
+      ownerId: await resolveOwnerId(riskValues.ownerSlackId, slackService),
+      sourceUpdateId: updateId
+    }, creator.id);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `🛡️ Risk added to the register for "${risk.project.name}"`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🛡️ *Risk added to the register for "${risk.project.name}"*\n${formatRisk(risk)}`
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `Use \`/project-risks ${risk.project.name}\` to mitigate or close it.`
+            }
+          ]
+        }
+      ]
+    });
+
+    logger.info('Proposed risk confirmed', { projectId, riskId: risk.id, updateId, userId: body.user.id });
+
+  } catch (error) {
+    logger.error('Error confirming proposed risk:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error adding risk: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectRisksCommand,
+  handleSubmission: handleProjectRisksSubmission,
+  handleProjectSelection: handleRisksProjectSelection,
+  handleRiskOverflow,
+  handleRiskProposal,
+  handleRiskProposalSubmission
+};
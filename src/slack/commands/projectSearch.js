@@ -0,0 +1,182 @@
+const searchService = require('../../services/searchService');
+const clientService = require('../../services/clientService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+
+const MAX_RESULTS = 10;
+const STATUSES = ['PLANNING', 'IN_PROGRESS', 'ON_HOLD', 'COMPLETED', 'CANCELLED'];
+
+// client:"Acme Corp", status:in-progress, author:@jane, from:2024-01-01, to:2024-03-31
+const FILTER_PATTERN = /(?:^|\s)(client|status|author|from|to):("[^"]*"|<[^>]+>|\S+)/gi;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const USAGE_TEXT = "🔎 *Search projects and updates*\n" +
+  "Usage: `/project-search <words> [client:name] [status:status] [author:@person] [from:YYYY-MM-DD] [to:YYYY-MM-DD]`\n" +
+  "• Example: `/project-search dns migration client:\"Acme Corp\" from:2024-01-01`\n" +
+  "• Use quotes for exact phrases, `or` for either word and `-word` to leave a word out\n" +
+  "• `author:me` finds your own updates";
+
+// Split the command text into search words and filters
+const parseSearchText = (text) => {
+  const filters = {};
+  const query = text.replace(FILTER_PATTERN, (match, name, value) => {
+    filters[name.toLowerCase()] = value.replace(/^"|"$/g, '').trim();
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  return { query, filters };
+};
+
+// Turn the typed filters into search filters, or a message about the first one that doesn't work
+const resolveFilters = async (filters, slackUserId) => {
+  const resolved = {};
+  const descriptions = [];
+
+  if (filters.client) {
+    const clientRecord = await clientService.findClientByName(filters.client);
+    if (!clientRecord) {
+      return { error: `No client found matching "${filters.client}".` };
+    }
+    resolved.clientId = clientRecord.id;
+    descriptions.push(`client *${clientRecord.name}*`);
+  }
+
+  if (filters.status) {
+    const status = filters.status.toUpperCase().replace(/[\s-]/g, '_');
+    if (!STATUSES.includes(status)) {
+      return { error: `Unknown status "${filters.status}". Use one of: ${STATUSES.map(s => s.toLowerCase().replace('_', '-')).join(', ')}.` };
+    }
+    resolved.status = status;
+    descriptions.push(`status *${status.replace('_', ' ')}*`);
+  }
+
+  if (filters.author) {
+    // Slack sends mentions as <@U123|name> when user escaping is on, otherwise as plain @name
+    const mention = filters.author.match(/^<@(\w+)(?:\|[^>]*)?>$/);
+    const author = mention || filters.author.toLowerCase() === 'me'
+      ? await userService.getUserBySlackId(mention ? mention[1] : slackUserId)
+      : await userService.findUserByName(filters.author.replace(/^@/, ''));
+    if (!author) {
+      return { error: `No one matching "${filters.author}" has posted updates.` };
+    }
+    resolved.authorId = author.id;
+    descriptions.push(`updates by *${author.name}*`);
+  }
+
+  for (const field of ['from', 'to']) {
+    if (!filters[field]) {
+      continue;
+    }
+    const date = DATE_PATTERN.test(filters[field]) ? new Date(`${filters[field]}T00:00:00Z`) : null;
+    if (!date || isNaN(date)) {
+      return { error: `"${filters[field]}" isn't a date. Use YYYY-MM-DD, e.g. ${field}:2024-01-31.` };
+    }
+    // "to" includes the whole day
+    resolved[field] = field === 'to' ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+    descriptions.push(`${field} *${filters[field]}*`);
+  }
+
+  if (resolved.from && resolved.to && resolved.from > resolved.to) {
+    return { error: 'The `from` date is after the `to` date.' };
+  }
+
+  return { filters: resolved, descriptions };
+};
+
+const buildResultBlock = (result) => {
+  const archivedText = result.archived ? ' 🗄️ _archived_' : '';
+  const heading = result.type === 'project'
+    ? `📁 *${result.projectName}* (${result.clientName}) - ${result.status.replace('_', ' ')}${archivedText}`
+    : `📝 *${result.projectName}* (${result.clientName}) - update by ${result.authorName} on ${new Date(result.createdAt).toLocaleDateString()}${archivedText}`;
+
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: result.snippet ? `${heading}\n${result.snippet.substring(0, 500)}` : heading
+    },
+    accessory: {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "View Details"
+      },
+      action_id: "view_project_details",
+      value: result.projectId
+    }
+  };
+};
+
+const projectSearchCommand = async ({ command, ack, respond }) => {
+  await ack();
+
+  try {
+    const { query, filters: typedFilters } = parseSearchText((command.text || '').trim());
+
+    if (!query) {
+      await respond({
+        text: USAGE_TEXT,
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    const { filters, descriptions, error } = await resolveFilters(typedFilters, command.user_id);
+    if (error) {
+      await respond({
+        text: `🔎 ${error}`,
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    const results = await searchService.search(query, filters, MAX_RESULTS);
+    const filterText = descriptions.length > 0 ? ` (${descriptions.join(', ')})` : '';
+
+    if (results.length === 0) {
+      await respond({
+        text: `🔎 Nothing found for "${query}"${filterText}. Try fewer or different words.`,
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🔎 *${results.length === MAX_RESULTS ? `Top ${MAX_RESULTS}` : results.length} result${results.length === 1 ? '' : 's'} for "${query}"*${filterText}`
+        }
+      },
+      {
+        type: "divider"
+      },
+      ...results.map(buildResultBlock)
+    ];
+
+    await respond({
+      text: `🔎 Search results for "${query}"`,
+      blocks,
+      response_type: "ephemeral"
+    });
+
+    logger.info('Project search shown', {
+      userId: command.user_id,
+      query,
+      resultCount: results.length
+    });
+
+  } catch (error) {
+    logger.error('Error searching projects:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error running your search. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+module.exports = {
+  command: projectSearchCommand
+};
@@ -0,0 +1,584 @@
+const projectService = require('../../services/projectService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { MAX_SELECT_OPTIONS } = require('../blocks/selectOptions');
+
+// Slack rejects views with more than 100 blocks; leave room for the form inputs
+const MAX_PLAN_BLOCKS = 80;
+
+const formatDueDate = (date) => date ? ` • 📅 ${new Date(date).toLocaleDateString()}` : '';
+
+const buildTaskBlock = (task) => {
+  const assigneeText = task.assignee ? ` • 👤 ${task.assignee.name}` : '';
+  const titleText = task.completedAt ? `✅ ~${task.title}~` : `⬜ ${task.title}`;
+
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `${titleText}${assigneeText}${formatDueDate(task.dueDate)}`
+    },
+    accessory: {
+      type: "overflow",
+      action_id: "task_overflow",
+      options: [
+        {
+          text: {
+            type: "plain_text",
+            text: task.completedAt ? "Reopen" : "Mark complete"
+          },
+          value: `${task.completedAt ? 'reopen' : 'complete'}:${task.id}`
+        },
+        {
+          text: {
+            type: "plain_text",
+            text: "Move up"
+          },
+          value: `up:${task.id}`
+        },
+        {
+          text: {
+            type: "plain_text",
+            text: "Move down"
+          },
+          value: `down:${task.id}`
+        },
+        {
+          text: {
+            type: "plain_text",
+            text: "Delete"
+          },
+          value: `delete:${task.id}`
+        }
+      ]
+    }
+  };
+};
+
+const buildPlanBlocks = (plan) => {
+  const blocks = [];
+
+  plan.milestones.forEach(milestone => {
+    const milestoneProgress = projectService.calculateCompletion(milestone.tasks);
+    const progressText = milestoneProgress.total > 0
+      ? ` • ${milestoneProgress.completed}/${milestoneProgress.total} tasks`
+      : '';
+
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${milestone.completedAt ? '✅' : '🏁'} *${milestone.name}*${formatDueDate(milestone.dueDate)}${progressText}`
+      },
+      accessory: {
+        type: "overflow",
+        action_id: "milestone_overflow",
+        options: [
+          {
+            text: {
+              type: "plain_text",
+              text: milestone.completedAt ? "Reopen milestone" : "Mark milestone complete"
+            },
+            value: `${milestone.completedAt ? 'reopen' : 'complete'}:${milestone.id}`
+          },
+          {
+            text: {
+              type: "plain_text",
+              text: "Move up"
+            },
+            value: `up:${milestone.id}`
+          },
+          {
+            text: {
+              type: "plain_text",
+              text: "Move down"
+            },
+            value: `down:${milestone.id}`
+          }
+        ]
+      }
+    });
+
+    milestone.tasks.forEach(task => blocks.push(buildTaskBlock(task)));
+  });
+
+  if (plan.unscheduledTasks.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "📌 *Other Tasks*"
+      }
+    });
+
+    plan.unscheduledTasks.forEach(task => blocks.push(buildTaskBlock(task)));
+  }
+
+  if (blocks.length > MAX_PLAN_BLOCKS) {
+    const hiddenCount = blocks.length - MAX_PLAN_BLOCKS;
+    blocks.length = MAX_PLAN_BLOCKS;
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `_${hiddenCount} more items not shown_`
+        }
+      ]
+    });
+  }
+
+  return blocks;
+};
+
+const buildTasksModal = (projects, project = null, plan = null) => {
+  // The selected project stays in the list even when it is past the limit
+  const shownProjects = projects.slice(0, MAX_SELECT_OPTIONS);
+  if (project && !shownProjects.some(p => p.id === project.id)) {
+    shownProjects[shownProjects.length - 1] = project;
+  }
+
+  const projectOptions = shownProjects.map(p => ({
+    text: {
+      type: "plain_text",
+      text: `${p.name} (${p.clientName})`.substring(0, 75)
+    },
+    value: p.id
+  }));
+
+  const selectedOption = project ? projectOptions.find(option => option.value === project.id) : null;
+
+  const blocks = [
+    {
+      type: "section",
+      block_id: "tasks_project",
+      text: {
+        type: "mrkdwn",
+        text: "*Project*\nSelect a project to manage its milestones and tasks:"
+      },
+      accessory: {
+        type: "static_select",
+        action_id: "tasks_project_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Select a project"
+        },
+        options: projectOptions,
+        ...(selectedOption && { initial_option: selectedOption })
+      }
+    }
+  ];
+
+  if (project && plan) {
+    const progressText = plan.progress.total > 0
+      ? `*Progress:* ${plan.progress.percentage}% (${plan.progress.completed}/${plan.progress.total} tasks complete)`
+      : '*Progress:* No tasks yet';
+
+    blocks.push(
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: progressText
+          }
+        ]
+      },
+      {
+        type: "divider"
+      },
+      ...buildPlanBlocks(plan),
+      {
+        type: "divider"
+      },
+      {
+        type: "input",
+        block_id: "new_milestone_name",
+        element: {
+          type: "plain_text_input",
+          action_id: "milestone_name_input",
+          placeholder: {
+            type: "plain_text",
+            text: "e.g. Design sign-off"
+          },
+          max_length: 100
+        },
+        label: {
+          type: "plain_text",
+          text: "New Milestone"
+        },
+        optional: true
+      },
+      {
+        type: "input",
+        block_id: "new_milestone_due",
+        element: {
+          type: "datepicker",
+          action_id: "milestone_due_picker",
+          placeholder: {
+            type: "plain_text",
+            text: "Select due date"
+          }
+        },
+        label: {
+          type: "plain_text",
+          text: "Milestone Due Date"
+        },
+        optional: true
+      },
+      {
+        type: "input",
+        block_id: "new_task_title",
+        element: {
+          type: "plain_text_input",
+          action_id: "task_title_input",
+          placeholder: {
+            type: "plain_text",
+            text: "e.g. Build homepage wireframes"
+          },
+          max_length: 200
+        },
+        label: {
+          type: "plain_text",
+          text: "New Task"
+        },
+        optional: true
+      }
+    );
+
+    if (plan.milestones.length > 0) {
+      blocks.push({
+        type: "input",
+        block_id: "new_task_milestone",
+        element: {
+          type: "static_select",
+          action_id: "task_milestone_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select a milestone"
+          },
+          options: plan.milestones.map(milestone => ({
+            text: {
+              type: "plain_text",
+              text: milestone.name.substring(0, 75)
+            },
+            value: milestone.id
+          }))
+        },
+        label: {
+          type: "plain_text",
+          text: "Task Milestone"
+        },
+        optional: true
+      });
+    }
+
+    blocks.push(
+      {
+        type: "input",
+        block_id: "new_task_assignee",
+        element: {
+          type: "users_select",
+          action_id: "task_assignee_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select an assignee"
+          }
+        },
+        label: {
+          type: "plain_text",
+          text: "Task Assignee"
+        },
+        optional: true
+      },
+      {
+        type: "input",
+        block_id: "new_task_due",
+        element: {
+          type: "datepicker",
+          action_id: "task_due_picker",
+          placeholder: {
+            type: "plain_text",
+            text: "Select due date"
+          }
+        },
+        label: {
+          type: "plain_text",
+          text: "Task Due Date"
+        },
+        optional: true
+      }
+    );
+  }
+
+  return {
+    type: "modal",
+    callback_id: "project_tasks_modal",
+    private_metadata: project ? project.id : '',
+    title: {
+      type: "plain_text",
+      text: "Project Tasks"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Close"
+    },
+    blocks
+  };
+};
+
+// Re-render the open modal after the plan changed
+const refreshTasksModal = async (client, view, projectId) => {
+  const [projects, project, plan] = await Promise.all([
+    projectService.getAllProjects(),
+    projectService.getProject(projectId),
+    projectService.getProjectPlan(projectId)
+  ]);
+
+  await client.views.update({
+    view_id: view.id,
+    hash: view.hash,
+    view: buildTasksModal(projects, project, plan)
+  });
+};
+
+const projectTasksCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const projects = await projectService.getAllProjects();
+
+    if (projects.length === 0) {
+      await respond({
+        text: "📝 No projects found. Create a project first using `/project-new`.",
+        response_type: "ephemeral"
+      });
+      return;
+    }
+
+    // Allow `/project-tasks Website Redesign` to jump straight to a project
+    const projectNameFromCommand = command.text ? command.text.trim().toLowerCase() : '';
+    const project = projectNameFromCommand
+      ? projects.find(p => p.name.toLowerCase() === projectNameFromCommand)
+      : null;
+    const plan = project ? await projectService.getProjectPlan(project.id) : null;
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildTasksModal(projects, project, plan)
+    });
+
+    logger.info('Project tasks modal opened', {
+      userId: command.user_id,
+      projectId: project?.id || null
+    });
+
+  } catch (error) {
+    logger.error('Error opening project tasks modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the project tasks form. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleTasksProjectSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].selected_option.value;
+    await refreshTasksModal(client, body.view, projectId);
+  } catch (error) {
+    logger.error('Error loading project tasks:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleTaskOverflow = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const [action, taskId] = body.actions[0].selected_option.value.split(':');
+
+    if (action === 'complete' || action === 'reopen') {
+      await projectService.setTaskCompleted(taskId, action === 'complete');
+    } else if (action === 'up' || action === 'down') {
+      await projectService.moveTask(taskId, action);
+    } else if (action === 'delete') {
+      await projectService.deleteTask(taskId);
+    }
+
+    await refreshTasksModal(client, body.view, body.view.private_metadata);
+
+    logger.info('Task action handled', { action, taskId, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error handling task action:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleMilestoneOverflow = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const [action, milestoneId] = body.actions[0].selected_option.value.split(':');
+
+    if (action === 'complete' || action === 'reopen') {
+      await projectService.setMilestoneCompleted(milestoneId, action === 'complete');
+    } else if (action === 'up' || action === 'down') {
+      await projectService.moveMilestone(milestoneId, action);
+    }
+
+    await refreshTasksModal(client, body.view, body.view.private_metadata);
+
+    logger.info('Milestone action handled', { action, milestoneId, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error handling milestone action:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleProjectTasksSubmission = async ({ ack, body, view, client, slackService }) => {
+  try {
+    const values = view.state.values;
+    const projectId = view.private_metadata;
+
+    if (!projectId) {
+      // Section blocks can't carry validation errors, so explain by DM instead
+      await ack();
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "ℹ️ No project was selected, so no tasks were saved."
+      });
+      return;
+    }
+
+    const milestoneName = values.new_milestone_name?.milestone_name_input?.value?.trim();
+    const milestoneDue = values.new_milestone_due?.milestone_due_picker?.selected_date;
+    const taskTitle = values.new_task_title?.task_title_input?.value?.trim();
+    const taskMilestoneId = values.new_task_milestone?.task_milestone_select?.selected_option?.value;
+    const taskAssignee = values.new_task_assignee?.task_assignee_select?.selected_user;
+    const taskDue = values.new_task_due?.task_due_picker?.selected_date;
+
+    if (!milestoneName && milestoneDue) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          new_milestone_name: 'Please enter a name for the milestone'
+        }
+      });
+      return;
+    }
+
+    if (!taskTitle && (taskMilestoneId || taskAssignee || taskDue)) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          new_task_title: 'Please enter a title for the task'
+        }
+      });
+      return;
+    }
+
+    await ack();
+
+    if (!milestoneName && !taskTitle) {
+      return;
+    }
+
+    const created = [];
+
+    if (milestoneName) {
+      const milestone = await projectService.createMilestone(projectId, {
+        name: milestoneName,
+        dueDate: milestoneDue || null
+      });
+      created.push(`🏁 Milestone *${milestone.name}*`);
+    }
+
+    if (taskTitle) {
+      // Ensure the task assignee exists in database
+      let assigneeDbId = null;
+      if (taskAssignee) {
+        const assigneeInfo = await slackService.getUserInfo(taskAssignee);
+        if (assigneeInfo) {
+          const assigneeUser = await userService.findOrCreateUser(taskAssignee, {
+            name: assigneeInfo.name,
+            email: assigneeInfo.email
+          });
+          assigneeDbId = assigneeUser.id;
+        }
+      }
+
+      const task = await projectService.createTask(projectId, {
+        title: taskTitle,
+        milestoneId: taskMilestoneId || null,
+        assignedTo: assigneeDbId,
+        dueDate: taskDue || null
+      });
+      created.push(`⬜ Task *${task.title}*`);
+    }
+
+    const project = await projectService.getProject(projectId);
+    const progress = projectService.calculateCompletion(project.tasks);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `✅ Plan updated for "${project.name}"`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `✅ *Plan updated for "${project.name}"*\n${created.join('\n')}`
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: progress.total > 0
+                ? `Progress: ${progress.percentage}% (${progress.completed}/${progress.total} tasks complete)`
+                : 'Progress: No tasks yet'
+            }
+          ]
+        }
+      ]
+    });
+
+    logger.info('Project plan updated', {
+      projectId,
+      milestoneCreated: !!milestoneName,
+      taskCreated: !!taskTitle,
+      userId: body.user.id
+    });
+
+  } catch (error) {
+    logger.error('Error saving project tasks:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving project tasks: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectTasksCommand,
+  handleSubmission: handleProjectTasksSubmission,
+  handleProjectSelection: handleTasksProjectSelection,
+  handleTaskOverflow,
+  handleMilestoneOverflow
+};
@@ -0,0 +1,360 @@
+const templateService = require('../../services/templateService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+
+const STATUS_OPTIONS = [
+  {
+    text: {
+      type: "plain_text",
+      text: "Planning"
+    },
+    value: "PLANNING"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "In Progress"
+    },
+    value: "IN_PROGRESS"
+  },
+  {
+    text: {
+      type: "plain_text",
+      text: "On Hold"
+    },
+    value: "ON_HOLD"
+  }
+];
+
+const DELETE_OPTION = {
+  text: {
+    type: "plain_text",
+    text: "Delete this template"
+  },
+  description: {
+    type: "plain_text",
+    text: "Projects already created from it are not affected."
+  },
+  value: "delete"
+};
+
+// One task title per line; blank lines and list bullets are ignored
+const parseTasks = (text) => (text || '')
+  .split('\n')
+  .map(line => line.replace(/^\s*[-*•]\s*/, '').trim())
+  .filter(Boolean);
+
+const buildTemplateModal = (templates, selectedTemplate = null) => {
+  const templateOptions = [
+    {
+      text: {
+        type: "plain_text",
+        text: "➕ New template"
+      },
+      value: "new"
+    },
+    ...templates.map(template => ({
+      text: {
+        type: "plain_text",
+        text: template.name.substring(0, 75)
+      },
+      value: template.id
+    }))
+  ];
+
+  // Block IDs are keyed by template so Slack doesn't carry typed values over
+  // when switching between templates
+  const key = selectedTemplate ? selectedTemplate.id : 'new';
+  const selectedOption = templateOptions.find(option => option.value === key);
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "*Template*\nPick a template to edit, or create a new one:"
+      },
+      accessory: {
+        type: "static_select",
+        action_id: "template_manage_select",
+        options: templateOptions,
+        initial_option: selectedOption
+      }
+    },
+    {
+      type: "input",
+      block_id: `template_name_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "name_input",
+        placeholder: {
+          type: "plain_text",
+          text: "e.g. Website Redesign"
+        },
+        max_length: 75,
+        ...(selectedTemplate && { initial_value: selectedTemplate.name })
+      },
+      label: {
+        type: "plain_text",
+        text: "Template Name"
+      }
+    },
+    {
+      type: "input",
+      block_id: `template_description_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "description_input",
+        multiline: true,
+        max_length: 500,
+        ...(selectedTemplate?.description && { initial_value: selectedTemplate.description })
+      },
+      label: {
+        type: "plain_text",
+        text: "Default Description"
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: `template_status_${key}`,
+      element: {
+        type: "static_select",
+        action_id: "status_select",
+        options: STATUS_OPTIONS,
+        initial_option: STATUS_OPTIONS.find(option => option.value === (selectedTemplate ? selectedTemplate.defaultStatus : 'PLANNING'))
+      },
+      label: {
+        type: "plain_text",
+        text: "Default Status"
+      }
+    },
+    {
+      type: "input",
+      block_id: `template_deadline_${key}`,
+      element: {
+        type: "number_input",
+        action_id: "offset_input",
+        is_decimal_allowed: false,
+        min_value: "0",
+        max_value: "3650",
+        placeholder: {
+          type: "plain_text",
+          text: "e.g. 30"
+        },
+        ...(selectedTemplate && selectedTemplate.deadlineOffsetDays !== null && {
+          initial_value: String(selectedTemplate.deadlineOffsetDays)
+        })
+      },
+      label: {
+        type: "plain_text",
+        text: "Deadline (days after creation)"
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: `template_tasks_${key}`,
+      element: {
+        type: "plain_text_input",
+        action_id: "tasks_input",
+        multiline: true,
+        placeholder: {
+          type: "plain_text",
+          text: "One task per line, e.g.\nKickoff call\nSitemap\nDesign mockups"
+        },
+        ...(selectedTemplate && selectedTemplate.defaultTasks.length > 0 && {
+          initial_value: selectedTemplate.defaultTasks.join('\n')
+        })
+      },
+      label: {
+        type: "plain_text",
+        text: "Default Tasks"
+      },
+      optional: true
+    }
+  ];
+
+  if (selectedTemplate) {
+    blocks.push({
+      type: "input",
+      block_id: `template_delete_${key}`,
+      element: {
+        type: "checkboxes",
+        action_id: "delete_checkbox",
+        options: [DELETE_OPTION]
+      },
+      label: {
+        type: "plain_text",
+        text: "Delete"
+      },
+      optional: true
+    });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "project_template_modal",
+    private_metadata: selectedTemplate ? selectedTemplate.id : '',
+    title: {
+      type: "plain_text",
+      text: "Project Templates"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks
+  };
+};
+
+const projectTemplateCommand = async ({ command, ack, respond, client, body }) => {
+  await ack();
+
+  try {
+    const templates = await templateService.getAllTemplates();
+
+    // Allow `/project-template SEO Audit` to open straight into a template
+    const templateNameFromCommand = command.text ? command.text.trim().toLowerCase() : '';
+    const selectedTemplate = templateNameFromCommand
+      ? templates.find(template => template.name.toLowerCase() === templateNameFromCommand) || null
+      : null;
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildTemplateModal(templates, selectedTemplate)
+    });
+
+    logger.info('Project template modal opened', {
+      userId: command.user_id,
+      templateId: selectedTemplate?.id || null
+    });
+
+  } catch (error) {
+    logger.error('Error opening project template modal:', error);
+
+    await respond({
+      text: "❌ Sorry, there was an error opening the template form. Please try again.",
+      response_type: "ephemeral"
+    });
+  }
+};
+
+const handleTemplateManageSelection = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const selectedValue = body.actions[0].selected_option.value;
+    const templates = await templateService.getAllTemplates();
+    const selectedTemplate = selectedValue === 'new'
+      ? null
+      : templates.find(template => template.id === selectedValue) || null;
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildTemplateModal(templates, selectedTemplate)
+    });
+  } catch (error) {
+    logger.error('Error loading template for editing:', {
+      error: error.message,
+      userId: body.user.id
+    });
+  }
+};
+
+const handleProjectTemplateSubmission = async ({ ack, body, view, client }) => {
+  try {
+    const values = view.state.values;
+    const templateId = view.private_metadata || null;
+    const key = templateId || 'new';
+
+    const deleteTemplate = (values[`template_delete_${key}`]?.delete_checkbox?.selected_options || []).length > 0;
+    const name = values[`template_name_${key}`].name_input.value.trim();
+    const offsetValue = values[`template_deadline_${key}`]?.offset_input?.value;
+
+    const templateData = {
+      name,
+      description: values[`template_description_${key}`]?.description_input?.value || null,
+      defaultStatus: values[`template_status_${key}`].status_select.selected_option.value,
+      deadlineOffsetDays: offsetValue ? parseInt(offsetValue, 10) : null,
+      defaultTasks: parseTasks(values[`template_tasks_${key}`]?.tasks_input?.value)
+    };
+
+    // Template names must be unique
+    if (!deleteTemplate) {
+      const existingTemplate = await templateService.findTemplateByName(name);
+      if (existingTemplate && existingTemplate.id !== templateId) {
+        await ack({
+          response_action: 'errors',
+          errors: {
+            [`template_name_${key}`]: `A template named "${existingTemplate.name}" already exists`
+          }
+        });
+        return;
+      }
+    }
+
+    await ack();
+
+    let resultText;
+
+    if (deleteTemplate) {
+      const deleted = await templateService.deleteTemplate(templateId);
+      resultText = `🗑️ Template *${deleted.name}* deleted.`;
+    } else if (templateId) {
+      const updated = await templateService.updateTemplate(templateId, templateData);
+      resultText = `✅ Template *${updated.name}* updated.`;
+    } else {
+      const creator = await userService.findOrCreateUser(body.user.id, {
+        name: body.user.name || body.user.username
+      });
+      const created = await templateService.createTemplate(templateData, creator.id);
+      resultText = `✅ Template *${created.name}* created. Pick it in \`/project-new\` to pre-fill the form.`;
+    }
+
+    const detailText = deleteTemplate ? '' : [
+      `*Default Status:* ${templateData.defaultStatus.replace('_', ' ')}`,
+      templateData.deadlineOffsetDays !== null ? `*Deadline:* ${templateData.deadlineOffsetDays} days after creation` : null,
+      templateData.defaultTasks.length > 0 ? `*Default Tasks:* ${templateData.defaultTasks.length}` : null
+    ].filter(Boolean).join('\n');
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: resultText,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: detailText ? `${resultText}\n${detailText}` : resultText
+          }
+        }
+      ]
+    });
+
+    logger.info('Project template saved', {
+      templateId,
+      deleted: deleteTemplate,
+      userId: body.user.id
+    });
+
+  } catch (error) {
+    logger.error('Error saving project template:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving template: ${error.message}`
+    });
+  }
+};
+
+module.exports = {
+  command: projectTemplateCommand,
+  handleSubmission: handleProjectTemplateSubmission,
+  handleTemplateManageSelection
+};
@@ -1,6 +1,352 @@
 const projectService = require('../../services/projectService');
+const riskService = require('../../services/riskService');
+const clientService = require('../../services/clientService');
 const userService = require('../../services/userService');
+const commentService = require('../../services/commentService');
+const approvalService = require('../../services/approvalService');
 const logger = require('../../config/logger');
+const { buildMemberInputBlocks, extractMemberSelections, resolveMemberSelections, formatTeam } = require('../blocks/memberInputs');
+const { buildBudgetInputBlocks, extractBudgetValues, extractBudgetText, formatBurn } = require('../blocks/budgetInputs');
+const { buildRecurrenceInputBlocks, extractRecurrenceSelection, extractRecurrenceValues, formatRecurrence } = require('../blocks/recurrenceInputs');
+const { buildBroadcastInputBlocks, extractBroadcastSelection, buildBroadcastBlocks, buildDeletedBroadcastBlocks } = require('../blocks/updateBroadcast');
+const { requestStatusApproval } = require('../blocks/approvalRequest');
+const { MAX_SELECT_OPTIONS } = require('../blocks/selectOptions');
+
+const buildReplaceMembersBlock = (checked = false) => {
+  const option = {
+    text: {
+      type: "plain_text",
+      text: "Replace the whole team with the selections above"
+    },
+    description: {
+      type: "plain_text",
+      text: "Roles left empty are cleared. Otherwise empty roles keep their current members."
+    },
+    value: "replace"
+  };
+
+  return {
+    type: "input",
+    block_id: "members_replace",
+    element: {
+      type: "checkboxes",
+      action_id: "replace_checkbox",
+      options: [option],
+      ...(checked && { initial_options: [option] })
+    },
+    label: {
+      type: "plain_text",
+      text: "Team Changes"
+    },
+    optional: true
+  };
+};
+
+const buildDependencyOptions = (projects) => projects.slice(0, MAX_SELECT_OPTIONS).map(project => ({
+  text: {
+    type: "plain_text",
+    text: `${project.name} (${project.clientName})`.substring(0, 75)
+  },
+  value: project.id
+}));
+
+// "Blocked by" works like the team inputs: selections are added to the
+// current blockers unless the replace box is ticked
+const buildDependencyBlocks = (dependencyOptions, initialOptions = [], replaceChecked = false) => {
+  const replaceOption = {
+    text: {
+      type: "plain_text",
+      text: "Replace current blockers with the selection above"
+    },
+    description: {
+      type: "plain_text",
+      text: "Leave the selection empty to remove all blockers."
+    },
+    value: "replace"
+  };
+
+  return [
+    {
+      type: "input",
+      block_id: "blocked_by",
+      element: {
+        type: "multi_static_select",
+        action_id: "blocked_by_select",
+        placeholder: {
+          type: "plain_text",
+          text: "Keep current blockers"
+        },
+        options: dependencyOptions,
+        ...(initialOptions.length > 0 && { initial_options: initialOptions })
+      },
+      label: {
+        type: "plain_text",
+        text: "Blocked By"
+      },
+      hint: {
+        type: "plain_text",
+        text: "Projects that must be completed before this one can move forward"
+      },
+      optional: true
+    },
+    {
+      type: "input",
+      block_id: "blocked_by_replace",
+      element: {
+        type: "checkboxes",
+        action_id: "replace_checkbox",
+        options: [replaceOption],
+        ...(replaceChecked && { initial_options: [replaceOption] })
+      },
+      label: {
+        type: "plain_text",
+        text: "Dependency Changes"
+      },
+      optional: true
+    }
+  ];
+};
+
+// The /project-update modal. selectedProjectId preselects a project, e.g. when
+// opened from a stale project nudge. prefill comes from the message shortcut:
+// clientId narrows the projects to one client, content fills in the update and
+// source (the original message) is kept in private_metadata for the submission.
+const buildProjectUpdateModal = (projects, uniqueClients, workspaceUsers, selectedProjectId = null, prefill = {}) => {
+  // Create client options from database clients
+  const clientOptions = uniqueClients.map(clientRecord => ({
+    text: {
+      type: "plain_text",
+      text: clientRecord.name
+    },
+    value: clientRecord.id
+  }));
+
+  // Add "All Clients" option to show all projects
+  clientOptions.unshift({
+    text: {
+      type: "plain_text",
+      text: "All Clients"
+    },
+    value: "all_clients"
+  });
+
+  // If no clients found, add a message
+  if (clientOptions.length === 1) {
+    clientOptions.push({
+      text: {
+        type: "plain_text",
+        text: "No clients found"
+      },
+      value: "no_clients"
+    });
+  }
+
+  // Create user options from workspace users
+  const userOptions = workspaceUsers.map(user => ({
+    text: {
+      type: "plain_text",
+      text: user.name
+    },
+    value: user.id
+  }));
+
+  // Add "No Project Lead" option
+  userOptions.unshift({
+    text: {
+      type: "plain_text",
+      text: "No Project Lead"
+    },
+    value: "unassigned"
+  });
+
+  // Add "Keep current project lead" option
+  userOptions.unshift({
+    text: {
+      type: "plain_text",
+      text: "Keep current project lead"
+    },
+    value: "no_change"
+  });
+
+  const selectedClient = clientOptions.find(option => option.value === prefill.clientId);
+
+  // Create initial project options (all projects unless a client is preselected)
+  const projectOptions = projects
+    .filter(project => !selectedClient || project.clientId === selectedClient.value)
+    .map(project => ({
+    text: {
+      type: "plain_text",
+      text: `${project.name} (${project.status.replace('_', ' ')})`
+    },
+    value: project.id
+  }));
+  const selectedProject = projectOptions.find(option => option.value === selectedProjectId);
+
+  return {
+    type: "modal",
+    callback_id: "project_update_modal",
+    ...(prefill.source && { private_metadata: JSON.stringify(prefill.source) }),
+    title: {
+      type: "plain_text",
+      text: "Update Project"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Add Update"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Client Filter*\nSelect a client to filter projects:"
+        },
+        accessory: {
+          type: "static_select",
+          action_id: "client_filter_dropdown",
+          placeholder: {
+            type: "plain_text",
+            text: "Select a client to filter projects"
+          },
+          options: clientOptions,
+          initial_option: selectedClient || clientOptions[0] // Default to "All Clients"
+        }
+      },
+      {
+        type: "input",
+        block_id: "project_select",
+        element: {
+          type: "static_select",
+          action_id: "project_dropdown",
+          placeholder: {
+            type: "plain_text",
+            text: "Select a project to update"
+          },
+          options: projectOptions,
+          ...(selectedProject && { initial_option: selectedProject })
+        },
+        label: {
+          type: "plain_text",
+          text: "Project"
+        }
+      },
+      {
+        type: "input",
+        block_id: "update_content",
+        element: {
+          type: "plain_text_input",
+          action_id: "content_input",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "Describe the progress, challenges, or any updates for this project..."
+          },
+          max_length: 1000,
+          ...(prefill.content && { initial_value: prefill.content.substring(0, 1000) })
+        },
+        label: {
+          type: "plain_text",
+          text: "Update Details"
+        }
+      },
+      {
+        type: "input",
+        block_id: "assigned_to",
+        element: {
+          type: "static_select",
+          action_id: "assignee_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select project lead"
+          },
+          options: userOptions,
+          initial_option: userOptions[0] // Default to "Keep current project lead"
+        },
+        label: {
+          type: "plain_text",
+          text: "Project Lead"
+        }
+      },
+      {
+        type: "input",
+        block_id: "status_update",
+        element: {
+          type: "static_select",
+          action_id: "status_select",
+          placeholder: {
+            type: "plain_text",
+            text: "Select project status"
+          },
+          options: [
+            {
+              text: {
+                type: "plain_text",
+                text: "Keep current status"
+              },
+              value: "no_change"
+            },
+            {
+              text: {
+                type: "plain_text",
+                text: "Planning"
+              },
+              value: "PLANNING"
+            },
+            {
+              text: {
+                type: "plain_text",
+                text: "In Progress"
+              },
+              value: "IN_PROGRESS"
+            },
+            {
+              text: {
+                type: "plain_text",
+                text: "On Hold"
+              },
+              value: "ON_HOLD"
+            },
+            {
+              text: {
+                type: "plain_text",
+                text: "Completed"
+              },
+              value: "COMPLETED"
+            },
+            {
+              text: {
+                type: "plain_text",
+                text: "Cancelled"
+              },
+              value: "CANCELLED"
+            }
+          ],
+          initial_option: {
+            text: {
+              type: "plain_text",
+              text: "Keep current status"
+            },
+            value: "no_change"
+          }
+        },
+        label: {
+          type: "plain_text",
+          text: "Project Status"
+        }
+      },
+      ...buildMemberInputBlocks('Keep current members'),
+      buildReplaceMembersBlock(),
+      ...buildDependencyBlocks(buildDependencyOptions(projects)),
+      ...buildBudgetInputBlocks('Keep current budget'),
+      ...buildRecurrenceInputBlocks(true),
+      ...buildBroadcastInputBlocks()
+    ]
+  };
+};
 
 const projectUpdateCommand = async ({ command, ack, respond, client, body, slackService }) => {
   await ack();
@@ -29,8 +375,8 @@ const projectUpdateCommand = async ({ command, ack, respond, client, body, slack
           return;
         }
 
-        // Get unique clients from database (clients that actually have projects)
-        uniqueClients = await projectService.getUniqueClients();
+        // Get client records that actually have projects
+        uniqueClients = await clientService.getClientsWithProjects();
         
         // Get workspace users for project lead dropdown
         workspaceUsers = await slackService.getWorkspaceUsers();
@@ -64,226 +410,7 @@ const projectUpdateCommand = async ({ command, ack, respond, client, body, slack
       }
     }
 
-    // Create client options from database clients
-    const clientOptions = uniqueClients.map(clientName => ({
-      text: {
-        type: "plain_text",
-        text: clientName
-      },
-      value: clientName
-    }));
-
-    // Add "All Clients" option to show all projects
-    clientOptions.unshift({
-      text: {
-        type: "plain_text",
-        text: "All Clients"
-      },
-      value: "all_clients"
-    });
-
-    // If no clients found, add a message
-    if (clientOptions.length === 1) {
-      clientOptions.push({
-        text: {
-          type: "plain_text",
-          text: "No clients found"
-        },
-        value: "no_clients"
-      });
-    }
-
-    // Create user options from workspace users
-    const userOptions = workspaceUsers.map(user => ({
-      text: {
-        type: "plain_text",
-        text: user.name
-      },
-      value: user.id
-    }));
-
-    // Add "No Project Lead" option
-    userOptions.unshift({
-      text: {
-        type: "plain_text",
-        text: "No Project Lead"
-      },
-      value: "unassigned"
-    });
-
-    // Add "Keep current project lead" option
-    userOptions.unshift({
-      text: {
-        type: "plain_text",
-        text: "Keep current project lead"
-      },
-      value: "no_change"
-    });
-
-    // Create initial project options (all projects since "All Clients" is selected by default)
-    const projectOptions = projects.map(project => ({
-      text: {
-        type: "plain_text",
-        text: `${project.name} (${project.status.replace('_', ' ')})`
-      },
-      value: project.id
-    }));
-
-    const modal = {
-      type: "modal",
-      callback_id: "project_update_modal",
-      title: {
-        type: "plain_text",
-        text: "Update Project"
-      },
-      submit: {
-        type: "plain_text",
-        text: "Add Update"
-      },
-      close: {
-        type: "plain_text",
-        text: "Cancel"
-      },
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: "*Client Filter*\nSelect a client to filter projects:"
-          },
-          accessory: {
-            type: "static_select",
-            action_id: "client_filter_dropdown",
-            placeholder: {
-              type: "plain_text",
-              text: "Select a client to filter projects"
-            },
-            options: clientOptions,
-            initial_option: clientOptions[0] // Default to "All Clients"
-          }
-        },
-        {
-          type: "input",
-          block_id: "project_select",
-          element: {
-            type: "static_select",
-            action_id: "project_dropdown",
-            placeholder: {
-              type: "plain_text",
-              text: "Select a project to update"
-            },
-            options: projectOptions
-          },
-          label: {
-            type: "plain_text",
-            text: "Project"
-          }
-        },
-        {
-          type: "input",
-          block_id: "update_content",
-          element: {
-            type: "plain_text_input",
-            action_id: "content_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Describe the progress, challenges, or any updates for this project..."
-            },
-            max_length: 1000
-          },
-          label: {
-            type: "plain_text",
-            text: "Update Details"
-          }
-        },
-        {
-          type: "input",
-          block_id: "assigned_to",
-          element: {
-            type: "static_select",
-            action_id: "assignee_select",
-            placeholder: {
-              type: "plain_text",
-              text: "Select project lead"
-            },
-            options: userOptions,
-            initial_option: userOptions[0] // Default to "Keep current project lead"
-          },
-          label: {
-            type: "plain_text",
-            text: "Project Lead"
-          }
-        },
-        {
-          type: "input",
-          block_id: "status_update",
-          element: {
-            type: "static_select",
-            action_id: "status_select",
-            placeholder: {
-              type: "plain_text",
-              text: "Select project status"
-            },
-            options: [
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Keep current status"
-                },
-                value: "no_change"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Planning"
-                },
-                value: "PLANNING"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "In Progress"
-                },
-                value: "IN_PROGRESS"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "On Hold"
-                },
-                value: "ON_HOLD"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Completed"
-                },
-                value: "COMPLETED"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Cancelled"
-                },
-                value: "CANCELLED"
-              }
-            ],
-            initial_option: {
-              text: {
-                type: "plain_text",
-                text: "Keep current status"
-              },
-              value: "no_change"
-            }
-          },
-          label: {
-            type: "plain_text",
-            text: "Project Status"
-          }
-        }
-      ]
-    };
+    const modal = buildProjectUpdateModal(projects, uniqueClients, workspaceUsers);
 
     // Open the modal directly
     await client.views.open({
@@ -293,8 +420,8 @@ const projectUpdateCommand = async ({ command, ack, respond, client, body, slack
 
     logger.info('Project update modal opened successfully', { 
       userId: body.user_id,
-      clientOptionsCount: clientOptions.length,
-      projectOptionsCount: projectOptions.length
+      clientCount: uniqueClients.length,
+      projectCount: projects.length
     });
 
   } catch (error) {
@@ -326,9 +453,9 @@ const handleClientFilterSelection = async ({ ack, body, client }) => {
       // No clients found, return empty array
       projects = [];
     } else {
-      // Filter projects by exact client name from database
+      // Filter projects by client record
       projects = await projectService.getAllProjects({
-        clientName: selectedClient
+        clientId: selectedClient
       });
     }
 
@@ -340,6 +467,7 @@ const handleClientFilterSelection = async ({ ack, body, client }) => {
     const clientOptions = currentView.blocks[0].accessory.options;
     const userOptions = currentView.blocks[3].element.options;
     const statusOptions = currentView.blocks[4].element.options;
+    const dependencyOptions = currentView.blocks.find(block => block.block_id === 'blocked_by').element.options;
     
     // Create new project options
     const projectOptions = projects.map(project => ({
@@ -364,6 +492,8 @@ const handleClientFilterSelection = async ({ ack, body, client }) => {
     const updatedModal = {
       type: "modal",
       callback_id: "project_update_modal",
+      // Keep the source message when the modal came from the message shortcut
+      ...(currentView.private_metadata && { private_metadata: currentView.private_metadata }),
       title: {
         type: "plain_text",
         text: "Update Project"
@@ -478,7 +608,17 @@ const handleClientFilterSelection = async ({ ack, body, client }) => {
             type: "plain_text",
             text: "Project Status"
           }
-        }
+        },
+        ...buildMemberInputBlocks('Keep current members', extractMemberSelections(currentValues)),
+        buildReplaceMembersBlock((currentValues.members_replace?.replace_checkbox?.selected_options || []).length > 0),
+        ...buildDependencyBlocks(
+          dependencyOptions,
+          currentValues.blocked_by?.blocked_by_select?.selected_options || [],
+          (currentValues.blocked_by_replace?.replace_checkbox?.selected_options || []).length > 0
+        ),
+        ...buildBudgetInputBlocks('Keep current budget', extractBudgetText(currentValues)),
+        ...buildRecurrenceInputBlocks(true, extractRecurrenceSelection(currentValues)),
+        ...buildBroadcastInputBlocks(extractBroadcastSelection(currentValues))
       ]
     };
 
@@ -502,6 +642,582 @@ const handleClientFilterSelection = async ({ ack, body, client }) => {
   }
 };
 
+// Edit and delete buttons for an update; both are checked against the author when clicked
+const buildEditUpdateButton = (updateId) => ({
+  type: "button",
+  text: {
+    type: "plain_text",
+    text: "✏️ Edit"
+  },
+  action_id: "update_edit",
+  value: updateId
+});
+
+const buildDeleteUpdateButton = (updateId) => ({
+  type: "button",
+  text: {
+    type: "plain_text",
+    text: "🗑️ Delete"
+  },
+  style: "danger",
+  action_id: "update_delete",
+  value: updateId,
+  confirm: {
+    title: {
+      type: "plain_text",
+      text: "Delete this update?"
+    },
+    text: {
+      type: "plain_text",
+      text: "It will no longer appear in the project, digests or health scores."
+    },
+    confirm: {
+      type: "plain_text",
+      text: "Delete"
+    },
+    deny: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    style: "danger"
+  }
+});
+
+// "Add update" button on stale project nudges: open the update modal with the project preselected
+const handleAddUpdateButton = async ({ ack, body, client, slackService }) => {
+  await ack();
+
+  try {
+    const projectId = body.actions[0].value;
+
+    const [projects, uniqueClients, workspaceUsers] = await Promise.all([
+      projectService.getAllProjects(),
+      clientService.getClientsWithProjects(),
+      slackService.getWorkspaceUsers()
+    ]);
+
+    if (!projects.some(project => project.id === projectId)) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "❌ That project has been archived or deleted. Use `/project-update` to pick another project."
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildProjectUpdateModal(projects, uniqueClients, workspaceUsers, projectId)
+    });
+
+    logger.info('Project update modal opened from nudge', {
+      userId: body.user.id,
+      projectId
+    });
+  } catch (error) {
+    logger.error('Error opening project update modal from nudge:', error);
+  }
+};
+
+// "Log as project update" message shortcut: open the update modal with the message
+// text filled in and, in a client channel, that client's latest project selected
+const handleMessageShortcut = async ({ ack, shortcut, client, slackService }) => {
+  await ack();
+
+  try {
+    const channelId = shortcut.channel.id;
+    const messageTs = shortcut.message.ts;
+
+    const [projects, uniqueClients, workspaceUsers, channelClient, permalink] = await Promise.all([
+      projectService.getAllProjects(),
+      clientService.getClientsWithProjects(),
+      slackService.getWorkspaceUsers(),
+      clientService.getClientByChannelId(channelId),
+      client.chat.getPermalink({ channel: channelId, message_ts: messageTs })
+        .then(result => result.permalink)
+        .catch(error => {
+          // The update is still worth logging without the link
+          logger.warn('Could not get permalink for message shortcut', { channelId, error: error.message });
+          return null;
+        })
+    ]);
+
+    if (projects.length === 0) {
+      await client.chat.postMessage({
+        channel: shortcut.user.id,
+        text: "📝 No projects found. Create a project first using `/project-new`."
+      });
+      return;
+    }
+
+    // Projects are ordered by most recent activity
+    const clientProject = channelClient && projects.find(project => project.clientId === channelClient.id);
+
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: buildProjectUpdateModal(projects, uniqueClients, workspaceUsers, clientProject ? clientProject.id : null, {
+        clientId: clientProject ? channelClient.id : null,
+        content: slackService.toPlainText(shortcut.message.text),
+        source: { channelId, messageTs, permalink }
+      })
+    });
+
+    logger.info('Project update modal opened from message shortcut', {
+      userId: shortcut.user.id,
+      channelId,
+      clientId: channelClient ? channelClient.id : null,
+      projectId: clientProject ? clientProject.id : null
+    });
+  } catch (error) {
+    logger.error('Error opening project update modal from message shortcut:', error);
+
+    await client.chat.postMessage({
+      channel: shortcut.user.id,
+      text: "❌ Sorry, there was an error opening the project update form. Please try again or use `/project-update`."
+    });
+  }
+};
+
+// Link back to the Slack message an update was logged from, if it has one
+const formatUpdateSource = (update) => update.sourcePermalink
+  ? `📎 Logged from <${update.sourcePermalink}|a message> in <#${update.sourceChannelId}>`
+  : null;
+
+// Only the author of an update or an admin may edit or delete it
+const canManageUpdate = (update, user) => !!user && (update.userId === user.id || user.role === 'admin');
+
+// The update and acting user for an edit or delete, or the reason it isn't allowed
+const getManageableUpdate = async (updateId, slackUserId) => {
+  const [update, user] = await Promise.all([
+    projectService.getProjectUpdate(updateId),
+    userService.getUserBySlackId(slackUserId)
+  ]);
+
+  if (!update || update.deletedAt) {
+    return { error: "❌ That update has been deleted." };
+  }
+  if (!canManageUpdate(update, user)) {
+    return { error: "❌ Only the author of an update or an admin can edit or delete it." };
+  }
+
+  return { update, user };
+};
+
+const buildEditUpdateModal = (update) => ({
+  type: "modal",
+  callback_id: "update_edit_modal",
+  private_metadata: update.id,
+  title: {
+    type: "plain_text",
+    text: "Edit Update"
+  },
+  submit: {
+    type: "plain_text",
+    text: "Save"
+  },
+  close: {
+    type: "plain_text",
+    text: "Cancel"
+  },
+  blocks: [
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `📝 Update on *${update.project.name}* (${update.project.clientName}) from ${new Date(update.createdAt).toLocaleDateString()}`
+        }
+      ]
+    },
+    {
+      type: "input",
+      block_id: "update_content",
+      element: {
+        type: "plain_text_input",
+        action_id: "content_input",
+        multiline: true,
+        initial_value: update.content,
+        max_length: 1000
+      },
+      label: {
+        type: "plain_text",
+        text: "Update Details"
+      },
+      hint: {
+        type: "plain_text",
+        text: "The AI analysis is redone for the new text. The previous version is kept for the record."
+      }
+    }
+  ]
+});
+
+const handleEditUpdateButton = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const { update, error } = await getManageableUpdate(body.actions[0].value, body.user.id);
+
+    if (error) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: error
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildEditUpdateModal(update)
+    });
+  } catch (error) {
+    logger.error('Error opening edit update modal:', error);
+  }
+};
+
+const handleEditUpdateSubmission = async ({ ack, body, view, client }) => {
+  const content = (view.state.values.update_content.content_input.value || '').trim();
+
+  if (!content) {
+    await ack({
+      response_action: 'errors',
+      errors: {
+        update_content: 'Enter the update text'
+      }
+    });
+    return;
+  }
+
+  await ack();
+
+  try {
+    // Checked again in case the update was deleted while the modal was open
+    const { user, error } = await getManageableUpdate(view.private_metadata, body.user.id);
+    if (error) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: error
+      });
+      return;
+    }
+
+    const update = await projectService.editProjectUpdate(view.private_metadata, content, user.id);
+
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `✏️ *Update on "${update.project.name}" edited*\n${content}`
+        },
+        accessory: buildEditUpdateButton(update.id)
+      }
+    ];
+
+    if (update.aiAnalysis && update.aiAnalysis !== "Unable to generate AI analysis at this time.") {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*🤖 AI Analysis:*\n${update.aiAnalysis}`
+        }
+      });
+    }
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `✏️ Update on "${update.project.name}" edited`,
+      blocks
+    });
+
+    await refreshBroadcasts(client, update);
+  } catch (error) {
+    logger.error('Error editing project update:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error editing update: ${error.message}`
+    });
+  }
+};
+
+const handleDeleteUpdateButton = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const { user, error } = await getManageableUpdate(body.actions[0].value, body.user.id);
+
+    if (error) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: error
+      });
+      return;
+    }
+
+    const update = await projectService.deleteProjectUpdate(body.actions[0].value, user.id);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `🗑️ Update on "${update.project.name}" from ${new Date(update.createdAt).toLocaleDateString()} deleted.`
+    });
+
+    await refreshBroadcasts(client, update);
+  } catch (error) {
+    logger.error('Error deleting project update:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error deleting update: ${error.message}`
+    });
+  }
+};
+
+// Post an update to channels, remembering each post so edits redraw it and
+// thread replies become comments. Returns { posted, failed } channel results.
+const broadcastUpdate = async (client, project, update, channelIds, statusChange = null) => {
+  const posted = [];
+  const failed = [];
+
+  for (const channelId of channelIds) {
+    try {
+      const result = await client.chat.postMessage({
+        channel: channelId,
+        text: `📣 Update on ${project.name} from ${update.user.name}`,
+        blocks: buildBroadcastBlocks(project, update, statusChange)
+      });
+
+      await commentService.recordUpdateMessage(update.id, result.channel, result.ts, { statusChange });
+      posted.push(channelId);
+    } catch (error) {
+      // Usually the bot isn't in a private channel
+      logger.error('Error posting update to channel:', { channelId, updateId: update.id, error: error.message });
+      failed.push({ channelId, error: error.data?.error || error.message });
+    }
+  }
+
+  logger.info('Project update broadcast', { updateId: update.id, posted: posted.length, failed: failed.length });
+  return { posted, failed };
+};
+
+// Redraw the channel posts of an edited or deleted update
+const refreshBroadcasts = async (client, update) => {
+  try {
+    const messages = await commentService.getBroadcastMessages(update.id);
+
+    for (const message of messages) {
+      await client.chat.update({
+        channel: message.channelId,
+        ts: message.messageTs,
+        text: update.deletedAt
+          ? `🗑️ Update on ${update.project.name} deleted`
+          : `📣 Update on ${update.project.name} from ${update.user.name}`,
+        blocks: update.deletedAt
+          ? buildDeletedBroadcastBlocks(update.project)
+          : buildBroadcastBlocks(update.project, update, message.statusChange)
+      });
+    }
+  } catch (error) {
+    // The edit or delete itself already went through
+    logger.error('Error refreshing update broadcasts:', { updateId: update.id, error: error.message });
+  }
+};
+
+// DM the project lead and team members (except the author) about a new update
+const notifyProjectTeam = async (client, project, update, authorId) => {
+  try {
+    const stakeholders = await projectService.getProjectStakeholders(project.id);
+    const recipients = stakeholders.filter(stakeholder => stakeholder.id !== authorId);
+    const shortContent = update.content.length > 300
+      ? update.content.substring(0, 300) + '...'
+      : update.content;
+
+    for (const recipient of recipients) {
+      const result = await client.chat.postMessage({
+        channel: recipient.slackUserId,
+        text: `📝 New update on "${project.name}" from ${update.user.name}`,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `📝 *New update on "${project.name}"* (${project.clientName})\n*${update.user.name}:* ${shortContent}`
+            },
+            accessory: {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "View Details"
+              },
+              action_id: "view_project_details",
+              value: project.id
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: [formatUpdateSource(update), "💬 Reply in this thread to comment on the update"].filter(Boolean).join(' · ')
+              }
+            ]
+          }
+        ]
+      });
+
+      await commentService.recordUpdateMessage(update.id, result.channel, result.ts);
+    }
+
+    logger.info('Project team notified of update', { projectId: project.id, recipientCount: recipients.length });
+  } catch (error) {
+    // Notification failures shouldn't fail the update itself
+    logger.error('Error notifying project team:', error);
+  }
+};
+
+// Tell the leads of downstream projects that one of their blockers is done
+const notifyDownstreamLeads = async (client, project, authorId) => {
+  try {
+    const downstreamProjects = await projectService.getDownstreamProjects(project.id);
+    let notifiedCount = 0;
+
+    for (const downstream of downstreamProjects) {
+      if (!downstream.assignee || downstream.assignee.id === authorId) {
+        continue;
+      }
+
+      const remainingBlockers = projectService.getOpenBlockers(downstream);
+      const statusText = remainingBlockers.length > 0
+        ? `It is still blocked by ${remainingBlockers.map(blocker => `*${blocker.name}*`).join(', ')}.`
+        : `*${downstream.name}* is no longer blocked and can move forward.`;
+
+      await client.chat.postMessage({
+        channel: downstream.assignee.slackUserId,
+        text: `🔓 "${project.name}" is complete`,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `🔓 *"${project.name}" is complete*, which was blocking your project *${downstream.name}*.\n${statusText}`
+            },
+            accessory: {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "View Details"
+              },
+              action_id: "view_project_details",
+              value: downstream.id
+            }
+          }
+        ]
+      });
+      notifiedCount++;
+    }
+
+    logger.info('Downstream project leads notified', { projectId: project.id, recipientCount: notifiedCount });
+  } catch (error) {
+    // Notification failures shouldn't fail the update itself
+    logger.error('Error notifying downstream project leads:', error);
+  }
+};
+
+// One "Add to register" button per new risk; near-duplicates of tracked risks are listed without one
+const buildRiskProposalBlocks = async (projectId, update) => {
+  const { proposals, duplicates } = await riskService.proposeRisks(projectId, update.risksIdentified);
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: proposals.length > 0
+          ? "*⚠️ Risks Identified:*\nAdd the ones that matter to the risk register:"
+          : "*⚠️ Risks Identified:*"
+      }
+    }
+  ];
+
+  proposals.forEach(proposal => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `• ${proposal.title}`
+      },
+      accessory: {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Add to register"
+        },
+        action_id: "risk_proposal_add",
+        value: `${update.id}:${proposal.index}`
+      }
+    });
+  });
+
+  if (duplicates.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Already in the risk register: ${duplicates.map(duplicate => `_${duplicate.risk.title}_`).join(', ')}`
+        }
+      ]
+    });
+  }
+
+  return blocks;
+};
+
+// Post a new update to the client's and/or the project's channel, as picked in
+// the form. Returns the confirmation blocks saying where it went.
+const buildBroadcastResultBlocks = async (client, project, update, broadcast, updateData) => {
+  const channelIds = [];
+  const problems = [];
+
+  if (broadcast.targets.includes('client')) {
+    const clientRecord = project.clientId ? await clientService.getClient(project.clientId) : null;
+    if (clientRecord && clientRecord.slackChannelId) {
+      channelIds.push(clientRecord.slackChannelId);
+    } else {
+      problems.push("the client has no Slack channel (set one with `/project-client`)");
+    }
+  }
+
+  if (broadcast.targets.includes('project')) {
+    const projectChannelId = broadcast.channelId || project.slackChannelId;
+    if (projectChannelId) {
+      channelIds.push(projectChannelId);
+    } else {
+      problems.push("the project has no channel yet (pick one under Project Channel)");
+    }
+  }
+
+  const statusChange = updateData.status
+    ? `${project.status.replace('_', ' ')} → ${updateData.status.replace('_', ' ')}`
+    : null;
+  const { posted, failed } = await broadcastUpdate(client, project, update, [...new Set(channelIds)], statusChange);
+
+  const lines = [
+    posted.length > 0 ? `📣 Posted to ${posted.map(channelId => `<#${channelId}>`).join(' and ')}` : null,
+    ...failed.map(({ channelId, error }) => `⚠️ Couldn't post to <#${channelId}> (${error}); invite the bot to the channel for next time`),
+    ...problems.map(problem => `⚠️ Not shared: ${problem}`)
+  ].filter(Boolean);
+
+  return [
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
+      ]
+    }
+  ];
+};
+
 const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackService }) => {
   try {
     const values = view.state.values;
@@ -511,6 +1227,12 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
     const updateContent = values.update_content.content_input.value;
     const newStatus = values.status_update.status_select.selected_option.value;
     const newAssignee = values.assigned_to.assignee_select.selected_option.value;
+    // Set when the modal was opened from the message shortcut
+    const source = view.private_metadata ? JSON.parse(view.private_metadata) : null;
+    const broadcast = extractBroadcastSelection(values);
+
+    const blockerIds = (values.blocked_by?.blocked_by_select?.selected_options || []).map(option => option.value);
+    const replaceBlockers = (values.blocked_by_replace?.replace_checkbox?.selected_options || []).length > 0;
 
     // Validate project selection
     if (!projectId || projectId === 'no_projects') {
@@ -523,6 +1245,30 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
       return;
     }
 
+    // Budget inputs are optional; empty ones keep the current budget
+    const { budget, errors: budgetErrors } = extractBudgetValues(values);
+    const { recurrence, errors: recurrenceErrors } = extractRecurrenceValues(values);
+    if (Object.keys(budgetErrors).length > 0 || Object.keys(recurrenceErrors).length > 0) {
+      await ack({
+        response_action: 'errors',
+        errors: { ...budgetErrors, ...recurrenceErrors }
+      });
+      return;
+    }
+
+    // Only new blockers can introduce a cycle, so check those before accepting the form
+    if (blockerIds.length > 0 && await projectService.wouldCreateCycle(projectId, blockerIds)) {
+      await ack({
+        response_action: 'errors',
+        errors: {
+          blocked_by: blockerIds.includes(projectId)
+            ? 'A project cannot block itself'
+            : 'One of these projects is already waiting on this one, which would create a cycle'
+        }
+      });
+      return;
+    }
+
     // Acknowledge the submission after validation
     await ack();
 
@@ -541,7 +1287,8 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
     const update = await projectService.addProjectUpdate(
       projectId, 
       user.id, 
-      updateContent
+      updateContent,
+      source
     );
 
     // Handle project lead change
@@ -571,14 +1318,56 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
     if (newStatus && newStatus !== 'no_change' && newStatus !== project.status) {
       updateData.status = newStatus;
     }
+    // Status changes covered by an approval rule are asked for instead of made
+    let approvalText = null;
+    if (updateData.status) {
+      const approval = await approvalService.checkStatusChange(project, updateData.status, user);
+      if (approval) {
+        approvalText = await requestStatusApproval(client, project, updateData.status, user, approval);
+        delete updateData.status;
+      }
+    }
     if (assigneeChanged) {
       updateData.assignedTo = assigneeDbId;
     }
+    Object.entries(budget).forEach(([field, value]) => {
+      if (project[field] !== value) {
+        updateData[field] = value;
+      }
+    });
+    const budgetChanged = Object.keys(budget).some(field => field in updateData);
+    const recurrenceChanged = recurrence !== undefined &&
+      (recurrence.recurrence !== project.recurrence || recurrence.recurrenceCron !== project.recurrenceCron);
+    if (recurrenceChanged) {
+      Object.assign(updateData, recurrence);
+    }
+    // A newly picked project channel is remembered for next time
+    if (broadcast.channelId && broadcast.channelId !== project.slackChannelId) {
+      updateData.slackChannelId = broadcast.channelId;
+    }
 
     // Update project if there are changes
     let updatedProject = project;
     if (Object.keys(updateData).length > 0) {
-      updatedProject = await projectService.updateProject(projectId, updateData);
+      updatedProject = await projectService.updateProject(projectId, updateData, user.id);
+    }
+
+    // Update team members; empty roles keep their members unless a full replace was requested
+    const membersByRole = await resolveMemberSelections(values, slackService);
+    const replaceTeam = (values.members_replace?.replace_checkbox?.selected_options || []).length > 0;
+    const teamChanged = replaceTeam || Object.keys(membersByRole).length > 0;
+    const members = await projectService.setProjectMembers(projectId, membersByRole, user.id, { replaceAll: replaceTeam });
+
+    // Update dependencies; selections are added to the current blockers unless replacing
+    const dependenciesChanged = replaceBlockers || blockerIds.length > 0;
+    let dependencies = project.blockedBy;
+    if (dependenciesChanged) {
+      const currentBlockerIds = project.blockedBy.map(dependency => dependency.blocker.id);
+      dependencies = await projectService.setProjectDependencies(
+        projectId,
+        replaceBlockers ? blockerIds : [...currentBlockerIds, ...blockerIds],
+        user.id
+      );
     }
 
     // Format the response message
@@ -595,12 +1384,25 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
         text: {
           type: "mrkdwn",
           text: `*Your Update:*\n${updateContent}`
-        }
+        },
+        accessory: buildEditUpdateButton(update.id)
       }
     ];
 
+    if (formatUpdateSource(update)) {
+      responseBlocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: formatUpdateSource(update)
+          }
+        ]
+      });
+    }
+
     // Add status change notification if applicable
-    if (newStatus && newStatus !== 'no_change' && newStatus !== project.status) {
+    if (updateData.status) {
       responseBlocks.push({
         type: "section",
         text: {
@@ -608,6 +1410,14 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
           text: `*Status Updated:* ${project.status.replace('_', ' ')} → ${newStatus.replace('_', ' ')}`
         }
       });
+    } else if (approvalText) {
+      responseBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: approvalText
+        }
+      });
     }
 
     // Add project lead change notification if applicable
@@ -634,6 +1444,51 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
       });
     }
 
+    // Add team change notification if applicable
+    if (teamChanged) {
+      responseBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Team Updated:* ${formatTeam(members)}`
+        }
+      });
+    }
+
+    // Add budget change notification if applicable
+    if (budgetChanged) {
+      const burn = projectService.calculateBurn({ ...updatedProject, timeEntries: project.timeEntries });
+      responseBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Budget Updated:* ${formatBurn(burn) || 'No budget'}`
+        }
+      });
+    }
+
+    // Add recurrence change notification if applicable
+    if (recurrenceChanged) {
+      responseBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Repeats:* ${formatRecurrence(updatedProject) || 'Does not repeat'}`
+        }
+      });
+    }
+
+    // Add dependency change notification if applicable
+    if (dependenciesChanged) {
+      responseBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Blocked By:* ${dependencies.length > 0 ? dependencies.map(dependency => dependency.blocker.name).join(', ') : 'Nothing'}`
+        }
+      });
+    }
+
     // Add AI analysis if available
     if (update.aiAnalysis && update.aiAnalysis !== "Unable to generate AI analysis at this time.") {
       responseBlocks.push({
@@ -644,15 +1499,9 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
         }
       });
 
-      // Add risks if identified
+      // Propose identified risks for the register, skipping ones it already tracks
       if (update.risksIdentified && update.risksIdentified.length > 0) {
-        responseBlocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*⚠️ Risks Identified:*\n${update.risksIdentified.map(risk => `• ${risk}`).join('\n')}`
-          }
-        });
+        responseBlocks.push(...await buildRiskProposalBlocks(projectId, update));
       }
 
       // Add opportunities if noted
@@ -667,6 +1516,11 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
       }
     }
 
+    // Share the update to the channels picked in the form
+    if (broadcast.targets.length > 0) {
+      responseBlocks.push(...await buildBroadcastResultBlocks(client, project, update, broadcast, updateData));
+    }
+
     // Send confirmation message as DM
     await client.chat.postMessage({
       channel: body.user.id,
@@ -674,12 +1528,23 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
       blocks: responseBlocks
     });
 
+    // Let the rest of the project team know about the new update
+    await notifyProjectTeam(client, project, update, user.id);
+
+    // Unblock downstream projects once this one is completed
+    if (updateData.status === 'COMPLETED') {
+      await notifyDownstreamLeads(client, project, user.id);
+    }
+
     logger.info('Project update added successfully', { 
       projectId, 
       updateId: update.id,
       userId: user.id,
-      statusChanged: newStatus && newStatus !== 'no_change' && newStatus !== project.status,
-      assigneeChanged: assigneeChanged
+      statusChanged: !!updateData.status,
+      approvalRequested: !!approvalText,
+      assigneeChanged: assigneeChanged,
+      fromMessage: !!source,
+      broadcastTargets: broadcast.targets
     });
 
   } catch (error) {
@@ -696,5 +1561,15 @@ const handleProjectUpdateSubmission = async ({ ack, body, view, client, slackSer
 module.exports = {
   command: projectUpdateCommand,
   handleSubmission: handleProjectUpdateSubmission,
-  handleClientFilterSelection: handleClientFilterSelection
+  handleClientFilterSelection: handleClientFilterSelection,
+  handleAddUpdateButton,
+  handleMessageShortcut,
+  handleEditUpdateButton,
+  handleEditUpdateSubmission,
+  handleDeleteUpdateButton,
+  buildEditUpdateButton,
+  buildDeleteUpdateButton,
+  formatUpdateSource,
+  notifyProjectTeam,
+  notifyDownstreamLeads
 }; 
\ No newline at end of file
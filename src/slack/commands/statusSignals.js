@@ -0,0 +1,134 @@
+const statusSignalService = require('../../services/statusSignalService');
+const clientService = require('../../services/clientService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+const { notifyProjectTeam, formatUpdateSource } = require('./projectUpdate');
+
+// Pick up status news from a client channel that opted in with /project-client.
+// Candidates are suggested to the project lead by the daily suggested updates DM.
+const handleChannelMessage = async ({ message, client, slackService }) => {
+  // Edits, joins and other subtypes aren't news, and neither are bot posts
+  if (message.subtype || message.bot_id || !message.text) {
+    return;
+  }
+
+  try {
+    const clientRecord = await clientService.getClientByChannelId(message.channel);
+    if (!clientRecord || !clientRecord.captureSignals) {
+      return;
+    }
+
+    const content = slackService.toPlainText(message.text).trim();
+    const classification = await statusSignalService.classifyMessage(content, clientRecord.id);
+    if (!classification) {
+      return;
+    }
+
+    const permalink = await client.chat.getPermalink({ channel: message.channel, message_ts: message.ts })
+      .then(result => result.permalink)
+      .catch(error => {
+        logger.warn('Could not get permalink for status signal', { channelId: message.channel, error: error.message });
+        return null;
+      });
+
+    await statusSignalService.recordSignal({
+      clientId: clientRecord.id,
+      projectId: classification.project.id,
+      channelId: message.channel,
+      messageTs: message.ts,
+      authorSlackId: message.user,
+      content,
+      permalink,
+      reason: classification.reason
+    });
+  } catch (error) {
+    logger.error('Error capturing status signal:', {
+      error: error.message,
+      channelId: message.channel
+    });
+  }
+};
+
+// Swap a signal's buttons in the suggested updates DM for what happened to it
+const replaceSignalActions = async (body, client, signalId, text) => {
+  const blocks = body.message.blocks.map(block => block.block_id === `signal_${signalId}`
+    ? {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text
+        }
+      ]
+    }
+    : block);
+
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text: body.message.text,
+    blocks
+  });
+};
+
+const handleAccept = async ({ ack, body, client }) => {
+  await ack();
+
+  const signalId = body.actions[0].value;
+
+  try {
+    const user = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+
+    const update = await statusSignalService.acceptSignal(signalId, user.id);
+    if (!update) {
+      await replaceSignalActions(body, client, signalId, "This suggestion was already handled.");
+      return;
+    }
+
+    await replaceSignalActions(body, client, signalId,
+      `✅ Added as an update to *${update.project.name}*${update.aiAnalysis ? ' with AI analysis' : ''}. ${formatUpdateSource(update) || ''}`.trim());
+
+    // Same follow-up as a hand-written update
+    await notifyProjectTeam(client, update.project, update, user.id);
+
+    logger.info('Suggested update accepted', { signalId, updateId: update.id, userId: user.id });
+  } catch (error) {
+    logger.error('Error accepting suggested update:', {
+      error: error.message,
+      signalId,
+      userId: body.user.id
+    });
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error adding the suggested update: ${error.message}`
+    });
+  }
+};
+
+const handleDismiss = async ({ ack, body, client }) => {
+  await ack();
+
+  const signalId = body.actions[0].value;
+
+  try {
+    const dismissed = await statusSignalService.dismissSignal(signalId);
+    await replaceSignalActions(body, client, signalId, dismissed ? "Dismissed." : "This suggestion was already handled.");
+
+    logger.info('Suggested update dismissed', { signalId, userId: body.user.id });
+  } catch (error) {
+    logger.error('Error dismissing suggested update:', {
+      error: error.message,
+      signalId,
+      userId: body.user.id
+    });
+  }
+};
+
+module.exports = {
+  handleChannelMessage,
+  handleAccept,
+  handleDismiss
+};
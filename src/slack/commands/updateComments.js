@@ -0,0 +1,246 @@
+const commentService = require('../../services/commentService');
+const userService = require('../../services/userService');
+const logger = require('../../config/logger');
+
+// Comments shown above the reply box; older ones are summarized as a count
+const MAX_MODAL_COMMENTS = 20;
+
+const truncate = (text, length) => text.length > length ? text.substring(0, length) + '...' : text;
+
+// "Reply" button used on update blocks and comment notifications
+const buildReplyButton = (updateId, commentCount = 0) => ({
+  type: "button",
+  text: {
+    type: "plain_text",
+    text: commentCount > 0 ? `💬 Reply (${commentCount})` : "💬 Reply"
+  },
+  action_id: "update_reply",
+  value: updateId
+});
+
+// The update, its comments so far and a box for a new one
+const buildCommentModal = (update) => {
+  const blocks = [
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `📝 Update on *${update.project.name}* (${update.project.clientName})`
+        }
+      ]
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${update.user.name}* - ${new Date(update.createdAt).toLocaleDateString()}\n${truncate(update.content, 2500)}`
+      }
+    },
+    {
+      type: "divider"
+    }
+  ];
+
+  const hiddenCount = update.comments.length - MAX_MODAL_COMMENTS;
+  if (hiddenCount > 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `_${hiddenCount} earlier comment${hiddenCount === 1 ? '' : 's'} not shown_`
+        }
+      ]
+    });
+  }
+
+  update.comments.slice(-MAX_MODAL_COMMENTS).forEach(comment => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `💬 *${comment.user.name}* - ${new Date(comment.createdAt).toLocaleDateString()}\n${truncate(comment.content, 2500)}`
+      }
+    });
+  });
+
+  blocks.push({
+    type: "input",
+    block_id: "comment_content",
+    element: {
+      type: "plain_text_input",
+      action_id: "comment_input",
+      multiline: true,
+      max_length: 1000,
+      placeholder: {
+        type: "plain_text",
+        text: "Ask a question or add context to this update..."
+      }
+    },
+    label: {
+      type: "plain_text",
+      text: "Your Reply"
+    }
+  });
+
+  return {
+    type: "modal",
+    callback_id: "update_comment_modal",
+    private_metadata: update.id,
+    title: {
+      type: "plain_text",
+      text: "Update Comments"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Reply"
+    },
+    close: {
+      type: "plain_text",
+      text: "Close"
+    },
+    blocks
+  };
+};
+
+// DM the update's author about a comment from someone else. The DM is recorded
+// so the author can answer in its thread.
+const notifyUpdateAuthor = async (client, update, comment) => {
+  try {
+    if (comment.userId === update.userId) {
+      return;
+    }
+
+    const result = await client.chat.postMessage({
+      channel: update.user.slackUserId,
+      text: `💬 ${comment.user.name} commented on your update on "${update.project.name}"`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `💬 *${comment.user.name}* commented on your update on *${update.project.name}*\n${truncate(comment.content, 500)}`
+          },
+          accessory: buildReplyButton(update.id)
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `Your update: _${truncate(update.content, 150)}_ • Reply in this thread to answer`
+            }
+          ]
+        }
+      ]
+    });
+
+    await commentService.recordUpdateMessage(update.id, result.channel, result.ts);
+  } catch (error) {
+    // Notification failures shouldn't fail the comment itself
+    logger.error('Error notifying update author of comment:', error);
+  }
+};
+
+const handleReplyButton = async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const update = await commentService.getUpdateWithComments(body.actions[0].value);
+
+    if (!update) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "❌ That update no longer exists."
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildCommentModal(update)
+    });
+  } catch (error) {
+    logger.error('Error opening update comments:', error);
+  }
+};
+
+const handleCommentSubmission = async ({ ack, body, view, client }) => {
+  const content = (view.state.values.comment_content.comment_input.value || '').trim();
+
+  if (!content) {
+    await ack({
+      response_action: 'errors',
+      errors: {
+        comment_content: 'Enter a reply'
+      }
+    });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const update = await commentService.getUpdateWithComments(view.private_metadata);
+    if (!update) {
+      throw new Error('That update no longer exists');
+    }
+
+    const user = await userService.findOrCreateUser(body.user.id, {
+      name: body.user.name || body.user.username
+    });
+    const comment = await commentService.addComment(update.id, user.id, content);
+
+    await notifyUpdateAuthor(client, update, comment);
+  } catch (error) {
+    logger.error('Error saving update comment:', error);
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ Error saving your reply: ${error.message}`
+    });
+  }
+};
+
+// Store replies in the thread of a message about an update as comments.
+// Returns true when the message was such a reply.
+const handleThreadReply = async ({ message, client, slackService }) => {
+  if (!message.thread_ts || message.thread_ts === message.ts || message.bot_id || message.subtype) {
+    return false;
+  }
+
+  try {
+    const update = await commentService.findUpdateByMessage(message.channel, message.thread_ts);
+    if (!update) {
+      return false;
+    }
+
+    const userInfo = await slackService.getUserInfo(message.user);
+    const user = await userService.findOrCreateUser(message.user, {
+      name: userInfo?.name,
+      email: userInfo?.email
+    });
+
+    const comment = await commentService.addComment(update.id, user.id, message.text, {
+      channelId: message.channel,
+      messageTs: message.ts
+    });
+
+    if (comment) {
+      await notifyUpdateAuthor(client, update, comment);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Error storing thread reply as comment:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  buildReplyButton,
+  handleReplyButton,
+  handleSubmission: handleCommentSubmission,
+  handleThreadReply
+};
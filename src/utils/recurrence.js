@@ -0,0 +1,149 @@
+const { CronExpressionParser } = require('cron-parser');
+
+// Recurrence rules are evaluated in the same timezone as the other scheduled jobs
+const RECURRENCE_TIMEZONE = 'America/New_York';
+
+// Custom schedules may not create instances more often than about once a day;
+// 23 hours leaves room for daily schedules across a daylight saving change
+const MIN_RECURRENCE_INTERVAL_HOURS = 23;
+
+// Presets create the next instance at 6 AM on the first day of the period
+const RECURRENCE_PRESETS = {
+  MONTHLY: { label: 'Monthly', cron: '0 6 1 * *' },
+  QUARTERLY: { label: 'Quarterly', cron: '0 6 1 1,4,7,10 *' }
+};
+
+/**
+ * Get the cron expression behind a recurrence rule
+ * @param {string|null} recurrence - MONTHLY, QUARTERLY or CUSTOM
+ * @param {string|null} recurrenceCron - Cron expression for CUSTOM rules
+ * @returns {string|null} - Cron expression, or null when the project doesn't repeat
+ */
+function getRecurrenceCron(recurrence, recurrenceCron = null) {
+  if (!recurrence) {
+    return null;
+  }
+
+  return recurrence === 'CUSTOM' ? recurrenceCron : RECURRENCE_PRESETS[recurrence].cron;
+}
+
+/**
+ * Check that a custom cron expression can be scheduled
+ * @param {string} expression - Five field cron expression, e.g. "0 9 * * 1"
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  if (!expression || expression.trim().split(/\s+/).length !== 5) {
+    return false;
+  }
+
+  try {
+    CronExpressionParser.parse(expression.trim(), { tz: RECURRENCE_TIMEZONE });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the shortest gap between consecutive runs of a cron expression
+ * @param {string} expression - Five field cron expression
+ * @param {number} runs - How many upcoming runs to compare
+ * @param {Date} fromDate - Runs strictly after this date are considered
+ * @returns {number} - Shortest gap in milliseconds
+ */
+function getShortestCronInterval(expression, runs = 10, fromDate = new Date()) {
+  const interval = CronExpressionParser.parse(expression, {
+    currentDate: fromDate,
+    tz: RECURRENCE_TIMEZONE
+  });
+
+  let previous = interval.next().getTime();
+  let shortest = Infinity;
+  for (let i = 1; i < runs; i++) {
+    const next = interval.next().getTime();
+    shortest = Math.min(shortest, next - previous);
+    previous = next;
+  }
+
+  return shortest;
+}
+
+/**
+ * Get the next time a recurring project should be recreated
+ * @param {string|null} recurrence - MONTHLY, QUARTERLY or CUSTOM
+ * @param {string|null} recurrenceCron - Cron expression for CUSTOM rules
+ * @param {Date} fromDate - Occurrences strictly after this date are considered
+ * @returns {Date|null}
+ */
+function getNextOccurrence(recurrence, recurrenceCron = null, fromDate = new Date()) {
+  const expression = getRecurrenceCron(recurrence, recurrenceCron);
+  if (!expression) {
+    return null;
+  }
+
+  return CronExpressionParser.parse(expression, {
+    currentDate: fromDate,
+    tz: RECURRENCE_TIMEZONE
+  }).next().toDate();
+}
+
+/**
+ * Check that a timezone is a valid IANA name, e.g. "Europe/London"
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the next time a cron expression fires in the given timezone
+ * @param {string} expression - Five field cron expression
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} fromDate - Runs strictly after this date are considered
+ * @returns {Date}
+ */
+function getNextCronRun(expression, timezone = RECURRENCE_TIMEZONE, fromDate = new Date()) {
+  return CronExpressionParser.parse(expression, {
+    currentDate: fromDate,
+    tz: timezone
+  }).next().toDate();
+}
+
+/**
+ * Describe a project's recurrence rule for display, e.g. "Monthly" or "Custom (0 9 * * 1)"
+ * @param {Object} project - Project with recurrence and recurrenceCron fields
+ * @returns {string|null}
+ */
+function describeRecurrence(project) {
+  if (!project.recurrence) {
+    return null;
+  }
+
+  return project.recurrence === 'CUSTOM'
+    ? `Custom (\`${project.recurrenceCron}\`)`
+    : RECURRENCE_PRESETS[project.recurrence].label;
+}
+
+module.exports = {
+  RECURRENCE_TIMEZONE,
+  RECURRENCE_PRESETS,
+  MIN_RECURRENCE_INTERVAL_HOURS,
+  getRecurrenceCron,
+  isValidCron,
+  isValidTimezone,
+  getShortestCronInterval,
+  getNextOccurrence,
+  getNextCronRun,
+  describeRecurrence
+};